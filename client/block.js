@@ -1,10 +1,52 @@
 'use strict';
+
+// Lookback chips for re-filtering lookup results in the block
+const LOOKUP_LOOKBACK_CHIPS = [
+  { value: 'all', display: 'All', windowMs: null },
+  { value: '24h', display: '24h', windowMs: 24 * 60 * 60 * 1000 },
+  { value: '7d', display: '7d', windowMs: 7 * 24 * 60 * 60 * 1000 },
+  { value: '30d', display: '30d', windowMs: 30 * 24 * 60 * 60 * 1000 }
+];
+
 polarity.export = PolarityComponent.extend({
   details: Ember.computed.alias('block.data.details'),
   expandableTitleStates: Ember.computed.alias('block._state.expandableTitleStates'),
   timezone: Ember.computed('Intl', function () {
     return Intl.DateTimeFormat().resolvedOptions().timeZone;
   }),
+  searchedAtDisplay: Ember.computed('details.searchCache.cachedAt', function () {
+    const cachedAt = this.get('details.searchCache.cachedAt');
+    return cachedAt ? new Date(cachedAt).toLocaleTimeString() : '';
+  }),
+  lookupFilterChips: Ember.computed(
+    'details.alerts.[]',
+    'block._state.lookupFilters',
+    function () {
+      const alerts = this.get('details.alerts') || [];
+      const filters = this.get('block._state.lookupFilters');
+      const typeCounts = alerts.reduce((counts, alert) => {
+        const type = alert.alertTypeNormalized || 'alert';
+        counts[type] = counts[type] || { display: alert.alertType || type, count: 0 };
+        counts[type].count++;
+        return counts;
+      }, {});
+
+      return {
+        show: !!this.get('details.searchCache') && alerts.length > 0,
+        lookback: LOOKUP_LOOKBACK_CHIPS.map((chip) => ({
+          value: chip.value,
+          display: chip.display,
+          activeClass: chip.value === filters.lookback ? 'active' : ''
+        })),
+        types: Object.keys(typeCounts).map((type) => ({
+          value: type,
+          display: typeCounts[type].display,
+          count: typeCounts[type].count,
+          activeClass: filters.types.includes(type) ? 'active' : ''
+        }))
+      };
+    }
+  ),
   /**
    * Initialize the component and set up default state
    * @returns {void}
@@ -14,9 +56,168 @@ polarity.export = PolarityComponent.extend({
       this.set('block._state', {});
       this.set('block._state.expandableTitleStates', {});
     }
+    if (!this.get('block._state.lookupFilters')) {
+      this.set('block._state.lookupFilters', { lookback: 'all', types: [] });
+    }
 
     this._super(...arguments);
   },
+  /**
+   * Handle clicks on the search Refresh and Load more buttons
+   * block.hbs is also rendered on the server, so it can't use Ember actions.
+   * @param {Event} event - Click event
+   * @returns {void}
+   */
+  click(event) {
+    if (event.target.closest('.dataminr-search-refresh-btn')) {
+      this.refreshSearch();
+    } else if (event.target.closest('.dataminr-search-more-btn')) {
+      this.loadMoreAlerts();
+    } else if (event.target.closest('.dataminr-lookup-filter-chip')) {
+      this.toggleLookupFilter(event.target.closest('.dataminr-lookup-filter-chip'));
+    }
+  },
+  /**
+   * Select a lookback chip, or toggle an alert type chip
+   * @param {HTMLElement} chip - Clicked filter chip
+   * @returns {void}
+   */
+  toggleLookupFilter(chip) {
+    const filters = this.get('block._state.lookupFilters');
+    const lookback = chip.getAttribute('data-lookup-lookback');
+    const type = chip.getAttribute('data-lookup-type');
+
+    this.set('block._state.lookupFilters', {
+      lookback: lookback || filters.lookback,
+      types: !type
+        ? filters.types
+        : filters.types.includes(type)
+        ? filters.types.filter((selected) => selected !== type)
+        : filters.types.concat(type)
+    });
+    this.applyLookupFilters();
+  },
+  /**
+   * Hide the alerts outside the selected chips and update the summary count
+   * Filters the alerts already loaded, without another search.
+   * @returns {void}
+   */
+  applyLookupFilters() {
+    const filters = this.get('block._state.lookupFilters');
+    const lookbackChip = LOOKUP_LOOKBACK_CHIPS.find(
+      (chip) => chip.value === filters.lookback
+    );
+    const sinceMs =
+      lookbackChip && lookbackChip.windowMs ? Date.now() - lookbackChip.windowMs : null;
+    const alerts = this.get('details.alerts') || [];
+
+    // Count the visible alerts, and of those the exact IOC matches and mention-only hits
+    const counts = alerts.reduce(
+      (agg, alert) => {
+        const hidden =
+          (sinceMs !== null && !(new Date(alert.alertTimestamp).getTime() >= sinceMs)) ||
+          (filters.types.length > 0 &&
+            !filters.types.includes(alert.alertTypeNormalized));
+        Ember.set(alert, 'hiddenByFilter', hidden);
+        if (hidden) {
+          return agg;
+        }
+        const matches = alert.matches || {};
+        return {
+          visible: agg.visible + 1,
+          exact: agg.exact + (matches.exactCount > 0 ? 1 : 0),
+          mention:
+            agg.mention + (!(matches.exactCount > 0) && matches.mentionCount > 0 ? 1 : 0)
+        };
+      },
+      { visible: 0, exact: 0, mention: 0 }
+    );
+
+    const more = this.get('details.searchPaging.hasMore') ? '+' : '';
+    const filtered = sinceMs !== null || filters.types.length > 0;
+    this.set(
+      'block.data.summary',
+      [
+        filtered
+          ? `Alerts: ${counts.visible} of ${alerts.length}${more}`
+          : `Alerts: ${alerts.length}${more}`
+      ].concat(
+        counts.exact ? `IOC matches: ${counts.exact}` : [],
+        counts.mention ? `Mentions: ${counts.mention}` : []
+      )
+    );
+    this.get('block').notifyPropertyChange('data');
+  },
+  /**
+   * Search the entity again, bypassing the server's search cache
+   * @returns {void}
+   */
+  refreshSearch() {
+    if (this.get('block._state.searchRefreshing')) {
+      return;
+    }
+    this.set('block._state.searchRefreshing', true);
+    this.set('block._state.searchError', null);
+
+    this.sendIntegrationMessage({
+      action: 'refreshLookup',
+      entity: this.get('block.entity')
+    })
+      .then((result) => {
+        this.set('block.data.summary', result.summary);
+        this.set('block.data.details', result.details);
+        this.applyLookupFilters();
+      })
+      .catch((error) => {
+        this.set(
+          'block._state.searchError',
+          (error && (error.detail || error.message)) || 'Refresh failed'
+        );
+      })
+      .finally(() => {
+        this.set('block._state.searchRefreshing', false);
+        this.get('block').notifyPropertyChange('data');
+      });
+  },
+  /**
+   * Fetch the next page of older alerts for the entity and append it to the results
+   * @returns {void}
+   */
+  loadMoreAlerts() {
+    if (this.get('block._state.searchLoadingMore')) {
+      return;
+    }
+    this.set('block._state.searchLoadingMore', true);
+    this.set('block._state.searchError', null);
+
+    const alerts = this.get('details.alerts') || [];
+    this.sendIntegrationMessage({
+      action: 'searchMore',
+      entity: this.get('block.entity'),
+      cursor: this.get('details.searchPaging.cursor'),
+      loadedAlertIds: alerts.map((alert) => alert.alertId)
+    })
+      .then((result) => {
+        this.set(
+          'block.data.details',
+          Object.assign({}, this.get('details'), {
+            alerts: alerts.concat(result.alerts),
+            searchPaging: result.paging
+          })
+        );
+        this.applyLookupFilters();
+      })
+      .catch((error) => {
+        this.set(
+          'block._state.searchError',
+          (error && (error.detail || error.message)) || 'Loading more alerts failed'
+        );
+      })
+      .finally(() => {
+        this.set('block._state.searchLoadingMore', false);
+        this.get('block').notifyPropertyChange('data');
+      });
+  },
   actions: {
     /**
      * Toggle the expanded state of a title section
@@ -59,6 +59,17 @@ function qsa(sel, root = document) {
   return Array.prototype.slice.call(root.querySelectorAll(sel));
 }
 
+/**
+ * Attribute selector matching an alert ID
+ * Alert IDs come from the API, so they are escaped rather than put into selectors as is.
+ * @param {string} attribute - Attribute name (e.g. data-alert-id)
+ * @param {string} alertId - Alert ID
+ * @returns {string} Attribute selector
+ */
+function alertIdSelector(attribute, alertId) {
+  return `[${attribute}="${CSS.escape(String(alertId))}"]`;
+}
+
 /**
  * Escape HTML characters
  * @param {string} s - String to escape
@@ -434,6 +445,13 @@ class DataminrIntegration {
     this.userOptions = userOptions;
     this.pollingInterval = null;
     this.pollIntervalMs = 10000; // Poll Polarity server every 10 seconds
+    this.longPollTimeoutMs = 25000; // How long the server holds a waitForAlerts request open
+    this.longPollRetryDelayMs = 5000; // Delay before retrying a failed waitForAlerts request
+    this.longPollSupported = true; // Set to false when the server doesn't support waitForAlerts
+    this.longPollSession = 0; // Incremented to cancel the running long-poll loop
+    this.statusRefreshInterval = null;
+    this.statusRefreshIntervalMs = 60000; // Refresh the polling status every minute
+    this.pollingErrorShown = false; // Set while client polling is stopped on an error
     this.isPollingInProgress = false;
     this.currentUser = null;
     this.currentAlertIds = new Map(); // Map of alertId -> { id, headline, type, alertTimestamp }
@@ -576,6 +594,39 @@ class DataminrIntegration {
         });
       }
 
+      // Add click handlers for the export button and panel
+      const exportButton = dataminrContainer.querySelector('.dataminr-export-alerts-btn');
+      const exportPanel = dataminrContainer.querySelector('.dataminr-export-panel');
+      if (exportButton && exportPanel) {
+        exportButton.addEventListener('click', (e) => {
+          e.stopPropagation(); // Prevent header toggle
+          exportPanel.style.display = exportPanel.style.display === 'none' ? 'flex' : 'none';
+        });
+        exportPanel.addEventListener('click', (e) => {
+          e.stopPropagation(); // Keep clicks inside the panel from toggling the header
+          if (e.target.closest('.dataminr-export-download-btn')) {
+            this.exportAlerts(exportPanel);
+          }
+        });
+      }
+
+      // Add click handlers for the polling status indicator and popover
+      const statusButton = dataminrContainer.querySelector('.dataminr-status-btn');
+      const statusPopover = dataminrContainer.querySelector('.dataminr-status-popover');
+      if (statusButton && statusPopover) {
+        statusButton.addEventListener('click', (e) => {
+          e.stopPropagation(); // Prevent header toggle
+          const isHidden = statusPopover.style.display === 'none';
+          statusPopover.style.display = isHidden ? 'block' : 'none';
+          if (isHidden) {
+            this.refreshStatus();
+          }
+        });
+        statusPopover.addEventListener('click', (e) => {
+          e.stopPropagation(); // Keep clicks inside the popover from toggling the header
+        });
+      }
+
       // Add click handler for restart polling button
       const restartPollingButton = dataminrContainer.querySelector(
         '.dataminr-restart-polling-btn'
@@ -656,6 +707,80 @@ class DataminrIntegration {
     }
   }
 
+  /**
+   * Save content as a file in the browser
+   * @private
+   * @param {string} content - File content
+   * @param {string} filename - Suggested file name
+   * @param {string} contentType - MIME type of the content
+   */
+  downloadFile(content, filename, contentType) {
+    const blob = new Blob([content], { type: contentType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Export alerts as a STIX 2.1 bundle and download it as a JSON file
+   * @private
+   * @param {Array<string>} alertIds - Alert IDs to include in the bundle
+   */
+  async downloadStixBundle(alertIds) {
+    if (!alertIds || alertIds.length === 0) return;
+
+    try {
+      const result = await this.sendIntegrationMessage({ action: 'exportStix', alertIds });
+      if (!result || !result.bundle) return;
+
+      this.downloadFile(
+        JSON.stringify(result.bundle, null, 2),
+        result.filename || 'dataminr-alerts.stix.json',
+        'application/json'
+      );
+    } catch (error) {
+      console.error('Error exporting STIX bundle:', error);
+    }
+  }
+
+  /**
+   * Export the pinned alert feed using the export panel settings and download it
+   * @private
+   * @param {Element} exportPanel - Export panel element in the notification header
+   */
+  async exportAlerts(exportPanel) {
+    const rangeHours = parseInt(qs('.dataminr-export-range', exportPanel).value, 10) || 12;
+    const format = qs('.dataminr-export-format', exportPanel).value;
+    const query = qs('.dataminr-export-query', exportPanel).value.trim();
+    const status = qs('.dataminr-export-status', exportPanel);
+    const downloadButton = qs('.dataminr-export-download-btn', exportPanel);
+
+    downloadButton.disabled = true;
+    status.textContent = 'Exporting...';
+
+    try {
+      const result = await this.sendIntegrationMessage({
+        action: 'exportAlerts',
+        format,
+        since: new Date(Date.now() - rangeHours * 60 * 60 * 1000).toISOString(),
+        query: query || undefined
+      });
+
+      this.downloadFile(result.content, result.filename, result.contentType);
+      status.textContent = `${result.count} alerts${result.truncated ? ' (truncated)' : ''}`;
+    } catch (error) {
+      console.error('Error exporting alerts:', error);
+      status.textContent = 'Export failed';
+    } finally {
+      downloadButton.disabled = false;
+    }
+  }
+
   /**
    * Submit metadata values sequentially as separate search queries to Polarity
    * @param {Array<string>} values - Array of metadata values to search
@@ -796,32 +921,95 @@ class DataminrIntegration {
     this.isPollingInProgress = false;
   }
 
+  /**
+   * Long-poll the backend for new alerts until polling is stopped
+   * Falls back to interval polling if the server doesn't support waitForAlerts.
+   * @private
+   */
+  async longPollAlerts() {
+    const session = ++this.longPollSession;
+
+    while (session === this.longPollSession) {
+      try {
+        const newAlerts = await this.getAlerts(null, true);
+
+        // Polling was stopped or restarted while the request was held open
+        if (session !== this.longPollSession) return;
+
+        if (newAlerts.length > 0) {
+          newAlerts.forEach((newAlert) => {
+            this.processNewAlert(newAlert, true);
+          });
+          this.updateAlertsDisplay(Array.from(this.currentAlertIds.values()));
+        }
+      } catch (error) {
+        if (session !== this.longPollSession) return;
+
+        const detail = (error && (error.detail || error.message)) || '';
+        if (typeof detail === 'string' && detail.includes('Unknown action')) {
+          // Older server without waitForAlerts - switch to interval polling
+          console.warn('waitForAlerts not supported, falling back to interval polling');
+          this.longPollSupported = false;
+          this.startIntervalPolling();
+          return;
+        }
+
+        console.error('Error waiting for alerts:', error);
+
+        const statusCode =
+          error.status ||
+          (error.response && error.response.status) ||
+          error.statusCode ||
+          (error.detail && error.detail.status);
+        if (statusCode === 404) {
+          // Integration has stopped
+          this.stopPolling();
+          this.showPollingError();
+          return;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, this.longPollRetryDelayMs));
+      }
+    }
+  }
+
   /**
    * Get full alerts list from backend
    * @private
    * @param {number} [count] - Optional number of alerts to request (for initial query)
+   * @param {boolean} [waitForNew=false] - Hold the request on the server until new alerts arrive
    * @returns {Promise<Array>} Array of alert objects
    */
-  async getAlerts(count) {
+  async getAlerts(count, waitForNew = false) {
     try {
       // Build payload with timestamp and optional count
+      // Alerts acknowledged on any workstation are left out by the server
       const payload = {
-        action: 'getAlerts'
+        action: waitForNew ? 'waitForAlerts' : 'getAlerts',
+        excludeRead: true,
+        clustered: true // One tag per cluster of near-identical alerts
       };
 
+      if (waitForNew) {
+        payload.timeoutMs = this.longPollTimeoutMs;
+      }
+
       // If count is provided (from URL parameter), include it (overrides timestamp)
       if (count) {
         payload.count = count;
       } else if (this.lastAlertTimestamp) {
         // Otherwise, send the last query timestamp to get alerts since then
         payload.sinceTimestamp = this.lastAlertTimestamp;
-      } else {
-        // First query: send current timestamp (will return empty array)
-        payload.sinceTimestamp = new Date().toISOString();
       }
+      // First query: no timestamp (returns the newest unread cached alerts, up to 50)
 
       const result = await this.sendIntegrationMessage(payload);
 
+      // Remove alerts acknowledged elsewhere (another tab or workstation)
+      if (result && result.readState) {
+        this.applyReadState(result.readState);
+      }
+
       // Update last query timestamp from response
       if (result && result.lastAlertTimestamp) {
         this.lastAlertTimestamp = result.lastAlertTimestamp;
@@ -837,7 +1025,13 @@ class DataminrIntegration {
       }
 
       if (result && result.alerts) {
-        return result.alerts;
+        // Attach shared triage metadata so tags reflect the team's status
+        const triageByAlertId = result.triage || {};
+        return result.alerts.map((alert) =>
+          triageByAlertId[alert.alertId]
+            ? Object.assign({}, alert, { triage: triageByAlertId[alert.alertId] })
+            : alert
+        );
       }
       return [];
     } catch (error) {
@@ -852,6 +1046,16 @@ class DataminrIntegration {
    * @private
    */
   clearAllAlerts() {
+    // Acknowledge everything on the server so the dismissal follows the user
+    const alertIds = this.currentAlertIds ? Array.from(this.currentAlertIds.keys()) : [];
+    const payload = { action: 'markAllRead', alertIds };
+    if (this.lastAlertTimestamp) {
+      payload.readThroughTimestamp = this.lastAlertTimestamp;
+    }
+    this.sendIntegrationMessage(payload).catch((error) => {
+      console.error('Error marking all alerts as read:', error);
+    });
+
     // Clear the alerts maps
     if (this.currentAlertIds) {
       this.currentAlertIds.clear();
@@ -1060,7 +1264,7 @@ class DataminrIntegration {
     const integrationContainer = this.getIntegrationContainer();
     if (!integrationContainer) return 0;
     return qsa(
-      '.dataminr-tag[data-alert-id]:not([data-alert-id="remaining"])',
+      '.dataminr-tag[data-alert-id]:not([data-alert-id="remaining"]):not(.dataminr-tag-cluster-member)',
       integrationContainer
     ).length;
   }
@@ -1139,13 +1343,14 @@ class DataminrIntegration {
     const alertClass = 'dataminr-tag-' + this.normalizeAlertType(alertType);
 
     const tagButton = document.createElement('button');
-    tagButton.className = `dataminr-tag ${alertClass}`;
+    tagButton.className = `dataminr-tag ${alertClass}${this.getTriageTagClass(alert)}`;
     tagButton.setAttribute('data-alert-id', alertId);
     tagButton.setAttribute('title', headline);
     tagButton.innerHTML = `
       <div class="dataminr-alert-tag-text">
         <span class="dataminr-tag-acronym">${htmlEscape(this.userConfig.acronym)}</span> 
         <span class="dataminr-tag-headline">${htmlEscape(headline)}</span>
+        ${this.getRelatedBadgeHtml(alert)}
       </div>
     `;
 
@@ -1164,7 +1369,7 @@ class DataminrIntegration {
   }
 
   /**
-   * Mark a single alert as read and remove it from UI
+   * Mark a single alert as read on the server and remove it from UI
    * @private
    * @param {string} alertId - Alert ID to mark as read
    */
@@ -1174,6 +1379,59 @@ class DataminrIntegration {
       return;
     }
 
+    // Closing a cluster also acknowledges its related alerts
+    const trackedAlert = this.currentAlertIds && this.currentAlertIds.get(alertId);
+    const relatedAlertIds =
+      trackedAlert && Array.isArray(trackedAlert.relatedAlerts)
+        ? trackedAlert.relatedAlerts.map((related) => related.alertId)
+        : [];
+
+    this.removeAlertFromUI(alertId);
+
+    try {
+      await this.sendIntegrationMessage({
+        action: 'markAlertRead',
+        alertId,
+        relatedAlertIds
+      });
+    } catch (error) {
+      console.error('Error marking alert as read:', error);
+    }
+  }
+
+  /**
+   * Remove alerts the server reports as read for this user
+   * @private
+   * @param {Object} readState - Read state from the server
+   * @param {Array<string>} readState.alertIds - IDs of alerts acknowledged individually
+   * @param {string|null} readState.readThroughTimestamp - Alerts at or before this ISO timestamp are read
+   */
+  applyReadState(readState) {
+    if (!readState || !this.currentAlertIds || this.currentAlertIds.size === 0) return;
+
+    const readAlertIds = new Set(readState.alertIds || []);
+    const readThroughMs = readState.readThroughTimestamp
+      ? new Date(readState.readThroughTimestamp).getTime()
+      : null;
+
+    Array.from(this.currentAlertIds.values()).forEach((alert) => {
+      const isRead =
+        readAlertIds.has(alert.alertId) ||
+        (readThroughMs !== null &&
+          alert.alertTimestamp &&
+          new Date(alert.alertTimestamp).getTime() <= readThroughMs);
+      if (isRead) {
+        this.removeAlertFromUI(alert.alertId);
+      }
+    });
+  }
+
+  /**
+   * Remove a single alert from the local alerts map and UI
+   * @private
+   * @param {string} alertId - Alert ID to remove
+   */
+  removeAlertFromUI(alertId) {
     try {
       // Remove alert from current alerts maps
       if (this.currentAlertIds) {
@@ -1190,6 +1448,10 @@ class DataminrIntegration {
       if (tagButton) {
         tagButton.remove();
       }
+      qsa(
+        `.dataminr-tag${alertIdSelector('data-cluster-member-of', alertId)}`,
+        integrationContainer
+      ).forEach((memberButton) => memberButton.remove());
 
       // Remove detail container from UI
       const dataminrDetailsContainer = this.getDataminrDetailsContainerForIntegration();
@@ -1207,7 +1469,7 @@ class DataminrIntegration {
 
       // Get all alerts that aren't currently displayed
       const visibleTagButtons = qsa(
-        '.dataminr-tag[data-alert-id]:not([data-alert-id="remaining"])',
+        '.dataminr-tag[data-alert-id]:not([data-alert-id="remaining"]):not(.dataminr-tag-cluster-member)',
         integrationContainer
       );
       const displayedAlertIds = new Set();
@@ -1255,7 +1517,7 @@ class DataminrIntegration {
         }
       }
     } catch (error) {
-      console.error('Error marking alert as read:', error);
+      console.error('Error removing alert from UI:', error);
     }
   }
 
@@ -1538,7 +1800,9 @@ class DataminrIntegration {
         const alertId = alert.alertId || 'alert-' + alertsArray.indexOf(alert);
 
         alertsHtml += `
-          <button class="dataminr-tag ${alertClass}" data-alert-id="${htmlEscape(
+          <button class="dataminr-tag ${alertClass}${this.getTriageTagClass(
+          alert
+        )}" data-alert-id="${htmlEscape(
           alertId
         )}" title="${htmlEscape(headline)}">
             <div class="dataminr-alert-tag-text">
@@ -1546,6 +1810,7 @@ class DataminrIntegration {
                 this.userConfig.acronym
               )}</span> 
               <span class="dataminr-tag-headline">${htmlEscape(headline)}</span>
+              ${this.getRelatedBadgeHtml(alert)}
             </div>
           </button>
         `;
@@ -1585,7 +1850,7 @@ class DataminrIntegration {
     } else {
       // Container exists, check if we need to add more alerts
       const visibleTagButtons = qsa(
-        '.dataminr-tag[data-alert-id]:not([data-alert-id="remaining"])',
+        '.dataminr-tag[data-alert-id]:not([data-alert-id="remaining"]):not(.dataminr-tag-cluster-member)',
         integrationContainer
       );
       const displayedAlertIds = new Set();
@@ -1755,11 +2020,34 @@ class DataminrIntegration {
     const count = countParam ? parseInt(countParam, 10) : null;
     if (count) {
       this.loadAlerts(count);
-    } else {
+    } else if (!this.longPollSupported) {
+      // Long-polling doesn't need this - the first waitForAlerts returns cached alerts right away
       this.pollAlerts();
     }
 
-    // Set up polling interval
+    // Wait for new alerts on the server, or poll on an interval if that isn't supported
+    if (this.longPollSupported) {
+      this.longPollAlerts();
+    } else {
+      this.startIntervalPolling();
+    }
+
+    // Keep the polling status indicator current
+    this.refreshStatus();
+    if (!this.statusRefreshInterval) {
+      this.statusRefreshInterval = setInterval(() => {
+        this.refreshStatus();
+      }, this.statusRefreshIntervalMs);
+    }
+  }
+
+  /**
+   * Start interval polling for alerts (fallback when long-polling isn't supported)
+   * @private
+   */
+  startIntervalPolling() {
+    if (this.pollingInterval) return;
+
     this.pollingInterval = setInterval(() => {
       this.pollAlerts();
     }, this.pollIntervalMs);
@@ -1774,30 +2062,160 @@ class DataminrIntegration {
       clearInterval(this.pollingInterval);
       this.pollingInterval = null;
     }
+
+    if (this.statusRefreshInterval) {
+      clearInterval(this.statusRefreshInterval);
+      this.statusRefreshInterval = null;
+    }
+
+    // Cancel the long-poll loop (any held request's result is ignored)
+    this.longPollSession++;
   }
 
   /**
-   * Show polling error message
+   * Show the polling error in the status indicator and offer to restart polling
    * @private
    */
   showPollingError() {
-    const errorElement = byId('dataminr-polling-error');
-    if (errorElement) {
-      errorElement.style.display = 'inline';
-    }
+    this.pollingErrorShown = true;
+    const statusElement = this.getStatusElement();
+    if (!statusElement) return;
+
+    statusElement.setAttribute('data-health', 'error');
+    qs('.dataminr-status-label', statusElement).textContent =
+      'There was an error polling for alerts';
+    qs('.dataminr-status-message', statusElement).textContent =
+      'The integration stopped responding. Restart polling once it is running again.';
+    qs('.dataminr-restart-polling-btn', statusElement).style.display = 'inline-block';
   }
 
   /**
-   * Hide polling error message
+   * Clear the polling error from the status indicator
    * @private
    */
   hidePollingError() {
-    const errorElement = byId('dataminr-polling-error');
-    if (errorElement) {
-      errorElement.style.display = 'none';
+    this.pollingErrorShown = false;
+    const statusElement = this.getStatusElement();
+    if (!statusElement) return;
+
+    statusElement.setAttribute('data-health', 'unknown');
+    qs('.dataminr-status-label', statusElement).textContent = '';
+    qs('.dataminr-restart-polling-btn', statusElement).style.display = 'none';
+  }
+
+  /**
+   * Get the polling status element in the pinned header
+   * @private
+   * @returns {Element|null} Status element
+   */
+  getStatusElement() {
+    const dataminrContainer = this.getDataminrContainerForIntegration();
+    return dataminrContainer ? qs('.dataminr-status', dataminrContainer) : null;
+  }
+
+  /**
+   * Fetch the polling status from the server and show it in the status indicator
+   * @private
+   */
+  async refreshStatus() {
+    try {
+      const status = await this.sendIntegrationMessage({ action: 'getStatus' });
+      // A client side polling error takes precedence until polling is restarted
+      if (!this.pollingErrorShown) {
+        this.renderStatus(status);
+      }
+    } catch (error) {
+      console.error('Error fetching polling status:', error);
+      const statusElement = this.getStatusElement();
+      if (statusElement && !this.pollingErrorShown) {
+        statusElement.setAttribute('data-health', 'unknown');
+        qs('.dataminr-status-message', statusElement).textContent =
+          'Unable to get the polling status';
+        qs('.dataminr-status-table', statusElement).innerHTML = '';
+      }
     }
   }
 
+  /**
+   * Render the polling status returned by the getStatus action
+   * @private
+   * @param {Object} status - Status from the server
+   */
+  renderStatus(status) {
+    const statusElement = this.getStatusElement();
+    if (!statusElement) return;
+
+    const formatTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+    const labels = {
+      degraded: 'Degraded',
+      error: 'Polling error',
+      stopped: 'Not polling'
+    };
+    const { polling, lastPoll, rateLimit, token, cache, lists } = status;
+    const backfill = polling.backfill;
+
+    let lastPollResult = 'No poll completed yet';
+    if (lastPoll && lastPoll.success) {
+      lastPollResult = `${lastPoll.alertsProcessed} alerts`;
+      if (lastPoll.rateLimited) lastPollResult += ' (rate limited)';
+    } else if (lastPoll) {
+      const statusCode = lastPoll.statusCode ? ` (${lastPoll.statusCode})` : '';
+      lastPollResult = `Failed${statusCode}: ${lastPoll.error}`;
+    }
+
+    const rows = [
+      ['Last poll', formatTime(polling.lastPollTime)],
+      ['Last poll result', lastPollResult],
+      ['Poll interval', `${polling.pollIntervalSeconds} seconds`],
+      ['Newest alert', formatTime(polling.lastAlertTimestamp)],
+      [
+        'Backfill',
+        backfill && backfill.active
+          ? `${backfill.pagesFetched} pages fetched, ` +
+            `~${backfill.estimatedRemainingPages} remaining`
+          : 'Caught up'
+      ],
+      [
+        'Rate limit',
+        `${rateLimit.remaining} of ${rateLimit.limit} requests left${
+          rateLimit.resetAt ? `, resets ${formatTime(rateLimit.resetAt)}` : ''
+        }`
+      ],
+      ['Queued requests', String(rateLimit.queueLength)],
+      [
+        'Auth token',
+        token.cached
+          ? `${token.expired ? 'Expired' : 'Expires'} ${formatTime(token.expiresAt)}`
+          : 'Not fetched'
+      ],
+      [
+        'Cached alerts',
+        `${cache.alertCount} of ${cache.maxAlerts} ` +
+          `(last ${cache.retentionMinutes} minutes)`
+      ],
+      [
+        'Lists',
+        `${lists.count}${
+          lists.lastPoll
+            ? `, ${lists.lastPoll.success ? 'refreshed' : 'refresh failed'} ${formatTime(
+                lists.lastPoll.completedAt
+              )}`
+            : ''
+        }`
+      ]
+    ];
+
+    statusElement.setAttribute('data-health', status.health);
+    qs('.dataminr-status-label', statusElement).textContent = labels[status.health] || '';
+    qs('.dataminr-status-message', statusElement).textContent = status.message;
+    qs('.dataminr-status-table', statusElement).innerHTML = rows
+      .map(
+        ([label, value]) =>
+          `<tr><td>${htmlEscape(label)}</td><td>${htmlEscape(value)}</td></tr>`
+      )
+      .join('');
+  }
+
   /**
    * Restart polling for alerts
    * @private
@@ -1842,6 +2260,37 @@ class DataminrIntegration {
     }
   }
 
+  /**
+   * Update the configuration options for the admin defined geofences
+   * @private
+   */
+  async updateGeofenceConfigSelect() {
+    try {
+      const response = await this.sendIntegrationMessage({
+        action: 'getGeofences'
+      });
+
+      if (!response || !response.geofences) {
+        return;
+      }
+
+      const choices = response.geofences.filter(
+        (geofence) => geofence.value && geofence.display
+      );
+
+      const integrationOptions = this.userConfig.integrationOptions;
+
+      if (integrationOptions) {
+        const opt = integrationOptions.findBy('key', 'setGeofencesToWatch');
+        if (opt) {
+          Ember.set(opt, 'options', choices);
+        }
+      }
+    } catch (error) {
+      console.error('Error updating geofences to watch:', error);
+    }
+  }
+
   /**
    * Initialize the Dataminr integration
    * @private
@@ -1860,6 +2309,11 @@ class DataminrIntegration {
       console.error('Error updating lists to watch:', error);
     });
 
+    // Update geofences to watch asynchronously
+    this.updateGeofenceConfigSelect().catch((error) => {
+      console.error('Error updating geofences to watch:', error);
+    });
+
     const dataminrContainer = this.getDataminrContainerForIntegration();
     this.getDataminrDetailsContainerForIntegration();
 
@@ -1888,6 +2342,7 @@ class DataminrIntegration {
     this.updateAlertCount(0);
     this.setupAlertTagDelegation();
     this.setupCopyButtonDelegation();
+    this.setupTriageDelegation();
     this.setupMediaErrorHandling();
 
     // Stop any existing polling before starting new one
@@ -2951,6 +3406,14 @@ class DataminrIntegration {
 
     // Use event delegation to handle all alert tag clicks (no individual listeners needed)
     document.body.addEventListener('click', (e) => {
+      // "+N related" badge expands or collapses the cluster instead of opening the alert
+      const relatedBadge = e.target.closest('.dataminr-tag-related');
+      if (relatedBadge) {
+        e.stopPropagation();
+        this.toggleClusterTags(relatedBadge.getAttribute('data-cluster-alert-id'));
+        return;
+      }
+
       const tagButton = e.target.closest('.dataminr-tag');
       if (!tagButton) {
         return;
@@ -2981,6 +3444,240 @@ class DataminrIntegration {
     });
   }
 
+  /**
+   * Build the "+N related" badge for an alert tag that represents a cluster
+   * @private
+   * @param {Object} alert - Alert object (may include clusterSize)
+   * @returns {string} Badge HTML or empty string for unclustered alerts
+   */
+  getRelatedBadgeHtml(alert) {
+    const relatedCount = alert && alert.clusterSize ? alert.clusterSize - 1 : 0;
+    if (relatedCount <= 0) return '';
+    return `<span class="dataminr-tag-related" data-cluster-alert-id="${htmlEscape(
+      alert.alertId
+    )}" title="Show related alerts">+${relatedCount} related</span>`;
+  }
+
+  /**
+   * Expand or collapse the related alerts of a cluster tag
+   * Related alerts are shown as tags directly after the cluster's tag.
+   * @private
+   * @param {string} alertId - Alert ID of the tag representing the cluster
+   */
+  toggleClusterTags(alertId) {
+    const integrationContainer = this.getIntegrationContainer();
+    if (!integrationContainer) return;
+
+    const memberButtons = qsa(
+      `.dataminr-tag${alertIdSelector('data-cluster-member-of', alertId)}`,
+      integrationContainer
+    );
+    if (memberButtons.length > 0) {
+      memberButtons.forEach((memberButton) => memberButton.remove());
+      return;
+    }
+
+    const trackedAlert = this.currentAlertIds && this.currentAlertIds.get(alertId);
+    const tagButton = qs(
+      `.dataminr-tag${alertIdSelector('data-alert-id', alertId)}`,
+      integrationContainer
+    );
+    if (!trackedAlert || !tagButton) return;
+
+    let insertAfter = tagButton;
+    (trackedAlert.relatedAlerts || []).forEach((related) => {
+      const alertType = this.getAlertType(related);
+      const headline = this.getAlertHeadline(related);
+      const memberButton = document.createElement('button');
+      memberButton.className = `dataminr-tag dataminr-tag-${this.normalizeAlertType(
+        alertType
+      )} dataminr-tag-cluster-member`;
+      memberButton.setAttribute('data-alert-id', related.alertId);
+      memberButton.setAttribute('data-cluster-member-of', alertId);
+      memberButton.setAttribute('title', headline);
+      memberButton.innerHTML = `
+        <div class="dataminr-alert-tag-text">
+          <span class="dataminr-tag-acronym">${htmlEscape(this.userConfig.acronym)}</span> 
+          <span class="dataminr-tag-headline">${htmlEscape(headline)}</span>
+        </div>
+      `;
+      insertAfter.after(memberButton);
+      insertAfter = memberButton;
+    });
+  }
+
+  /**
+   * Get the CSS class suffix for an alert tag based on its triage status
+   * @private
+   * @param {Object} alert - Alert object (may include triage metadata)
+   * @returns {string} Class string with leading space, or empty string for untriaged alerts
+   */
+  getTriageTagClass(alert) {
+    const status = alert && alert.triage && alert.triage.status;
+    return status && status !== 'new' ? ' dataminr-tag-triage-' + status : '';
+  }
+
+  /**
+   * Set up event delegation for triage controls in alert details
+   * @private
+   */
+  setupTriageDelegation() {
+    // Check if handler already attached to prevent duplicates
+    if (this._triageHandlerAttached) {
+      return;
+    }
+    this._triageHandlerAttached = true;
+
+    document.body.addEventListener('click', (e) => {
+      const statusButton = e.target.closest('.dataminr-alert-triage-status-btn');
+      if (statusButton) {
+        e.stopPropagation();
+        this.updateTriage(statusButton.getAttribute('data-alert-id'), {
+          status: statusButton.getAttribute('data-triage-status')
+        });
+        return;
+      }
+
+      const assignButton = e.target.closest('.dataminr-alert-triage-assign-btn');
+      if (assignButton) {
+        e.stopPropagation();
+        const assign = assignButton.getAttribute('data-triage-assign');
+        this.updateTriage(assignButton.getAttribute('data-alert-id'), {
+          assignee: assign === 'me' ? 'me' : null
+        });
+        return;
+      }
+
+      const noteButton = e.target.closest('.dataminr-alert-triage-note-btn');
+      if (noteButton) {
+        e.stopPropagation();
+        const triageContainer = noteButton.closest('.dataminr-alert-triage');
+        const noteInput =
+          triageContainer && qs('.dataminr-alert-triage-note-input', triageContainer);
+        const note = noteInput ? noteInput.value.trim() : '';
+        if (!note) return;
+        this.updateTriage(noteButton.getAttribute('data-alert-id'), { note }).then(
+          (triage) => {
+            if (triage && noteInput) {
+              noteInput.value = '';
+            }
+          }
+        );
+      }
+    });
+  }
+
+  /**
+   * Send a triage update to the server and refresh the triage display
+   * @private
+   * @param {string} alertId - Alert ID
+   * @param {Object} updates - Triage fields to update (status, assignee, note)
+   * @returns {Promise<Object|null>} Updated triage record or null on failure
+   */
+  async updateTriage(alertId, updates) {
+    if (!alertId) return null;
+
+    try {
+      const result = await this.sendIntegrationMessage(
+        Object.assign({ action: 'updateTriage', alertId }, updates)
+      );
+      const triage = result && result.triage;
+      if (triage) {
+        this.renderTriage(alertId, triage);
+      }
+      return triage || null;
+    } catch (error) {
+      console.error('Error updating alert triage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update every rendered triage section and tag for an alert
+   * @private
+   * @param {string} alertId - Alert ID
+   * @param {Object} triage - Triage record from the server
+   */
+  renderTriage(alertId, triage) {
+    const status = triage.status || 'new';
+    const statusDisplay = status.charAt(0).toUpperCase() + status.slice(1);
+
+    qsa(
+      `.dataminr-alert-triage${alertIdSelector('data-alert-id', alertId)}`
+    ).forEach((container) => {
+      const statusElement = qs('.dataminr-alert-triage-status', container);
+      if (statusElement) {
+        statusElement.className = `dataminr-alert-triage-status dataminr-alert-triage-status-${status}`;
+        statusElement.textContent = statusDisplay;
+      }
+
+      qsa('.dataminr-alert-triage-status-btn', container).forEach((button) => {
+        button.classList.toggle(
+          'active',
+          button.getAttribute('data-triage-status') === status
+        );
+      });
+
+      const assigneeElement = qs('.dataminr-alert-triage-assignee', container);
+      if (assigneeElement) {
+        assigneeElement.textContent = triage.assignee
+          ? 'Assigned to ' + triage.assignee
+          : 'Unassigned';
+      }
+
+      const unassignButton = qs('[data-triage-assign="none"]', container);
+      if (unassignButton) {
+        unassignButton.style.display = triage.assignee ? '' : 'none';
+      } else if (triage.assignee) {
+        const assignButton = qs('[data-triage-assign="me"]', container);
+        if (assignButton) {
+          const newUnassignButton = assignButton.cloneNode(false);
+          newUnassignButton.setAttribute('data-triage-assign', 'none');
+          newUnassignButton.textContent = 'Unassign';
+          assignButton.after(newUnassignButton);
+        }
+      }
+
+      const notesElement = qs('.dataminr-alert-triage-notes', container);
+      if (notesElement) {
+        notesElement.innerHTML = (triage.notes || [])
+          .map(
+            (note) => `
+              <li class="dataminr-alert-triage-note">
+                <span class="dataminr-alert-triage-note-meta">${htmlEscape(
+                  note.author
+                )} &middot; ${htmlEscape(new Date(note.createdAt).toLocaleString())}</span>
+                <span class="dataminr-alert-triage-note-text">${htmlEscape(note.text)}</span>
+              </li>
+            `
+          )
+          .join('');
+      }
+    });
+
+    // Keep the pinned alert tag in sync
+    const trackedAlert = this.currentAlertIds && this.currentAlertIds.get(alertId);
+    if (trackedAlert) {
+      trackedAlert.triage = triage;
+      const integrationContainer = this.getIntegrationContainer();
+      const tagButton =
+        integrationContainer &&
+        qs(
+          `.dataminr-tag${alertIdSelector('data-alert-id', alertId)}`,
+          integrationContainer
+        );
+      if (tagButton) {
+        Array.from(tagButton.classList)
+          .filter((className) => className.startsWith('dataminr-tag-triage-'))
+          .forEach((className) => tagButton.classList.remove(className));
+        const triageClass = this.getTriageTagClass(trackedAlert).trim();
+        if (triageClass) {
+          tagButton.classList.add(triageClass);
+        }
+      }
+    }
+  }
+
   /**
    * Set up event delegation for copy buttons and image modals
    * @private
@@ -2994,6 +3691,14 @@ class DataminrIntegration {
 
     // Use event delegation on document body to handle dynamically created buttons
     document.body.addEventListener('click', (e) => {
+      // Handle STIX export button
+      if (e.target.closest('.dataminr-alert-detail-stix-export')) {
+        const button = e.target.closest('.dataminr-alert-detail-stix-export');
+        e.stopPropagation();
+        this.downloadStixBundle([button.getAttribute('data-alert-id')]);
+        return;
+      }
+
       // Handle live brief copy button
       if (e.target.closest('.dataminr-alert-live-brief-copy-btn')) {
         const button = e.target.closest('.dataminr-alert-live-brief-copy-btn');
@@ -3189,8 +3894,23 @@ class DataminrIntegration {
       alertId: alert.alertId,
       headline: alert.headline,
       alertType: alert.alertType,
-      alertTimestamp: alert.alertTimestamp
+      alertTimestamp: alert.alertTimestamp,
+      triage: alert.triage || null,
+      clusterId: alert.clusterId || null,
+      clusterSize: alert.clusterSize || 1,
+      relatedAlerts: alert.relatedAlerts || []
     });
+
+    // A newer alert in the same cluster replaces the tag of the older one
+    if (alert.clusterId) {
+      Array.from(this.currentAlertIds.values())
+        .filter(
+          (tracked) =>
+            tracked.alertId !== alertId &&
+            (tracked.clusterId === alert.clusterId || tracked.alertId === alert.clusterId)
+        )
+        .forEach((tracked) => this.removeAlertFromUI(tracked.alertId));
+    }
   }
 }
 
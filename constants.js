@@ -1,12 +1,85 @@
+const path = require('path');
+
 module.exports = {
   LISTS_POLL_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes in milliseconds
-  CACHE_MAX_AGE_MS: 30 * 60 * 1000, // 30 minutes in milliseconds
+  CACHE_MAX_AGE_MS: 30 * 60 * 1000, // Default cache retention window (30 minutes)
+  DEFAULT_CACHE_MAX_ALERTS: 10000, // Default cap on cached alerts (oldest evicted first)
   DEFAULT_PAGE_SIZE: 40, // Default page size for alerts
+  DEFAULT_SEARCH_CACHE_TTL_MINUTES: 5, // How long entity search results are served from the search cache
+  DEFAULT_SEARCH_CACHE_MAX_ENTRIES: 1000, // Cached search results (least recently used evicted first)
+  DEFAULT_SEARCH_BATCH_SIZE: 10, // Entity values combined into one OR search query
+  SEARCH_BATCH_MAX_ENTITIES: 25, // Upper bound for the search batch size option
+  SEARCH_BATCH_MAX_QUERY_LENGTH: 1000, // Characters per batched search query
+  SEARCH_BATCH_PAGE_SIZE: 100, // Alerts requested per batched search (shared by its entities)
+  MATCH_SNIPPET_CONTEXT_CHARS: 60, // Characters shown on each side of a highlighted lookup match
+  MAX_MATCH_LOCATIONS: 5, // Highlighted match snippets per lookup result alert
+  CIDR_MIN_PREFIX_LENGTH: 16, // Largest IPv4CIDR range looked up (larger ranges are rejected)
+  CIDR_MAX_EXPANDED_ADDRESSES: 16, // CIDR ranges up to this size are searched address by address
+  CIDR_MAX_QUERY_PREFIXES: 16, // Most /24 prefixes in a CIDR search query (beyond that the /16 is searched)
+  // Lookback windows for the lookupLookback user option ('all' or missing is not limited)
+  LOOKUP_LOOKBACK_WINDOWS_MS: {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+  },
   STATE_KEY: 'pollingState',
   ALERTS_KEY: 'alerts',
   ALERTS_MAP_KEY: 'alertsMap',
   LISTS_KEY: 'lists',
+  READ_STATE_KEY: 'readState',
+  MAX_READ_ALERT_IDS: 2000, // Max acknowledged alert IDs remembered per user
+  MAX_RELATED_READ_ALERT_IDS: 200, // Related alert IDs accepted by one markAlertRead call
+  MAX_INITIAL_UNREAD_ALERTS: 50, // Unread alerts returned by a first excludeRead query
+  TRIAGE_KEY: 'triage',
+  TRIAGE_STATUSES: ['new', 'investigating', 'escalated', 'closed'],
+  MAX_TRIAGE_RECORDS: 5000, // Least recently updated triage records are dropped beyond this
+  MAX_TRIAGE_NOTES: 20, // Notes kept per alert (oldest dropped first)
+  MAX_TRIAGE_NOTE_LENGTH: 500, // Characters per triage note
+  STATE_FILE_PATH: path.join(__dirname, 'data', 'state.json'), // Persisted cache and polling cursor
+  PERSIST_DEBOUNCE_MS: 5 * 1000, // 5 seconds between writes of the persisted state
   ROUTE_PREFIX: 'pulse',
+  WAIT_FOR_ALERTS_DEFAULT_TIMEOUT_MS: 25 * 1000, // How long waitForAlerts holds a request open
+  WAIT_FOR_ALERTS_MAX_TIMEOUT_MS: 55 * 1000, // Upper bound for client requested waitForAlerts timeouts
+  DEFAULT_BACKFILL_HORIZON_HOURS: 24, // How far behind "now" a backfill will catch up
+  DEFAULT_MAX_PAGES_PER_POLL: 50, // Pages fetched per poll cycle before backfill continues on the next cycle
+  BACKFILL_RATE_LIMIT_RESERVE: 2, // Requests left in the rate limit window for interactive lookups
+  // Request queue lanes in priority order. capacity: max queued requests; maxWaitMs: a lane
+  // waiting longer than this is served ahead of higher lanes; background: deferred while the
+  // rate limit quota is at or below BACKFILL_RATE_LIMIT_RESERVE
+  REQUEST_QUEUE_LANES: [
+    { name: 'interactive', capacity: 12, maxWaitMs: Infinity, background: false },
+    { name: 'lookup', capacity: 24, maxWaitMs: 30 * 1000, background: false },
+    { name: 'poll', capacity: 4, maxWaitMs: 60 * 1000, background: true },
+    { name: 'lists', capacity: 2, maxWaitMs: 90 * 1000, background: true }
+  ],
+  QUEUE_DEFER_CHECK_MS: 1000, // How often deferred background requests re-check the quota
+  STALE_POLL_INTERVALS: 3, // Poll intervals without a poll before the status is degraded
+  MAX_PARSED_RULE_SETS: 10, // Compiled routing rule option values kept (oldest dropped first)
+  CLUSTER_WINDOW_MS: 60 * 60 * 1000, // Alerts further apart than this are never clustered
+  CLUSTER_HEADLINE_SIMILARITY: 0.6, // Min Jaccard similarity of headline words to cluster alerts
+  CLUSTER_MIN_SHARED_REFERENCE_TERMS: 2, // Min shared reference terms to cluster alerts
+  WEBHOOK_DEAD_LETTERS_KEY: 'webhookDeadLetters',
+  MAX_WEBHOOK_DEAD_LETTERS: 500, // Oldest failed webhook deliveries are dropped beyond this
+  // Message actions only Polarity admins may use
+  ADMIN_ONLY_ACTIONS: [
+    'getWebhookDeadLetters',
+    'replayWebhookDeadLetters',
+    'getMetrics',
+    'getDiagnostics'
+  ],
+  WEBHOOK_MAX_ATTEMPTS: 5, // Delivery attempts per alert and endpoint before dead-lettering
+  WEBHOOK_RETRY_BASE_DELAY_MS: 2 * 1000, // Doubled after every failed webhook attempt
+  WEBHOOK_RETRY_MAX_DELAY_MS: 5 * 60 * 1000, // Upper bound for the webhook retry delay
+  WEBHOOK_TIMEOUT_MS: 10 * 1000, // Per attempt webhook request timeout
+  WEBHOOK_MAX_CONCURRENT_DELIVERIES: 5, // Webhook requests sent at once (others wait)
+  MAX_WEBHOOK_PENDING_RETRIES: 200, // Failures past this are dead-lettered, not retried
+  MAX_STIX_EXPORT_ALERTS: 50, // Alerts per exportStix request
+  EXPORT_MAX_ALERTS: 5000, // Alerts per exportAlerts request
+  EXPORT_MAX_API_PAGES: 50, // API pages fetched when an export reaches back past the cache
+  EARTH_RADIUS_KM: 6371, // Mean Earth radius used for geofence distances
+  METRICS_PREFIX: 'polarity_dataminr', // Prefix of every Prometheus metric name
+  METRICS_HOST: '127.0.0.1', // The metrics listener only accepts local connections
+  METRICS_DURATION_BUCKETS_SECONDS: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
   DEFAULT_ALERT_TYPES_TO_WATCH: ['flash', 'urgent', 'alert'],
   TRIAL_MODE: false
 };
\ No newline at end of file
@@ -4,12 +4,14 @@ const {
 } = require('polarity-integration-utils');
 
 const { validateOptions } = require('./server/userOptions');
-const { removePrivateIps } = require('./server/dataTransformations');
+const { removeExcludedEntities } = require('./server/entityExclusions');
 const {
   pollAlerts,
   pollLists,
-  resetPollingState,
+  getLastPollResult,
+  getListsPollResult,
   searchAlerts,
+  searchMoreAlerts,
   getAlertById,
   parseListConfig
 } = require('./server/alerts');
@@ -17,40 +19,125 @@ const {
   getCachedAlerts,
   getLatestAlertTimestamp,
   getCachedLists,
-  addAlertsToCache
+  addAlertsToCache,
+  setCacheLimits,
+  getCacheLimits,
+  getCacheStats,
+  getPollingState,
+  getReadState,
+  markAlertsRead,
+  markAllAlertsRead,
+  filterUnreadAlerts,
+  getTriage,
+  getTriageForAlerts,
+  updateTriage,
+  onAlertsAdded,
+  setPersistenceStore,
+  restorePersistedState,
+  persistState
 } = require('./server/alerts/stateManager');
+const { createFileStore } = require('./server/persistence');
 const { getAlerts } = require('./server/alerts/getAlerts');
-const { setLogger: setRequestLogger } = require('./server/request');
+const { groupAlertsByCluster } = require('./server/alerts/alertProcessor');
+const {
+  createAlertRulesFilter,
+  dryRunAlertRules
+} = require('./server/alerts/alertRules');
+const {
+  getWatchedGeofences,
+  createGeofenceFilter,
+  getGeofenceChoices
+} = require('./server/alerts/geofences');
+const {
+  listWebhookDeadLetters,
+  replayWebhookDeadLetters,
+  deadLetterPendingRetries
+} = require('./server/alerts/webhooks');
+const {
+  setLogger: setRequestLogger,
+  getRateLimitState,
+  getTokenStatus
+} = require('./server/request');
 const {
   renderAlertDetail,
-  renderAlertNotification
+  renderAlertNotification,
+  processAlertData
 } = require('./server/templateRenderer');
+const { buildStixBundle } = require('./server/stixExport');
+const {
+  PROMETHEUS_CONTENT_TYPE,
+  renderMetrics,
+  configureMetricsServer,
+  stopMetricsServer
+} = require('./server/metrics');
+const {
+  EXPORT_FORMATS,
+  collectExportAlerts,
+  formatExport
+} = require('./server/alerts/exportAlerts');
+
+const { getSearchCacheStats } = require('./server/alerts/searchCache');
 
 const assembleLookupResults = require('./server/assembleLookupResults');
 const {
   DEFAULT_ALERT_TYPES_TO_WATCH,
+  TRIAGE_STATUSES,
   TRIAL_MODE,
-  LISTS_POLL_INTERVAL_MS
+  LISTS_POLL_INTERVAL_MS,
+  STATE_FILE_PATH,
+  WAIT_FOR_ALERTS_DEFAULT_TIMEOUT_MS,
+  WAIT_FOR_ALERTS_MAX_TIMEOUT_MS,
+  MAX_STIX_EXPORT_ALERTS,
+  STALE_POLL_INTERVALS,
+  ADMIN_ONLY_ACTIONS,
+  MAX_INITIAL_UNREAD_ALERTS,
+  MAX_RELATED_READ_ALERT_IDS
 } = require('./constants');
 
 let Logger = null;
 let alertPollingInterval = null;
 let listsPollingInterval = null;
 let pollingInitialized = false;
+// Start-up in progress (restoring the persisted state), shared by concurrent callers
+let pollingInitialization = null;
 
 // Cache for alert type filters (per user configuration)
 const alertTypeFilterCache = new Map();
 
+// Release functions for waitForAlerts requests currently held open
+const pendingAlertWaiters = new Set();
+
+/**
+ * Apply the admin cache limits and metrics port
+ * Called on every lookup and message so option changes take effect without a restart.
+ * @param {Object} options - Configuration options
+ * @returns {void}
+ */
+const applyAdminOptions = (options) => {
+  setCacheLimits(options);
+  configureMetricsServer(options.metricsPort).catch((error) => {
+    Logger.error({ error }, 'Failed to configure the metrics listener');
+  });
+};
+
 /**
  * Initialize polling for alerts
  * @param {Object} options - Configuration options containing clientId, clientSecret, and pollInterval
  * @returns {Promise<void>} Resolves when polling is initialized
  */
 const initializePolling = async (options) => {
+  applyAdminOptions(options);
+
   if (pollingInitialized) {
     return;
   }
 
+  // Messages arriving while the persisted state is restored wait for the same start-up
+  // instead of starting a second poller
+  if (pollingInitialization) {
+    return pollingInitialization;
+  }
+
   // Validate that required options are present
   if (!options.clientId || !options.clientSecret) {
     Logger.warn('Client ID or Client Secret not configured. Polling will not start.');
@@ -58,8 +145,26 @@ const initializePolling = async (options) => {
     return;
   }
 
-  // Reset polling state on first initialization
-  resetPollingState();
+  pollingInitialization = startPolling(options).finally(() => {
+    pollingInitialization = null;
+  });
+  return pollingInitialization;
+};
+
+/**
+ * Restore the persisted state, then start the alert and list pollers
+ * @param {Object} options - Configuration options containing pollInterval
+ * @returns {Promise<void>} Resolves once polling has started
+ */
+const startPolling = async (options) => {
+  // Restore the persisted cache and cursor so the first poll resumes where the last process stopped
+  const { restored, lastCursor } = await restorePersistedState();
+  if (restored) {
+    Logger.info({ lastCursor }, 'Resuming polling from persisted state');
+  }
+
+  pollingInitialized = true;
+
   pollAlerts(options);
   pollLists(options);
 
@@ -82,11 +187,37 @@ const initializePolling = async (options) => {
     }
   }, LISTS_POLL_INTERVAL_MS);
 
-  pollingInitialized = true;
-
   Logger.info({ pollIntervalSeconds: options.pollInterval }, 'Polling started');
 };
 
+/**
+ * Check whether the requesting user is a Polarity admin
+ * @param {Object} options - Configuration options
+ * @returns {boolean} True if the request was made by an admin
+ */
+const isAdminRequest = (options) =>
+  !!(options._request && options._request.user && options._request.user.isAdmin);
+
+/**
+ * Add the alerts found by an entity search to the alert cache for future lookups
+ * @param {Array<Object>} alerts - Search results ({ resultId, result } per entity)
+ * @returns {void}
+ */
+const cacheSearchResultAlerts = (alerts) => {
+  const allAlerts = [];
+  if (alerts && Array.isArray(alerts)) {
+    alerts.forEach((alertResult) => {
+      if (alertResult && alertResult.result && Array.isArray(alertResult.result)) {
+        allAlerts.push(...alertResult.result);
+      }
+    });
+    if (allAlerts.length > 0) {
+      addAlertsToCache(allAlerts);
+      Logger.debug({ alertCount: allAlerts.length }, 'Cached alerts from search results');
+    }
+  }
+};
+
 /**
  * Perform Pulse lookup for entities and return matching alerts
  * @param {Array<Object>} entities - Array of entity objects to search for
@@ -99,25 +230,12 @@ const doLookup = async (entities, options, cb) => {
     // Only gets run in the Pulse integration - FirstAlert has no configured entities
     Logger.debug({ entities }, 'Entities');
 
-    const searchableEntities = removePrivateIps(entities);
+    applyAdminOptions(options);
+
+    const searchableEntities = removeExcludedEntities(entities, options);
     const alerts = await searchAlerts(searchableEntities, options);
 
-    // Cache all alerts from search results for future lookups
-    const allAlerts = [];
-    if (alerts && Array.isArray(alerts)) {
-      alerts.forEach((alertResult) => {
-        if (alertResult && alertResult.result && Array.isArray(alertResult.result)) {
-          allAlerts.push(...alertResult.result);
-        }
-      });
-      if (allAlerts.length > 0) {
-        addAlertsToCache(allAlerts);
-        Logger.debug(
-          { alertCount: allAlerts.length },
-          'Cached alerts from search results'
-        );
-      }
-    }
+    cacheSearchResultAlerts(alerts);
 
     Logger.trace({ alerts, searchableEntities });
 
@@ -176,15 +294,18 @@ const startup = async (logger) => {
   setLogger(Logger);
   setRequestLogger(Logger);
 
+  // Persist the alert cache and polling cursor so restarts don't drop alerts
+  setPersistenceStore(createFileStore({ filePath: STATE_FILE_PATH }));
+
   Logger.warn('Dataminr integration starting up');
   // Polling will be initialized on first doLookup call when options are available
 };
 
 /**
  * Cleanup resources and stop polling on shutdown
- * @returns {void}
+ * @returns {Promise<void>} Resolves once the cache state has been persisted
  */
-const shutdown = () => {
+const shutdown = async () => {
   if (alertPollingInterval) {
     clearInterval(alertPollingInterval);
     alertPollingInterval = null;
@@ -197,6 +318,17 @@ const shutdown = () => {
     pollingInitialized = false;
     Logger.info('Polling stopped');
   }
+
+  // Answer any held waitForAlerts requests so clients don't hang
+  pendingAlertWaiters.forEach((release) => release());
+
+  // Keep unsent webhook deliveries so they can be replayed after a restart
+  deadLetterPendingRetries();
+
+  await stopMetricsServer();
+
+  // Write any pending cache changes so the next startup can resume from them
+  await persistState();
 };
 
 /**
@@ -255,13 +387,170 @@ const createAlertTypeFilter = (options) => {
   return filterFn;
 };
 
+/**
+ * Get cached alerts matching a user's list, geofence, alert type, routing rule and read filters
+ * @param {Object} params - Filter parameters
+ * @param {Array<string>} params.listIds - List IDs to filter by
+ * @param {string|null} [params.alertFilterTimestamp] - Only return alerts after this ISO timestamp
+ * @param {Object} params.options - Configuration options
+ * @param {string} params.username - Polarity username
+ * @param {boolean} params.excludeRead - Leave out alerts the user already acknowledged
+ * @returns {Array<Object>} Matching alerts (newest first)
+ */
+const getMatchingCachedAlerts = ({
+  listIds,
+  alertFilterTimestamp,
+  options,
+  username,
+  excludeRead
+}) => {
+  const alertTypeFilter = createAlertTypeFilter(options);
+  const alertRulesFilter = createAlertRulesFilter(options);
+  const alerts = getCachedAlerts(
+    listIds,
+    alertFilterTimestamp,
+    getWatchedGeofences(options)
+  ).filter(
+    (alert) => alertTypeFilter(alert) && alertRulesFilter(alert)
+  );
+  return excludeRead ? filterUnreadAlerts(username, alerts) : alerts;
+};
+
+/**
+ * Wait until cached alerts match a user's filters, or until the timeout expires
+ * Resolves immediately if matching alerts are already cached.
+ * @param {Object} params - Filter parameters (see getMatchingCachedAlerts)
+ * @param {number} timeoutMs - Maximum time to wait in milliseconds
+ * @returns {Promise<Object>} Resolves with { alerts, timedOut }
+ */
+const waitForMatchingAlerts = (params, timeoutMs) => {
+  const alerts = getMatchingCachedAlerts(params);
+  if (alerts.length > 0) {
+    return Promise.resolve({ alerts, timedOut: false });
+  }
+
+  return new Promise((resolve) => {
+    let timeout = null;
+    let unsubscribe = null;
+
+    const release = (result = { alerts: [], timedOut: true }) => {
+      clearTimeout(timeout);
+      unsubscribe();
+      pendingAlertWaiters.delete(release);
+      resolve(result);
+    };
+
+    unsubscribe = onAlertsAdded(() => {
+      const matchingAlerts = getMatchingCachedAlerts(params);
+      if (matchingAlerts.length > 0) {
+        release({ alerts: matchingAlerts, timedOut: false });
+      }
+    });
+    timeout = setTimeout(release, timeoutMs);
+    pendingAlertWaiters.add(release);
+  });
+};
+
+/**
+ * Summarize the health of the polling subsystem
+ * - stopped: polling hasn't started (e.g. credentials aren't configured)
+ * - error: the last poll failed
+ * - degraded: rate limited, backfilling missed alerts, or no poll has completed recently
+ * - ok: polling normally
+ * @param {Object} options - Configuration options
+ * @returns {Object} Status object
+ * @returns {string} returns.health - One of 'ok', 'degraded', 'error' or 'stopped'
+ * @returns {string} returns.message - Human readable summary of the health
+ * @returns {Object} returns.polling - Polling state (cursor, last poll time, backfill progress)
+ * @returns {Object|null} returns.lastPoll - Outcome of the last poll cycle
+ * @returns {Object} returns.rateLimit - Rate limit state and request queue length
+ * @returns {Object} returns.token - Auth token expiry
+ * @returns {Object} returns.cache - Cached alert count and cache limits
+ * @returns {Object} returns.lists - Cached list count and outcome of the last lists poll
+ */
+const getPollingStatus = (options) => {
+  const pollingState = getPollingState();
+  const lastPoll = getLastPollResult();
+  const rateLimit = getRateLimitState();
+  const { maxAgeMs, maxAlerts } = getCacheLimits();
+  const pollIntervalMs = (Number(options.pollInterval) || 60) * 1000;
+  const isStale =
+    !!pollingState.lastPollTime &&
+    Date.now() - pollingState.lastPollTime > pollIntervalMs * STALE_POLL_INTERVALS;
+
+  let health = 'ok';
+  let message = 'Polling normally';
+  if (!pollingInitialized) {
+    health = 'stopped';
+    message = 'Polling has not started - check the Client ID and Client Secret';
+  } else if (lastPoll && !lastPoll.success && !lastPoll.rateLimited) {
+    health = 'error';
+    message = `Last poll failed: ${lastPoll.error}`;
+  } else if (lastPoll && lastPoll.rateLimited) {
+    health = 'degraded';
+    message = 'Rate limited by the Dataminr API - retrying on the next poll';
+  } else if (pollingState.backfill && pollingState.backfill.active) {
+    health = 'degraded';
+    message = 'Catching up on missed alerts';
+  } else if (isStale) {
+    health = 'degraded';
+    message = 'No poll has completed recently';
+  }
+
+  return {
+    health,
+    message,
+    polling: {
+      ...pollingState,
+      lastPollTime: pollingState.lastPollTime
+        ? new Date(pollingState.lastPollTime).toISOString()
+        : null,
+      pollIntervalSeconds: pollIntervalMs / 1000
+    },
+    lastPoll,
+    rateLimit: {
+      ...rateLimit,
+      resetAt: rateLimit.resetAt ? new Date(rateLimit.resetAt).toISOString() : null
+    },
+    token: getTokenStatus(options),
+    cache: {
+      alertCount: getCachedAlerts().length,
+      maxAlerts,
+      retentionMinutes: maxAgeMs / (60 * 1000)
+    },
+    lists: {
+      count: getCachedLists().length,
+      lastPoll: getListsPollResult()
+    }
+  };
+};
+
 /**
  * Handle incoming messages from the client
  * @param {Object} payload - Message payload containing action and other data
- * @param {string} payload.action - Action to perform ('getAlerts', 'getAlertById')
+ * @param {string} payload.action - Action to perform ('getAlerts', 'waitForAlerts', 'getAlertById', 'exportAlerts', 'exportStix', 'getGeofences', 'markAlertRead', 'markAllRead', 'getReadState', 'updateTriage', 'getTriage', 'dryRunRules', 'getBackfillStatus', 'getWebhookDeadLetters', 'replayWebhookDeadLetters', 'refreshLookup', 'searchMore', 'getDiagnostics', 'getStatus', 'getMetrics')
  * @param {string} payload.sinceTimestamp - Optional ISO timestamp to filter alerts (returns alerts after this timestamp)
  * @param {number} payload.count - Optional number of alerts to return (overrides timestamp on first query)
- * @param {string} payload.alertId - Optional alert ID to get
+ * @param {boolean} payload.excludeRead - Optional flag to leave out alerts the user already acknowledged (without sinceTimestamp, returns the newest MAX_INITIAL_UNREAD_ALERTS unread alerts)
+ * @param {number} payload.timeoutMs - Optional time in milliseconds 'waitForAlerts' holds the request open
+ * @param {boolean} payload.clustered - Optional flag to return one alert per cluster with clusterSize and relatedAlerts
+ * @param {string} payload.alertId - Optional alert ID to get, export or mark as read
+ * @param {Array<string>} payload.alertIds - Optional alert IDs to export with 'exportStix'
+ * @param {string} payload.format - Optional 'csv' (default) or 'json' for 'exportAlerts'
+ * @param {Array<string>} payload.listIds - Optional list IDs for 'exportAlerts', limited to the user's lists (defaults to all of them)
+ * @param {Array<string>} payload.alertTypes - Optional alert types for 'exportAlerts' (defaults to all)
+ * @param {string} payload.since - Optional ISO start of the 'exportAlerts' range (defaults to the cache window)
+ * @param {string} payload.until - Optional ISO end of the 'exportAlerts' range (defaults to now)
+ * @param {string} payload.query - Optional text the exported alerts must contain
+ * @param {Array<string>} payload.relatedAlertIds - Optional related alert IDs to mark as read with 'markAlertRead' (up to MAX_RELATED_READ_ALERT_IDS)
+ * @param {string} payload.readThroughTimestamp - Optional ISO timestamp for 'markAllRead' (defaults to the latest cached alert)
+ * @param {string} payload.status - Optional triage status for 'updateTriage' (one of TRIAGE_STATUSES)
+ * @param {string|null} payload.assignee - Optional assignee for 'updateTriage' ('me' assigns the requesting user, null unassigns)
+ * @param {string} payload.note - Optional note to append for 'updateTriage'
+ * @param {Array<string>} payload.deadLetterIds - Optional dead letter IDs for 'replayWebhookDeadLetters' (defaults to all)
+ * @param {Object} payload.entity - Entity to search for 'refreshLookup' and 'searchMore'
+ * @param {string|null} payload.cursor - Optional paging cursor for 'searchMore' (returned with the previous page)
+ * @param {Array<string>} payload.loadedAlertIds - Optional IDs of the alerts already shown, left out by 'searchMore'
  * @param {Object} options - Configuration options
  * @param {Function} cb - Callback function (error, result)
  * @returns {Promise<void>} Resolves when message is handled
@@ -280,10 +569,15 @@ const onMessage = async (payload, options, cb) => {
 
     const username = options._request.user.username;
 
+    if (ADMIN_ONLY_ACTIONS.includes(action) && !isAdminRequest(options)) {
+      Logger.warn({ action, username }, 'Non-admin user requested an admin only action');
+      return cb({ detail: `Only Polarity admins can use the ${action} action` });
+    }
+
     switch (action) {
       case 'getAlerts':
         // Extract parameters from payload
-        const { sinceTimestamp, count: countParam } = payload;
+        const { sinceTimestamp, count: countParam, excludeRead, clustered } = payload;
 
         // Use the latest alert timestamp for filtering consistency
         const lastAlertTimestamp = getLatestAlertTimestamp() || new Date().toISOString();
@@ -293,18 +587,27 @@ const onMessage = async (payload, options, cb) => {
 
         // Use provided timestamp or default to current time if not provided
         // If alertCount is provided, don't filter by timestamp (return null)
+        // When excluding read alerts, a first query without a timestamp returns the
+        // newest unread cached alerts (capped below)
         const alertFilterTimestamp = alertCount
           ? null
-          : sinceTimestamp || new Date().toISOString();
+          : sinceTimestamp || (excludeRead ? null : new Date().toISOString());
 
-        // Create alert type filter function
+        // Create alert type and routing rule filter functions
         const alertTypeFilter = createAlertTypeFilter(options);
+        const alertRulesFilter = createAlertRulesFilter(options);
 
         try {
-          // Get alerts from global cache (filtered by listIds if provided)
-          const cachedAlerts = getCachedAlerts(listIds, alertFilterTimestamp);
+          // Get alerts from global cache (filtered by listIds and watched geofences if provided)
+          const cachedAlerts = getCachedAlerts(
+            listIds,
+            alertFilterTimestamp,
+            getWatchedGeofences(options)
+          );
           // Filter cached alerts by alert type
-          let alerts = cachedAlerts.filter(alertTypeFilter);
+          let alerts = cachedAlerts.filter(
+            (alert) => alertTypeFilter(alert) && alertRulesFilter(alert)
+          );
 
           // Check if we need to query API (only if count is requested and cache doesn't have enough)
           if (alertCount && alerts.length < alertCount) {
@@ -324,9 +627,13 @@ const onMessage = async (payload, options, cb) => {
                 );
               }
 
-              // Filter API alerts by alert type
+              // Filter API alerts by alert type and watched geofences
               // Note: Since we currently filter by alert type after getAlerts, we could have less than the requested count
-              alerts = apiAlerts.filter(alertTypeFilter);
+              const geofenceFilter = createGeofenceFilter(options);
+              alerts = apiAlerts.filter(
+                (alert) =>
+                  alertTypeFilter(alert) && alertRulesFilter(alert) && geofenceFilter(alert)
+              );
             } catch (apiError) {
               const errorStatus =
                 apiError?.status || apiError?.statusCode || apiError?.meta?.statusCode;
@@ -341,6 +648,30 @@ const onMessage = async (payload, options, cb) => {
             }
           }
 
+          if (excludeRead) {
+            // Leave out alerts this user already acknowledged (on any workstation)
+            alerts = filterUnreadAlerts(username, alerts);
+          }
+
+          // A first unread query is capped; the response says how many alerts are unread
+          const unreadTotal = alerts.length;
+          const unreadTruncated =
+            !!excludeRead &&
+            !alertFilterTimestamp &&
+            !alertCount &&
+            unreadTotal > MAX_INITIAL_UNREAD_ALERTS;
+          if (unreadTruncated) {
+            alerts = alerts.slice(0, MAX_INITIAL_UNREAD_ALERTS);
+          }
+
+          if (clustered) {
+            // Collapse near-identical alerts into one entry per cluster with its related alerts
+            alerts = groupAlertsByCluster(
+              alerts,
+              getMatchingCachedAlerts({ listIds, options, username, excludeRead })
+            );
+          }
+
           if (alertCount) {
             // Limit to requested count if count was provided
             alerts = alerts.slice(0, alertCount);
@@ -349,7 +680,10 @@ const onMessage = async (payload, options, cb) => {
           cb(null, {
             alerts: alerts,
             count: alerts.length,
-            lastAlertTimestamp: lastAlertTimestamp
+            lastAlertTimestamp: lastAlertTimestamp,
+            triage: getTriageForAlerts(alerts.map((alert) => alert.alertId)),
+            ...(excludeRead && { readState: getReadState(username) }),
+            ...(unreadTruncated && { unreadTruncated, unreadTotal })
           });
         } catch (error) {
           const err = parseErrorToReadableJson(error);
@@ -365,6 +699,68 @@ const onMessage = async (payload, options, cb) => {
         }
         break;
 
+      case 'waitForAlerts':
+        // Long-poll: hold the request until new alerts match this user's filters or the timeout expires
+        const {
+          sinceTimestamp: waitSinceTimestamp,
+          excludeRead: waitExcludeRead,
+          clustered: waitClustered,
+          timeoutMs: requestedTimeoutMs
+        } = payload;
+        const waitTimeoutMs = Math.min(
+          Math.max(
+            parseInt(requestedTimeoutMs, 10) || WAIT_FOR_ALERTS_DEFAULT_TIMEOUT_MS,
+            1000
+          ),
+          WAIT_FOR_ALERTS_MAX_TIMEOUT_MS
+        );
+
+        const { alerts: allMatchedAlerts, timedOut } = await waitForMatchingAlerts(
+          {
+            listIds,
+            alertFilterTimestamp:
+              waitSinceTimestamp || (waitExcludeRead ? null : new Date().toISOString()),
+            options,
+            username,
+            excludeRead: waitExcludeRead
+          },
+          waitTimeoutMs
+        );
+        // A first unread query is capped, as with getAlerts
+        const waitUnreadTruncated =
+          !!waitExcludeRead &&
+          !waitSinceTimestamp &&
+          allMatchedAlerts.length > MAX_INITIAL_UNREAD_ALERTS;
+        const matchedAlerts = waitUnreadTruncated
+          ? allMatchedAlerts.slice(0, MAX_INITIAL_UNREAD_ALERTS)
+          : allMatchedAlerts;
+        const waitedAlerts = waitClustered
+          ? groupAlertsByCluster(
+              matchedAlerts,
+              getMatchingCachedAlerts({
+                listIds,
+                options,
+                username,
+                excludeRead: waitExcludeRead
+              })
+            )
+          : matchedAlerts;
+
+        cb(null, {
+          alerts: waitedAlerts,
+          count: waitedAlerts.length,
+          timedOut,
+          lastAlertTimestamp:
+            getLatestAlertTimestamp() || waitSinceTimestamp || new Date().toISOString(),
+          triage: getTriageForAlerts(waitedAlerts.map((alert) => alert.alertId)),
+          ...(waitExcludeRead && { readState: getReadState(username) }),
+          ...(waitUnreadTruncated && {
+            unreadTruncated: true,
+            unreadTotal: allMatchedAlerts.length
+          })
+        });
+        break;
+
       case 'getAlertById':
         // Get a single alert by ID from the API
         const { alertId: requestedAlertId } = payload;
@@ -401,6 +797,99 @@ const onMessage = async (payload, options, cb) => {
           });
         break;
 
+      case 'exportAlerts':
+        // Export the pinned alert feed (cache, or API paging for older ranges) as CSV or JSON
+        const exportFormat = String(payload.format || 'csv').toLowerCase();
+        if (!EXPORT_FORMATS.includes(exportFormat)) {
+          return cb({ detail: `Unsupported export format: ${payload.format}` });
+        }
+
+        // Requested lists may only narrow the user's lists (any list when none are set)
+        const exportListIds =
+          Array.isArray(payload.listIds) && payload.listIds.length > 0
+            ? payload.listIds.map(String)
+            : listIds;
+        const watchedListIds = (listIds || []).map(String);
+        const unwatchedListIds = listIds
+          ? exportListIds.filter((id) => !watchedListIds.includes(id))
+          : [];
+        if (unwatchedListIds.length > 0) {
+          return cb({ detail: `Lists not watched: ${unwatchedListIds.join(', ')}` });
+        }
+
+        const exportTypeFilter = createAlertTypeFilter(options);
+        const exportRulesFilter = createAlertRulesFilter(options);
+        const exportGeofenceFilter = createGeofenceFilter(options);
+        const exportResult = await collectExportAlerts(options, {
+          listIds: exportListIds,
+          alertTypes:
+            Array.isArray(payload.alertTypes) && payload.alertTypes.length > 0
+              ? payload.alertTypes
+              : null,
+          since: payload.since,
+          until: payload.until,
+          query: payload.query,
+          filter: (alert) =>
+            exportTypeFilter(alert) && exportRulesFilter(alert) && exportGeofenceFilter(alert)
+        });
+
+        Logger.info(
+          {
+            username,
+            format: exportFormat,
+            alertCount: exportResult.alerts.length,
+            source: exportResult.source,
+            truncated: exportResult.truncated
+          },
+          'Exported alerts'
+        );
+        cb(null, {
+          ...formatExport(exportResult, exportFormat),
+          count: exportResult.alerts.length,
+          source: exportResult.source,
+          truncated: exportResult.truncated
+        });
+        break;
+
+      case 'exportStix':
+        // Build a STIX 2.1 bundle for one or more alerts (fetched from cache or the API)
+        const stixAlertIds = Array.isArray(payload.alertIds)
+          ? payload.alertIds
+          : [payload.alertId].filter(Boolean);
+        if (stixAlertIds.length === 0) {
+          return cb({ detail: 'Missing alertId or alertIds in payload' });
+        }
+        if (stixAlertIds.length > MAX_STIX_EXPORT_ALERTS) {
+          return cb({
+            detail: `At most ${MAX_STIX_EXPORT_ALERTS} alerts can be exported at once`
+          });
+        }
+
+        const stixAlerts = (
+          await Promise.all(
+            stixAlertIds.map((stixAlertId) =>
+              getAlertById(stixAlertId, { ...options, listIds: listIds })
+            )
+          )
+        ).filter(Boolean);
+        if (stixAlerts.length === 0) {
+          return cb({ detail: 'Alerts not found' });
+        }
+
+        const bundle = buildStixBundle(stixAlerts);
+        Logger.debug(
+          { alertCount: stixAlerts.length, objectCount: bundle.objects.length },
+          'Exported alerts as STIX bundle'
+        );
+        cb(null, {
+          bundle,
+          filename:
+            stixAlerts.length === 1
+              ? `dataminr-alert-${stixAlerts[0].alertId}.stix.json`
+              : `dataminr-alerts-${stixAlerts.length}.stix.json`
+        });
+        break;
+
       case 'renderAlertDetail':
         // Render alert detail HTML using handlebars template
         // Fetch alert from backend cache (or API if not cached) and render
@@ -465,6 +954,206 @@ const onMessage = async (payload, options, cb) => {
         cb(null, { lists: cachedLists || [] });
         break;
 
+      case 'getGeofences':
+        // Get the admin configured geofences as choices for the setGeofencesToWatch option
+        cb(null, { geofences: getGeofenceChoices(options) });
+        break;
+
+      case 'markAlertRead':
+        // Acknowledge a single alert (and any related alerts of its cluster) for this user
+        const { alertId: readAlertId } = payload;
+        if (!readAlertId) {
+          return cb({ detail: 'Missing alertId in payload' });
+        }
+        // Capped so one message can't push the user's other acknowledgements out
+        const relatedAlertIds = Array.isArray(payload.relatedAlertIds)
+          ? payload.relatedAlertIds.slice(0, MAX_RELATED_READ_ALERT_IDS)
+          : [];
+        cb(null, {
+          readState: markAlertsRead(username, [readAlertId].concat(relatedAlertIds))
+        });
+        break;
+
+      case 'markAllRead':
+        // Acknowledge every alert up to the given timestamp (or the latest cached alert) for this user
+        const readThroughTimestamp =
+          payload.readThroughTimestamp ||
+          getLatestAlertTimestamp() ||
+          new Date().toISOString();
+        if (Array.isArray(payload.alertIds) && payload.alertIds.length > 0) {
+          markAlertsRead(username, payload.alertIds);
+        }
+        cb(null, { readState: markAllAlertsRead(username, readThroughTimestamp) });
+        break;
+
+      case 'getReadState':
+        cb(null, { readState: getReadState(username) });
+        break;
+
+      case 'updateTriage':
+        // Update the shared triage record (status, assignee, notes) for an alert
+        const { alertId: triageAlertId, status: triageStatus, note: triageNote } = payload;
+        if (!triageAlertId) {
+          return cb({ detail: 'Missing alertId in payload' });
+        }
+        if (triageStatus !== undefined && !TRIAGE_STATUSES.includes(triageStatus)) {
+          return cb({
+            detail: `Invalid triage status: ${triageStatus}. Expected one of ${TRIAGE_STATUSES.join(', ')}`
+          });
+        }
+        if (triageNote !== undefined && typeof triageNote !== 'string') {
+          return cb({ detail: 'Triage note must be a string' });
+        }
+        // Only real alerts get a triage record (already triaged, cached or in the API)
+        if (
+          typeof triageAlertId !== 'string' ||
+          (!getTriage(triageAlertId) && !(await getAlertById(triageAlertId, options)))
+        ) {
+          return cb({ detail: `Alert ${triageAlertId} not found` });
+        }
+
+        const triageAssignee =
+          payload.assignee === 'me'
+            ? username
+            : payload.assignee === null || typeof payload.assignee === 'string'
+            ? payload.assignee || null
+            : undefined;
+
+        const triage = updateTriage(
+          triageAlertId,
+          { status: triageStatus, assignee: triageAssignee, note: triageNote },
+          username
+        );
+        Logger.debug({ alertId: triageAlertId, username, triage }, 'Updated alert triage');
+        cb(null, { alertId: triageAlertId, triage });
+        break;
+
+      case 'getTriage':
+        // Get the shared triage record for one alert or a set of alerts
+        if (Array.isArray(payload.alertIds)) {
+          return cb(null, { triage: getTriageForAlerts(payload.alertIds) });
+        }
+        if (!payload.alertId) {
+          return cb({ detail: 'Missing alertId in payload' });
+        }
+        cb(null, { alertId: payload.alertId, triage: getTriage(payload.alertId) });
+        break;
+
+      case 'dryRunRules':
+        // Show which of the user's cached alerts each configured routing rule would hit
+        const dryRunResult = dryRunAlertRules(
+          options.alertRoutingRules,
+          getCachedAlerts(listIds, null, getWatchedGeofences(options))
+        );
+        cb(null, dryRunResult);
+        break;
+
+      case 'getBackfillStatus':
+        // Report progress of any backfill of alerts missed while polling was failing
+        const pollingState = getPollingState();
+        cb(null, {
+          backfill: pollingState.backfill || null,
+          lastPollTime: pollingState.lastPollTime,
+          lastAlertTimestamp: pollingState.lastAlertTimestamp || null
+        });
+        break;
+
+      case 'getWebhookDeadLetters':
+        // Inspect webhook deliveries that failed after all retries
+        const deadLetters = listWebhookDeadLetters();
+        cb(null, { deadLetters, count: deadLetters.length });
+        break;
+
+      case 'replayWebhookDeadLetters':
+        // Send dead letters to their endpoints again (all of them if no IDs are given)
+        const deadLetterIds = Array.isArray(payload.deadLetterIds)
+          ? payload.deadLetterIds
+          : null;
+        const replayResult = await replayWebhookDeadLetters(deadLetterIds, options);
+        Logger.info({ username, ...replayResult }, 'Replaying webhook dead letters');
+        cb(null, replayResult);
+        break;
+
+      case 'refreshLookup':
+        // Search one entity again, bypassing the search cache (the block's Refresh button)
+        const { entity: lookupEntity } = payload;
+        if (!lookupEntity || !lookupEntity.value) {
+          return cb({ detail: 'Missing entity in payload' });
+        }
+
+        const refreshedAlerts = await searchAlerts(
+          removeExcludedEntities([lookupEntity], options),
+          options,
+          { bypassCache: true }
+        );
+        cacheSearchResultAlerts(refreshedAlerts);
+        const [refreshedResult] = await assembleLookupResults(
+          [lookupEntity],
+          refreshedAlerts,
+          options
+        );
+        cb(null, {
+          summary: refreshedResult.data ? refreshedResult.data.summary : [],
+          details: refreshedResult.data
+            ? refreshedResult.data.details
+            : {
+                alerts: [],
+                searchCache: { fromCache: false, cachedAt: new Date().toISOString() }
+              }
+        });
+        break;
+
+      case 'searchMore':
+        // Next page of older alerts for one entity lookup (the block's Load more button)
+        const { entity: moreEntity, cursor: moreCursor, loadedAlertIds } = payload;
+        if (!moreEntity || !moreEntity.value) {
+          return cb({ detail: 'Missing entity in payload' });
+        }
+        if (removeExcludedEntities([moreEntity], options).length === 0) {
+          return cb({ detail: 'This entity is excluded from Dataminr searches' });
+        }
+
+        const morePage = await searchMoreAlerts(moreEntity, options, {
+          cursor: moreCursor || null,
+          loadedAlertIds: Array.isArray(loadedAlertIds) ? loadedAlertIds : []
+        });
+        cacheSearchResultAlerts([{ result: morePage.alerts }]);
+        cb(null, {
+          alerts: await Promise.all(
+            morePage.alerts.map((alert) =>
+              processAlertData(alert, options, moreEntity.value)
+            )
+          ),
+          paging: morePage.paging
+        });
+        break;
+
+      case 'getStatus':
+        // Report polling health, rate limiting, token expiry, cache and list status
+        cb(null, getPollingStatus(options));
+        break;
+
+      case 'getMetrics':
+        // Prometheus text exposition of API, rate limit, queue, polling and search metrics
+        cb(null, { contentType: PROMETHEUS_CONTENT_TYPE, metrics: renderMetrics() });
+        break;
+
+      case 'getDiagnostics':
+        // Report memory use and alert and search cache stats for troubleshooting
+        const memoryUsage = process.memoryUsage();
+        cb(null, {
+          cache: getCacheStats(),
+          searchCache: getSearchCacheStats(),
+          memory: {
+            rssBytes: memoryUsage.rss,
+            heapUsedBytes: memoryUsage.heapUsed,
+            heapTotalBytes: memoryUsage.heapTotal,
+            externalBytes: memoryUsage.external
+          },
+          uptimeSeconds: Math.round(process.uptime())
+        });
+        break;
+
       default:
         Logger.warn({ action }, 'Unknown action in message');
         cb({ detail: `Unknown action: ${action}` });
@@ -0,0 +1,640 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { ROUTE_PREFIX, DEFAULT_PAGE_SIZE } = require('../constants');
+
+const DEFAULT_FIXTURES = [
+  path.join(__dirname, 'pulseAlerts.json'),
+  path.join(__dirname, 'lists.json')
+];
+const DEFAULT_TOKEN_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_RATE_LIMIT = { limit: 6, windowMs: 30000 };
+const DEFAULT_RETRY_AFTER_MS = 1000;
+const FIXTURE_ALERT_SPACING_MS = 5 * 60 * 1000; // Gap between re-stamped fixture alerts
+const MAX_PAGE_SIZE = 1000;
+const MAX_LOGGED_REQUESTS = 1000;
+const ROUTE_NAMES = ['token', 'alerts', 'alert', 'lists'];
+
+/**
+ * Convert an alert in the older Dataminr fixture format (e.g. mocks/details.json) to the
+ * Pulse API format the integration reads. Pulse alerts are returned unchanged.
+ * @param {Object} alert - Fixture alert
+ * @returns {Object} Pulse API alert
+ */
+const normalizeFixtureAlert = (alert) => {
+  if (alert.headline || !alert.caption) {
+    return alert;
+  }
+
+  const location = alert.eventLocation;
+  const coordinates = location && location.coordinates;
+  return {
+    alertId: alert.alertId,
+    alertType: { name: alert.alertType || 'Alert' },
+    alertTimestamp: new Date(alert.eventTime || Date.now()).toISOString(),
+    headline: alert.caption,
+    dataminrAlertUrl: alert.expandAlertURL || null,
+    estimatedEventLocation: location
+      ? {
+          name: location.name,
+          coordinates: coordinates ? [coordinates.lat, coordinates.lon] : undefined
+        }
+      : undefined,
+    publicPost: alert.post
+      ? {
+          href: alert.post.link,
+          timestamp: alert.post.timestamp,
+          media: (alert.post.media || []).map((media) => ({
+            type: media.type,
+            href: media.media_url
+          }))
+        }
+      : undefined,
+    alertReferenceTerms: (alert.relatedTerms || []).map(({ text }) => ({ text })),
+    alertCompanies: (alert.companies || []).map(({ name }) => ({ name })),
+    listsMatched: (alert.watchlistsMatchedByType || []).map(({ id, name }) => ({
+      id,
+      name
+    }))
+  };
+};
+
+/**
+ * Load alerts and lists from fixture files ({ alerts: [...] } and/or { lists: {...} })
+ * @param {Array<string>} fixturePaths - JSON fixture file paths
+ * @returns {Object} { alerts, lists }
+ */
+const loadFixtures = (fixturePaths) =>
+  fixturePaths.reduce(
+    (agg, fixturePath) => {
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      const lists = Object.keys(fixture.lists || {}).reduce(
+        (merged, listType) => ({
+          ...merged,
+          [listType]: (merged[listType] || []).concat(fixture.lists[listType])
+        }),
+        agg.lists
+      );
+      return {
+        alerts: agg.alerts.concat((fixture.alerts || []).map(normalizeFixtureAlert)),
+        lists
+      };
+    },
+    { alerts: [], lists: {} }
+  );
+
+/**
+ * Encode a stream position as an opaque page cursor
+ * @param {number} seq - Stream position
+ * @returns {string} Cursor
+ */
+const encodeCursor = (seq) => Buffer.from(`seq:${seq}`).toString('base64url');
+
+/**
+ * Decode a page cursor
+ * @param {string} cursor - Cursor from a nextPage or previousPage link
+ * @returns {number|null} Stream position, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  const match = /^seq:(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Get the lowercase terms of a search query (quoted terms joined with OR)
+ * @param {string} query - Search query
+ * @returns {Array<string>} Terms, any of which must appear in an alert
+ */
+const getQueryTerms = (query) =>
+  String(query)
+    .split(/\s+OR\s+/)
+    .map((term) => term.trim().replace(/^"(.*)"$/, '$1').toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Get the text of an alert that search queries are matched against
+ * @param {Object} alert - Pulse API alert
+ * @returns {string} Lowercase searchable text
+ */
+const getSearchableText = (alert) =>
+  JSON.stringify([
+    alert.headline,
+    alert.subHeadline,
+    alert.publicPost && alert.publicPost.text,
+    alert.alertReferenceTerms,
+    alert.liveBrief,
+    alert.metadata
+  ]).toLowerCase();
+
+/**
+ * Build an API error response body
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Object} { errors: [{ code, message }] }
+ */
+const createErrorBody = (status, message) => ({ errors: [{ code: status, message }] });
+
+/**
+ * Check whether a fault rule applies to the nth request of its route
+ * Rules without "on" or "every" apply to every request, until "times" injections are
+ * used up.
+ * @param {Object} fault - Fault rule
+ * @param {number} requestNumber - 1-based count of requests to the route
+ * @returns {boolean} True if the fault should be injected
+ */
+const isFaultDue = (fault, requestNumber) => {
+  if (fault.times !== undefined && fault.injected >= fault.times) {
+    return false;
+  }
+  if (Array.isArray(fault.on)) {
+    return fault.on.includes(requestNumber);
+  }
+  if (fault.every) {
+    return requestNumber % fault.every === 0;
+  }
+  return true;
+};
+
+/**
+ * Create a local stand-in for the Dataminr Pulse API
+ * Serves auth/v1/token, pulse/v1/alerts (from/to cursors, lists, query and pageSize),
+ * pulse/v1/alerts/{id} and pulse/v1/lists from fixtures, with a simulated rate limit and
+ * scheduled faults. Point the integration's url option at the returned url.
+ * @param {Object} [config] - Mock server settings
+ * @param {Array<string>} [config.fixtures] - Fixture files (defaults to mocks/pulseAlerts.json and mocks/lists.json)
+ * @param {boolean} [config.restampFixtures=true] - Re-time fixture alerts to the minutes before the server started, keeping their order
+ * @param {string} [config.clientId] - Accepted client ID (any non-empty credentials if unset)
+ * @param {string} [config.clientSecret] - Accepted client secret
+ * @param {number} [config.tokenTtlMs] - Lifetime of issued tokens
+ * @param {Object|null} [config.rateLimit] - { limit, windowMs } sent as x-ratelimit-* headers and enforced with 429s (null disables)
+ * @param {Array<Object>} [config.faults] - Fault rules (see addFault)
+ * @param {number} [config.newAlertIntervalMs] - Publish a copy of a fixture alert this often (0 disables)
+ * @returns {Object} Mock server ({ start, stop, url, addAlerts, addFault, clearFaults, expireTokens, requests })
+ */
+const createMockServer = ({
+  fixtures = DEFAULT_FIXTURES,
+  restampFixtures = true,
+  clientId = null,
+  clientSecret = null,
+  tokenTtlMs = DEFAULT_TOKEN_TTL_MS,
+  rateLimit = DEFAULT_RATE_LIMIT,
+  faults = [],
+  newAlertIntervalMs = 0
+} = {}) => {
+  const fixtureData = loadFixtures(fixtures);
+  const lists = fixtureData.lists;
+  const tokens = new Map();
+  const routeCounts = ROUTE_NAMES.reduce(
+    (counts, name) => ({ ...counts, [name]: 0 }),
+    {}
+  );
+  const requests = [];
+  let faultRules = [];
+  let alerts = [];
+  let nextSeq = 1;
+  let rateLimitWindow = { startedAt: 0, used: 0 };
+  let server = null;
+  let newAlertTimer = null;
+  let publishedCount = 0;
+
+  /**
+   * Add alerts to the stream as the newest alerts (in the given order, oldest first)
+   * Alerts without a timestamp are stamped with the current time.
+   * @param {Array<Object>} newAlerts - Pulse API alerts
+   * @returns {void}
+   */
+  const addAlerts = (newAlerts) => {
+    alerts = alerts.concat(
+      newAlerts.map((alert) => ({
+        seq: nextSeq++,
+        alert: {
+          ...alert,
+          alertTimestamp: alert.alertTimestamp || new Date().toISOString()
+        }
+      }))
+    );
+  };
+
+  /**
+   * Schedule a fault
+   * @param {Object} fault - Fault rule
+   * @param {string} fault.route - 'token', 'alerts', 'alert' (by ID), 'lists' or '*'
+   * @param {number} [fault.status] - Status to respond with: 401 (expires the caller's token), 404, 429 or any other error status. Omit to only add headers.
+   * @param {Object} [fault.headers] - Extra response headers (e.g. x-ratelimit-remaining)
+   * @param {Array<number>} [fault.on] - 1-based request numbers of the route to inject on
+   * @param {number} [fault.every] - Inject on every nth request of the route
+   * @param {number} [fault.times] - Stop after this many injections
+   * @param {number} [fault.retryAfterMs] - x-ratelimit-reset of injected 429s
+   * @returns {void}
+   */
+  const addFault = (fault) => {
+    faultRules = faultRules.concat({ ...fault, injected: 0 });
+  };
+
+  /**
+   * Remove every scheduled fault
+   * @returns {void}
+   */
+  const clearFaults = () => {
+    faultRules = [];
+  };
+
+  /**
+   * Expire every issued token, as if they timed out (the next API call gets a 401)
+   * @returns {void}
+   */
+  const expireTokens = () => {
+    tokens.clear();
+  };
+
+  /**
+   * Use one request of the simulated rate limit window
+   * @param {boolean} [consume=true] - False to only read the window (injected 429s)
+   * @returns {Object} { allowed, headers }
+   */
+  const useRateLimit = (consume = true) => {
+    if (!rateLimit) {
+      return { allowed: true, headers: {} };
+    }
+    const now = Date.now();
+    if (now - rateLimitWindow.startedAt >= rateLimit.windowMs) {
+      rateLimitWindow = { startedAt: now, used: 0 };
+    }
+    const allowed = rateLimitWindow.used < rateLimit.limit;
+    if (allowed && consume) {
+      rateLimitWindow.used++;
+    }
+    return {
+      allowed,
+      headers: {
+        'x-ratelimit-limit': String(rateLimit.limit),
+        'x-ratelimit-remaining': String(rateLimit.limit - rateLimitWindow.used),
+        'x-ratelimit-reset': String(rateLimitWindow.startedAt + rateLimit.windowMs - now)
+      }
+    };
+  };
+
+  /**
+   * Build a page link for the alerts route
+   * @param {Object} query - Query parameters of the current request
+   * @param {string} direction - 'from' or 'to'
+   * @param {number} seq - Stream position of the cursor
+   * @returns {string} Relative page URL
+   */
+  const getPageLink = (query, direction, seq) => {
+    const params = new URLSearchParams();
+    ['lists', 'query', 'pageSize'].forEach((key) => {
+      if (query.get(key)) params.set(key, query.get(key));
+    });
+    params.set(direction, encodeCursor(seq));
+    return `/${ROUTE_PREFIX}/v1/alerts?${params.toString()}`;
+  };
+
+  /**
+   * Get a page of the alert stream
+   * Without a cursor the newest alerts are returned; "from" pages forward to newer alerts
+   * and "to" pages back to older ones. Alerts in a page are newest first.
+   * @param {URLSearchParams} query - Query parameters
+   * @returns {Object} { status, body }
+   */
+  const getAlertsPage = (query) => {
+    const pageSize = Math.min(
+      parseInt(query.get('pageSize'), 10) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const from = query.get('from') ? decodeCursor(query.get('from')) : null;
+    const to = query.get('to') ? decodeCursor(query.get('to')) : null;
+    if ((query.get('from') && from === null) || (query.get('to') && to === null)) {
+      return { status: 400, body: createErrorBody(400, 'Invalid cursor') };
+    }
+
+    const listIds = query.get('lists') ? query.get('lists').split(',') : null;
+    const terms = query.get('query') ? getQueryTerms(query.get('query')) : null;
+    const matching = alerts.filter(
+      ({ alert }) =>
+        (!listIds ||
+          (alert.listsMatched || []).some((list) => listIds.includes(String(list.id)))) &&
+        (!terms || terms.some((term) => getSearchableText(alert).includes(term)))
+    );
+
+    const page =
+      from !== null
+        ? matching.filter(({ seq }) => seq > from).slice(0, pageSize)
+        : to !== null
+        ? matching.filter(({ seq }) => seq < to).slice(-pageSize)
+        : matching.slice(-pageSize);
+
+    const newestSeq = page.length > 0 ? page[page.length - 1].seq : from || nextSeq - 1;
+    const oldestSeq = page.length > 0 ? page[0].seq : null;
+    const hasOlder = oldestSeq !== null && matching.some(({ seq }) => seq < oldestSeq);
+
+    return {
+      status: 200,
+      body: {
+        alerts: page
+          .slice()
+          .reverse()
+          .map(({ alert }) => alert),
+        nextPage: getPageLink(query, 'from', newestSeq),
+        previousPage: hasOlder ? getPageLink(query, 'to', oldestSeq) : null
+      }
+    };
+  };
+
+  /**
+   * Issue a token for the client credentials grant
+   * @param {Object} form - Parsed request body
+   * @returns {Object} { status, body }
+   */
+  const issueToken = (form) => {
+    const validCredentials =
+      form.grant_type === 'api_key' &&
+      form.client_id &&
+      form.client_secret &&
+      (!clientId || form.client_id === clientId) &&
+      (!clientSecret || form.client_secret === clientSecret);
+    if (!validCredentials) {
+      return { status: 401, body: createErrorBody(401, 'Invalid credentials') };
+    }
+
+    const token = `mock-token-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const expire = Date.now() + tokenTtlMs;
+    tokens.set(token, expire);
+    return { status: 200, body: { dmaToken: token, expire } };
+  };
+
+  /**
+   * Get the route name of a request path
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {Object|null} { name, alertId } or null for unknown routes
+   */
+  const matchRoute = (method, pathname) => {
+    if (method === 'POST' && pathname === '/auth/v1/token') return { name: 'token' };
+    if (method !== 'GET') return null;
+    if (pathname === `/${ROUTE_PREFIX}/v1/alerts`) return { name: 'alerts' };
+    if (pathname === `/${ROUTE_PREFIX}/v1/lists`) return { name: 'lists' };
+    const alertMatch = new RegExp(`^/${ROUTE_PREFIX}/v1/alerts/([^/]+)$`).exec(pathname);
+    return alertMatch
+      ? { name: 'alert', alertId: decodeURIComponent(alertMatch[1]) }
+      : null;
+  };
+
+  /**
+   * Handle one API request
+   * @param {Object} route - Matched route ({ name, alertId })
+   * @param {Object} req - HTTP request
+   * @param {URLSearchParams} query - Query parameters
+   * @param {Object} form - Parsed request body
+   * @returns {Object} { status, body, headers }
+   */
+  const handleRequest = (route, req, query, form) => {
+    routeCounts[route.name]++;
+    const dueFaults = faultRules.filter(
+      (fault) =>
+        (fault.route === route.name || fault.route === '*') &&
+        isFaultDue(fault, routeCounts[route.name])
+    );
+    dueFaults.forEach((fault) => {
+      fault.injected++;
+    });
+    const faultHeaders = dueFaults.reduce(
+      (headers, fault) => ({ ...headers, ...(fault.headers || {}) }),
+      {}
+    );
+    const statusFault = dueFaults.find((fault) => fault.status);
+
+    if (route.name === 'token') {
+      const result = statusFault
+        ? {
+            status: statusFault.status,
+            body: createErrorBody(statusFault.status, 'Injected fault')
+          }
+        : issueToken(form);
+      return { ...result, headers: faultHeaders };
+    }
+
+    const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    const tokenExpiry = tokens.get(token);
+    const tokenFault = statusFault && statusFault.status === 401;
+    if (!tokenExpiry || tokenExpiry <= Date.now() || tokenFault) {
+      tokens.delete(token);
+      return {
+        status: 401,
+        body: createErrorBody(401, 'Token expired or invalid'),
+        headers: faultHeaders
+      };
+    }
+
+    const rateFault = !!statusFault && statusFault.status === 429;
+    const rate = useRateLimit(!rateFault);
+    const headers = { ...rate.headers, ...faultHeaders };
+    if (!rate.allowed || rateFault) {
+      return {
+        status: 429,
+        body: createErrorBody(429, 'Too many requests'),
+        headers: rate.allowed
+          ? {
+              ...headers,
+              'x-ratelimit-remaining': '0',
+              'x-ratelimit-reset': String(
+                statusFault.retryAfterMs || DEFAULT_RETRY_AFTER_MS
+              )
+            }
+          : headers
+      };
+    }
+    if (statusFault) {
+      return {
+        status: statusFault.status,
+        body: createErrorBody(statusFault.status, 'Injected fault'),
+        headers
+      };
+    }
+
+    if (route.name === 'lists') {
+      return { status: 200, body: { lists }, headers };
+    }
+    if (route.name === 'alert') {
+      const found = alerts.find(({ alert }) => alert.alertId === route.alertId);
+      return found
+        ? { status: 200, body: { alerts: [found.alert] }, headers }
+        : {
+            status: 404,
+            body: createErrorBody(404, 'Alert not found'),
+            headers
+          };
+    }
+    return { ...getAlertsPage(query), headers };
+  };
+
+  /**
+   * Parse a form or JSON request body
+   * @param {Object} req - HTTP request
+   * @param {string} rawBody - Request body
+   * @returns {Object} Parsed fields
+   */
+  const parseBody = (req, rawBody) => {
+    if (!rawBody) return {};
+    if (String(req.headers['content-type']).includes('application/json')) {
+      try {
+        return JSON.parse(rawBody);
+      } catch (_) {
+        return {};
+      }
+    }
+    return Object.fromEntries(new URLSearchParams(rawBody));
+  };
+
+  /**
+   * Read a request, answer it and log it in requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   * @returns {void}
+   */
+  const onRequest = (req, res) => {
+    let rawBody = '';
+    req.on('data', (chunk) => {
+      rawBody += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = matchRoute(req.method, url.pathname);
+      const result = route
+        ? handleRequest(route, req, url.searchParams, parseBody(req, rawBody))
+        : { status: 404, body: createErrorBody(404, 'Not found'), headers: {} };
+
+      requests.push({
+        method: req.method,
+        route: route ? route.name : null,
+        path: req.url,
+        status: result.status
+      });
+      if (requests.length > MAX_LOGGED_REQUESTS) requests.shift();
+
+      res.writeHead(result.status, {
+        'Content-Type': 'application/json',
+        ...result.headers
+      });
+      res.end(JSON.stringify(result.body));
+    });
+  };
+
+  /**
+   * Start listening on the local interface
+   * @param {number} [port=0] - Port (0 picks a free port)
+   * @returns {Promise<string>} Resolves with the base URL to use as the url option
+   */
+  const start = (port = 0) =>
+    new Promise((resolve, reject) => {
+      server = http.createServer(onRequest);
+      server.on('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        if (newAlertIntervalMs > 0 && fixtureData.alerts.length > 0) {
+          newAlertTimer = setInterval(() => {
+            const fixture =
+              fixtureData.alerts[publishedCount % fixtureData.alerts.length];
+            publishedCount++;
+            addAlerts([
+              {
+                ...fixture,
+                alertId: `${fixture.alertId}-${publishedCount}`,
+                alertTimestamp: new Date().toISOString()
+              }
+            ]);
+          }, newAlertIntervalMs);
+        }
+        resolve(mockServer.url());
+      });
+    });
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>} Resolves once the server is closed
+   */
+  const stop = () =>
+    new Promise((resolve) => {
+      clearInterval(newAlertTimer);
+      newAlertTimer = null;
+      if (!server) {
+        return resolve();
+      }
+      const closing = server;
+      server = null;
+      closing.close(() => resolve());
+    });
+
+  // Seed the stream with the fixtures, oldest first
+  const getTime = (alert) => new Date(alert.alertTimestamp).getTime() || 0;
+  const seedAlerts = fixtureData.alerts.slice().sort((a, b) => getTime(a) - getTime(b));
+  const seededAt = Date.now();
+  addAlerts(
+    restampFixtures
+      ? seedAlerts.map((alert, index) => ({
+          ...alert,
+          alertTimestamp: new Date(
+            seededAt - (seedAlerts.length - 1 - index) * FIXTURE_ALERT_SPACING_MS
+          ).toISOString()
+        }))
+      : seedAlerts
+  );
+  faults.forEach(addFault);
+
+  const mockServer = {
+    start,
+    stop,
+    url: () => (server ? `http://127.0.0.1:${server.address().port}` : null),
+    addAlerts,
+    addFault,
+    clearFaults,
+    expireTokens,
+    requests
+  };
+  return mockServer;
+};
+
+/**
+ * Read the command line options of the mock server
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { port, config }
+ */
+const parseArgs = (args) => {
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const fixtures = args
+    .map((arg, index) => (arg === '--fixtures' ? args[index + 1] : null))
+    .filter(Boolean)
+    .map((fixture) => path.resolve(fixture));
+  const faultsFile = getArg('--faults');
+
+  return {
+    port: parseInt(getArg('--port'), 10) || 8089,
+    config: {
+      fixtures: fixtures.length > 0 ? fixtures : DEFAULT_FIXTURES,
+      restampFixtures: !args.includes('--keep-timestamps'),
+      clientId: getArg('--client-id') || null,
+      clientSecret: getArg('--client-secret') || null,
+      rateLimit: args.includes('--no-rate-limit') ? null : DEFAULT_RATE_LIMIT,
+      faults: faultsFile
+        ? JSON.parse(fs.readFileSync(path.resolve(faultsFile), 'utf8'))
+        : [],
+      newAlertIntervalMs: (parseFloat(getArg('--new-alert-interval')) || 0) * 1000
+    }
+  };
+};
+
+if (require.main === module) {
+  const { port, config } = parseArgs(process.argv.slice(2));
+  const mockServer = createMockServer(config);
+  mockServer.start(port).then((url) => {
+    console.log(`Mock Dataminr API listening on ${url} (use it as the Dataminr API URL)`);
+  });
+  process.on('SIGINT', () => mockServer.stop().then(() => process.exit(0)));
+}
+
+module.exports = {
+  createMockServer
+};
@@ -0,0 +1,243 @@
+const { parseIPv4Cidr, isIPv4InCidr } = require('../ipRanges');
+const { MATCH_SNIPPET_CONTEXT_CHARS, MAX_MATCH_LOCATIONS } = require('../../constants');
+
+const IPV4_IN_TEXT_PATTERN = /(^|[^a-z0-9.])(\d{1,3}(?:\.\d{1,3}){3})(?![a-z0-9]|\.\d)/gi;
+
+/**
+ * Get the texts of name-like metadata items (strings or objects)
+ * @param {Array<Object|string>} items - Metadata items
+ * @param {Array<string>} keys - Object properties holding text
+ * @returns {Array<string>} Texts found on the items
+ */
+const getItemsTexts = (items, keys) =>
+  [].concat(
+    ...(Array.isArray(items) ? items : []).map((item) =>
+      item && typeof item === 'object' ? keys.map((key) => item[key]) : [item]
+    )
+  );
+
+// Alert fields an entity search can match: [field, display name, indicator field,
+// (alert, cyberMetadata) => texts]. A value equal to a whole indicator field is an exact
+// IOC match; anything else found is a text mention.
+const SEARCH_FIELDS = [
+  ['headline', 'Headline', false, (alert) => [alert.headline]],
+  [
+    'subHeadline',
+    'Sub headline',
+    false,
+    (alert) => [].concat(alert.subHeadline && alert.subHeadline.content)
+  ],
+  [
+    'publicPost',
+    'Public post',
+    false,
+    (alert) => [alert.publicPost && alert.publicPost.text]
+  ],
+  [
+    'liveBrief',
+    'Live brief',
+    false,
+    (alert) => getItemsTexts(alert.liveBrief, ['summary'])
+  ],
+  [
+    'referenceTerms',
+    'Reference term',
+    true,
+    (alert) => getItemsTexts(alert.alertReferenceTerms, ['text', 'name'])
+  ],
+  [
+    'threatActors',
+    'Threat actor',
+    true,
+    (alert, cyber) => getItemsTexts(cyber.threatActors, ['name'])
+  ],
+  ['URL', 'URL', true, (alert, cyber) => getItemsTexts(cyber.URL, ['name'])],
+  [
+    'addresses',
+    'IP address',
+    true,
+    (alert, cyber) => getItemsTexts(cyber.addresses, ['ip'])
+  ],
+  [
+    'asOrgs',
+    'AS organization',
+    true,
+    (alert, cyber) => getItemsTexts(cyber.asOrgs, ['asOrg', 'asn'])
+  ],
+  [
+    'hashValues',
+    'Hash',
+    true,
+    (alert, cyber) => getItemsTexts(cyber.hashValues, ['value'])
+  ],
+  ['malware', 'Malware', true, (alert, cyber) => getItemsTexts(cyber.malware, ['name'])],
+  [
+    'vulnerabilities',
+    'Vulnerability',
+    true,
+    (alert, cyber) => getItemsTexts(cyber.vulnerabilities, ['id'])
+  ]
+];
+
+/**
+ * Get the alert fields an entity search can match
+ * Covers the headline, sub headline, public post, live brief, reference terms and the
+ * metadata.cyber indicators.
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>} Searchable fields ({ field, fieldDisplay, indicator, text })
+ */
+const getAlertSearchFields = (alert) => {
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+  return [].concat(
+    ...SEARCH_FIELDS.map(([field, fieldDisplay, indicator, getTexts]) =>
+      getTexts(alert, cyber)
+        .filter((text) => text !== undefined && text !== null && String(text).trim())
+        .map((text) => ({ field, fieldDisplay, indicator, text: String(text) }))
+    )
+  );
+};
+
+/**
+ * Find a value in a text as a whole token (case-insensitive)
+ * The characters around the match must not be letters or digits, so 1.2.3.4 doesn't
+ * match 1.2.3.45 but example.com still matches www.example.com.
+ * @param {string} text - Text to search
+ * @param {string} value - Value to find
+ * @returns {number} Index of the first match, or -1
+ */
+const findValueInText = (text, value) => {
+  const lowerText = text.toLowerCase();
+  const lowerValue = value.toLowerCase();
+  const isWordChar = (char) => !!char && /[a-z0-9]/i.test(char);
+
+  let index = lowerText.indexOf(lowerValue);
+  while (index !== -1) {
+    if (
+      !isWordChar(lowerText[index - 1]) &&
+      !isWordChar(lowerText[index + lowerValue.length])
+    ) {
+      return index;
+    }
+    index = lowerText.indexOf(lowerValue, index + 1);
+  }
+  return -1;
+};
+
+/**
+ * Find the first IPv4 address inside a CIDR range in a text
+ * @param {string} text - Text to search
+ * @param {Object} range - Parsed range (see parseIPv4Cidr)
+ * @returns {Object|null} { index, length } of the address, or null
+ */
+const findCidrAddressInText = (text, range) => {
+  const pattern = new RegExp(IPV4_IN_TEXT_PATTERN.source, 'gi');
+  let match = pattern.exec(text);
+  while (match) {
+    if (isIPv4InCidr(match[2], range)) {
+      return { index: match.index + match[1].length, length: match[2].length };
+    }
+    match = pattern.exec(text);
+  }
+  return null;
+};
+
+/**
+ * Create a function that finds a searched value in field texts
+ * IPv4 CIDR values match any address inside the range; other values match as a token
+ * (see findValueInText).
+ * @param {string} value - Searched entity value
+ * @returns {Function} (text) => { index, length, whole } or null, whole being true when
+ *   the match is the entire text
+ */
+const createValueMatcher = (value) => {
+  const range = parseIPv4Cidr(value);
+  if (range) {
+    return (text) => {
+      const found = findCidrAddressInText(text, range);
+      return found && { ...found, whole: isIPv4InCidr(text, range) };
+    };
+  }
+  return (text) => {
+    const index = findValueInText(text, value);
+    return index === -1
+      ? null
+      : {
+          index,
+          length: value.length,
+          whole: text.trim().toLowerCase() === value.toLowerCase()
+        };
+  };
+};
+
+/**
+ * Check whether an alert mentions a searched value in its searchable fields
+ * @param {Object} alert - Alert object
+ * @param {string} value - Searched entity value (an IPv4 CIDR matches addresses in range)
+ * @returns {boolean} True if the value appears in the alert
+ */
+const alertMatchesValue = (alert, value) => {
+  const matchValue = createValueMatcher(value);
+  return getAlertSearchFields(alert).some(({ text }) => matchValue(text) !== null);
+};
+
+/**
+ * Cut a snippet around a match, split so the template can highlight the match
+ * @param {string} text - Field text
+ * @param {number} index - Index of the match
+ * @param {number} length - Length of the match
+ * @returns {Object} { before, match, after }
+ */
+const createSnippet = (text, index, length) => {
+  const start = Math.max(0, index - MATCH_SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(text.length, index + length + MATCH_SNIPPET_CONTEXT_CHARS);
+  const collapse = (part) => part.replace(/\s+/g, ' ');
+  return {
+    before: (start > 0 ? '…' : '') + collapse(text.slice(start, index)),
+    match: text.slice(index, index + length),
+    after: collapse(text.slice(index + length, end)) + (end < text.length ? '…' : '')
+  };
+};
+
+/**
+ * Explain where a searched value appears in an alert
+ * Each location is an exact IOC match (the whole value of an indicator field, or for an
+ * IPv4 CIDR an indicator address inside the range) or a text mention. Exact matches are
+ * listed first and only MAX_MATCH_LOCATIONS are returned.
+ * @param {Object} alert - Alert object
+ * @param {string} value - Searched entity value
+ * @returns {Object} { exactCount, mentionCount, locations } where each location is
+ *   { field, fieldDisplay, type ('exact' or 'mention'), before, match, after }
+ */
+const getMatchExplanation = (alert, value) => {
+  const searchedValue = String(value || '').trim();
+  if (!searchedValue) {
+    return { exactCount: 0, mentionCount: 0, locations: [] };
+  }
+
+  const matchValue = createValueMatcher(searchedValue);
+  const locations = getAlertSearchFields(alert)
+    .map(({ field, fieldDisplay, indicator, text }) => {
+      const found = matchValue(text);
+      if (!found) {
+        return null;
+      }
+      return Object.assign(
+        { field, fieldDisplay, type: indicator && found.whole ? 'exact' : 'mention' },
+        createSnippet(text, found.index, found.length)
+      );
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.type === b.type ? 0 : a.type === 'exact' ? -1 : 1));
+
+  const exactCount = locations.filter(({ type }) => type === 'exact').length;
+  return {
+    exactCount,
+    mentionCount: locations.length - exactCount,
+    locations: locations.slice(0, MAX_MATCH_LOCATIONS)
+  };
+};
+
+module.exports = {
+  alertMatchesValue,
+  getMatchExplanation
+};
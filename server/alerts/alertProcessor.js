@@ -2,7 +2,318 @@ const {
   logging: { getLogger }
 } = require('polarity-integration-utils');
 
-const { addAlertsToCache } = require('./stateManager');
+const { addAlertsToCache, getCachedAlerts, getCachedAlertById } = require('./stateManager');
+const { deliverAlertsToWebhooks } = require('./webhooks');
+const { createCounter } = require('../metrics');
+const {
+  CLUSTER_WINDOW_MS,
+  CLUSTER_HEADLINE_SIMILARITY,
+  CLUSTER_MIN_SHARED_REFERENCE_TERMS
+} = require('../../constants');
+
+// Prometheus metrics (see server/metrics.js)
+const alertsProcessedTotal = createCounter(
+  'alerts_processed_total',
+  'Alerts received from the Dataminr API by polling'
+);
+const alertsDuplicateTotal = createCounter(
+  'alerts_duplicate_total',
+  'Polled alerts that were already cached'
+);
+
+/**
+ * Get the epoch milliseconds timestamp of an alert
+ * @param {Object} alert - Alert object
+ * @returns {number} Alert time (0 if missing)
+ */
+const getAlertTime = (alert) =>
+  alert.alertTimestamp ? new Date(alert.alertTimestamp).getTime() : 0;
+
+/**
+ * Get the set of significant lowercase words in a headline
+ * @param {string} headline - Alert headline
+ * @returns {Set<string>} Words of 3 or more characters
+ */
+const getHeadlineWords = (headline) =>
+  new Set(
+    String(headline || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length >= 3)
+  );
+
+/**
+ * Get the set of lowercase reference terms of an alert
+ * Pulse sends terms as strings, First Alert as objects with a text property.
+ * @param {Object} alert - Alert object
+ * @returns {Set<string>} Reference terms
+ */
+const getReferenceTerms = (alert) =>
+  new Set(
+    (Array.isArray(alert.alertReferenceTerms) ? alert.alertReferenceTerms : [])
+      .map((term) =>
+        String(term && typeof term === 'object' ? term.text || term.name || '' : term || '')
+          .trim()
+          .toLowerCase()
+      )
+      .filter(Boolean)
+  );
+
+/**
+ * Count the items two sets have in common
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Number of shared items
+ */
+const countShared = (a, b) => {
+  let shared = 0;
+  a.forEach((item) => {
+    if (b.has(item)) shared++;
+  });
+  return shared;
+};
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+const jaccardSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = countShared(a, b);
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Get the parent alert ID from an alert's linked alerts
+ * @param {Object} alert - Alert object
+ * @returns {string|null} Parent alert ID or null
+ */
+const getParentAlertId = (alert) => {
+  const linkedAlert = (Array.isArray(alert.linkedAlerts) ? alert.linkedAlerts : []).find(
+    (linked) => linked && linked.parentAlertId && linked.parentAlertId !== alert.alertId
+  );
+  return linkedAlert ? linkedAlert.parentAlertId : null;
+};
+
+/**
+ * Get the headline words an alert is indexed under for headline clustering
+ * With the words in a fixed (sorted) order, two headlines at least
+ * CLUSTER_HEADLINE_SIMILARITY similar always share one of these leading words, so only
+ * alerts indexed under them need to be compared.
+ * @param {Set<string>} words - Headline words
+ * @returns {Array<string>} Index words
+ */
+const getHeadlineIndexWords = (words) => {
+  const sorted = Array.from(words).sort();
+  const minShared = Math.ceil(CLUSTER_HEADLINE_SIMILARITY * sorted.length);
+  return sorted.slice(0, sorted.length - minShared + 1);
+};
+
+/**
+ * Get the keys a clustering candidate is indexed and looked up under
+ * @param {Object} candidate - Candidate ({ words, terms })
+ * @returns {Array<string>} Reference term and headline word keys
+ */
+const getClusterKeys = ({ words, terms }) =>
+  Array.from(terms, (term) => `term:${term}`).concat(
+    getHeadlineIndexWords(words).map((word) => `word:${word}`)
+  );
+
+/**
+ * Create an index of alerts that incoming alerts can cluster with
+ * Candidates are indexed by alert ID and by cluster key (see getClusterKeys) so each
+ * incoming alert is only compared with alerts it could match. Later additions rank
+ * higher, so add candidates oldest first.
+ * @returns {Object} Index ({ add, get, findMatch })
+ */
+const createClusterIndex = () => {
+  const candidatesById = new Map();
+  const candidatesByKey = new Map();
+  let nextRank = 0;
+
+  /**
+   * Add a candidate
+   * @param {Object} candidate - Candidate ({ alert, time, words, terms })
+   * @returns {void}
+   */
+  const add = (candidate) => {
+    const indexed = { ...candidate, rank: nextRank++ };
+    candidatesById.set(indexed.alert.alertId, indexed);
+    new Set(getClusterKeys(indexed)).forEach((key) => {
+      candidatesByKey.set(key, (candidatesByKey.get(key) || []).concat(indexed));
+    });
+  };
+
+  /**
+   * Get a candidate by alert ID
+   * @param {string} alertId - Alert ID
+   * @returns {Object|undefined} Candidate
+   */
+  const get = (alertId) => candidatesById.get(alertId);
+
+  /**
+   * Find the most recently added candidate an alert clusters with
+   * @param {Object} candidate - The alert as a candidate ({ alert, time, words, terms })
+   * @returns {Object|null} Matching candidate and reason ({ match, reason }), or null
+   */
+  const findMatch = ({ alert, time, words, terms }) => {
+    let best = null;
+    getClusterKeys({ words, terms }).forEach((key) => {
+      (candidatesByKey.get(key) || []).forEach((candidate) => {
+        if (
+          (best && candidate.rank <= best.match.rank) ||
+          candidate.alert.alertId === alert.alertId ||
+          Math.abs(time - candidate.time) > CLUSTER_WINDOW_MS
+        ) {
+          return;
+        }
+        const sharedTerms = countShared(terms, candidate.terms);
+        const similarity = jaccardSimilarity(words, candidate.words);
+        if (sharedTerms >= CLUSTER_MIN_SHARED_REFERENCE_TERMS) {
+          best = { match: candidate, reason: 'referenceTerms' };
+        } else if (similarity >= CLUSTER_HEADLINE_SIMILARITY) {
+          best = { match: candidate, reason: 'headline' };
+        }
+      });
+    });
+    return best;
+  };
+
+  return { add, get, findMatch };
+};
+
+/**
+ * Create a clustering candidate for an alert
+ * @param {Object} alert - Alert object
+ * @returns {Object} Candidate ({ alert, time, words, terms })
+ */
+const createClusterCandidate = (alert) => ({
+  alert,
+  time: getAlertTime(alert),
+  words: getHeadlineWords(alert.headline),
+  terms: getReferenceTerms(alert)
+});
+
+/**
+ * Assign cluster IDs to incoming alerts
+ * An alert joins the cluster of an earlier alert (cached or earlier in the batch) when:
+ * - its linkedAlerts reference that alert as parent (or share the same parent)
+ * - it shares at least CLUSTER_MIN_SHARED_REFERENCE_TERMS reference terms with it
+ * - its headline words are at least CLUSTER_HEADLINE_SIMILARITY similar
+ * Alerts more than CLUSTER_WINDOW_MS apart are never clustered. The cluster ID is the
+ * alert ID of the first alert in the cluster; alerts that start a cluster get no clusterId.
+ * The most recent matching alert wins. Incoming alerts are not modified.
+ * @param {Array<Object>} alerts - Incoming alerts
+ * @returns {Object} Result
+ * @returns {Array<Object>} returns.alerts - The alerts (clustered ones copied with
+ *   clusterId and clusterReason)
+ * @returns {number} returns.clustered - Number of alerts assigned to an existing cluster
+ */
+const clusterAlerts = (alerts) => {
+  const newAlerts = alerts.filter(
+    (alert) => alert.alertId && !getCachedAlertById(alert.alertId)
+  );
+  if (newAlerts.length === 0) {
+    return { alerts, clustered: 0 };
+  }
+
+  // Only cached alerts within the cluster window of the batch can be matched
+  const oldestTime = Math.min(...newAlerts.map(getAlertTime));
+  const index = createClusterIndex();
+  getCachedAlerts(null, new Date(oldestTime - CLUSTER_WINDOW_MS - 1).toISOString())
+    .slice()
+    .reverse()
+    .forEach((alert) => index.add(createClusterCandidate(alert)));
+
+  const clusteredById = new Map();
+
+  // Oldest first so earlier alerts become cluster heads
+  newAlerts
+    .slice()
+    .sort((a, b) => getAlertTime(a) - getAlertTime(b))
+    .forEach((alert) => {
+      const candidate = createClusterCandidate(alert);
+      const parentAlertId = getParentAlertId(alert);
+
+      let clusterId = null;
+      let clusterReason = null;
+
+      if (parentAlertId) {
+        const parent = index.get(parentAlertId);
+        const parentAlert = parent ? parent.alert : getCachedAlertById(parentAlertId);
+        clusterId = (parentAlert && parentAlert.clusterId) || parentAlertId;
+        clusterReason = 'linkedAlert';
+      } else {
+        const found = index.findMatch(candidate);
+        if (found) {
+          clusterId = found.match.alert.clusterId || found.match.alert.alertId;
+          clusterReason = found.reason;
+        }
+      }
+
+      if (clusterId) {
+        candidate.alert = { ...alert, clusterId, clusterReason };
+        clusteredById.set(alert.alertId, candidate.alert);
+      }
+
+      index.add(candidate);
+    });
+
+  return {
+    alerts: alerts.map((alert) => clusteredById.get(alert.alertId) || alert),
+    clustered: clusteredById.size
+  };
+};
+
+/**
+ * Summarize an alert for cluster member lists
+ * @param {Object} alert - Alert object
+ * @returns {Object} Alert summary (alertId, headline, alertType, alertTimestamp)
+ */
+const summarizeAlert = (alert) => ({
+  alertId: alert.alertId,
+  headline: alert.headline,
+  alertType: alert.alertType,
+  alertTimestamp: alert.alertTimestamp
+});
+
+/**
+ * Collapse alerts into one entry per cluster
+ * The first alert of each cluster in the list (the newest for newest-first lists) represents
+ * the cluster and is annotated with clusterSize and relatedAlerts taken from clusterMembers.
+ * @param {Array<Object>} alerts - Alerts to collapse (newest first)
+ * @param {Array<Object>} [clusterMembers=alerts] - Alerts that may be listed as related
+ * @returns {Array<Object>} Cluster representatives
+ */
+const groupAlertsByCluster = (alerts, clusterMembers = alerts) => {
+  const membersByCluster = clusterMembers.reduce((agg, alert) => {
+    const key = alert.clusterId || alert.alertId;
+    agg.set(key, (agg.get(key) || []).concat(alert));
+    return agg;
+  }, new Map());
+
+  const seenClusters = new Set();
+  return alerts.reduce((agg, alert) => {
+    const key = alert.clusterId || alert.alertId;
+    if (seenClusters.has(key)) {
+      return agg;
+    }
+    seenClusters.add(key);
+
+    const relatedAlerts = (membersByCluster.get(key) || [])
+      .filter((member) => member.alertId !== alert.alertId)
+      .map(summarizeAlert);
+
+    return agg.concat({
+      ...alert,
+      clusterId: key,
+      clusterSize: relatedAlerts.length + 1,
+      relatedAlerts
+    });
+  }, []);
+};
 
 /**
  * Process alerts from the API and store them in the global cache
@@ -12,19 +323,32 @@ const { addAlertsToCache } = require('./stateManager');
  * @returns {number} returns.processed - Total alerts processed
  * @returns {number} returns.newAlerts - Number of new alerts added
  * @returns {number} returns.duplicates - Number of duplicate alerts
+ * @returns {number} returns.clustered - Number of alerts added to an existing cluster
+ * @returns {number} returns.webhookDeliveries - Number of webhook deliveries started
  */
 const processAlerts = async (alerts, options) => {
   const Logger = getLogger();
 
   try {
+    // Group near-identical alerts before caching so every reader sees the same clusters
+    const { alerts: clusteredAlerts, clustered } = clusterAlerts(alerts);
+
     // Add alerts to global cache (deduplication handled in stateManager)
-    const result = addAlertsToCache(alerts);
+    const result = addAlertsToCache(clusteredAlerts);
+
+    // Push only the alerts that weren't cached yet to the configured webhook endpoints
+    const webhookDeliveries = deliverAlertsToWebhooks(result.alerts, options);
+
+    alertsProcessedTotal.inc({}, alerts.length);
+    alertsDuplicateTotal.inc({}, alerts.length - result.added);
 
     Logger.debug(
       {
         totalAlerts: result.total,
         newAlertsAdded: result.added,
-        duplicateAlerts: alerts.length - result.added
+        duplicateAlerts: alerts.length - result.added,
+        clusteredAlerts: clustered,
+        webhookDeliveries
       },
       'Alerts processed and stored globally'
     );
@@ -45,7 +369,9 @@ const processAlerts = async (alerts, options) => {
     return {
       processed: alerts.length,
       newAlerts: result.added,
-      duplicates: alerts.length - result.added
+      duplicates: alerts.length - result.added,
+      clustered,
+      webhookDeliveries
     };
   } catch (error) {
     Logger.error({ error }, 'Error processing alerts');
@@ -54,6 +380,8 @@ const processAlerts = async (alerts, options) => {
 };
 
 module.exports = {
-  processAlerts
+  processAlerts,
+  clusterAlerts,
+  groupAlertsByCluster
 };
 
@@ -0,0 +1,360 @@
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const { MAX_PARSED_RULE_SETS } = require('../../constants');
+
+const RULE_ACTIONS = ['suppress', 'route'];
+const MATCH_FIELDS = [
+  'alertTypes',
+  'listIds',
+  'topics',
+  'companies',
+  'sectors',
+  'locations',
+  'headlineRegex'
+];
+
+// Parsed rules cache keyed by the raw option value (bounded by MAX_PARSED_RULE_SETS)
+const parsedRulesCache = new Map();
+
+/**
+ * Normalize a string for case-insensitive comparison
+ * @param {*} value - Value to normalize
+ * @returns {string} Trimmed lowercase string
+ */
+const normalize = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .trim()
+    .toLowerCase();
+
+/**
+ * Get the normalized names from an array of alert objects ({ name }) or strings
+ * @param {Array<Object|string>} items - Array of named items
+ * @returns {Array<string>} Normalized names
+ */
+const getNames = (items) =>
+  Array.isArray(items)
+    ? items.map((item) => normalize(item && typeof item === 'object' ? item.name : item))
+    : [];
+
+/**
+ * Validate the shape of a single match/unless clause
+ * @param {*} clause - Clause to validate
+ * @param {string} path - Path of the clause for error messages
+ * @returns {Array<string>} Error messages
+ */
+const validateClause = (clause, path) => {
+  if (clause === undefined) {
+    return [];
+  }
+  if (!clause || typeof clause !== 'object' || Array.isArray(clause)) {
+    return [`${path} must be an object`];
+  }
+
+  return Object.keys(clause).reduce((errors, field) => {
+    const value = clause[field];
+    if (!MATCH_FIELDS.includes(field)) {
+      return errors.concat(
+        `${path}.${field} is not supported (expected one of ${MATCH_FIELDS.join(', ')})`
+      );
+    }
+    if (field === 'headlineRegex') {
+      if (typeof value !== 'string') {
+        return errors.concat(`${path}.headlineRegex must be a string`);
+      }
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        return errors.concat(`${path}.headlineRegex is not a valid regex: ${error.message}`);
+      }
+      return errors;
+    }
+    return Array.isArray(value) && value.every((item) => typeof item === 'string')
+      ? errors
+      : errors.concat(`${path}.${field} must be an array of strings`);
+  }, []);
+};
+
+/**
+ * Validate a parsed rules array
+ * @param {*} rules - Parsed rules value
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+const validateRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return ['Rules must be a JSON array'];
+  }
+
+  return rules.reduce((errors, rule, index) => {
+    const path = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return errors.concat(`${path} must be an object`);
+    }
+
+    const ruleErrors = []
+      .concat(
+        rule.name !== undefined && typeof rule.name !== 'string'
+          ? `${path}.name must be a string`
+          : []
+      )
+      .concat(
+        !RULE_ACTIONS.includes(rule.action)
+          ? `${path}.action must be one of ${RULE_ACTIONS.join(', ')}`
+          : []
+      )
+      .concat(
+        !rule.match || Object.keys(rule.match).length === 0
+          ? `${path}.match must contain at least one condition`
+          : validateClause(rule.match, `${path}.match`)
+      )
+      .concat(validateClause(rule.unless, `${path}.unless`))
+      .concat(
+        ['users', 'groups'].reduce(
+          (audienceErrors, key) =>
+            rule[key] === undefined ||
+            (Array.isArray(rule[key]) &&
+              rule[key].every((item) => typeof item === 'string'))
+              ? audienceErrors
+              : audienceErrors.concat(`${path}.${key} must be an array of strings`),
+          []
+        )
+      );
+
+    return errors.concat(ruleErrors);
+  }, []);
+};
+
+/**
+ * Compile a match/unless clause into a predicate
+ * Every condition in the clause must match; any value within a condition may match.
+ * @param {Object} clause - Clause with match fields
+ * @returns {Function} Predicate (alert) => boolean
+ */
+const compileClause = (clause) => {
+  const conditions = [];
+
+  if (clause.alertTypes) {
+    const alertTypes = new Set(clause.alertTypes.map(normalize));
+    conditions.push((alert) =>
+      alertTypes.has(
+        normalize(alert.alertType && alert.alertType.name ? alert.alertType.name : 'alert')
+      )
+    );
+  }
+
+  if (clause.listIds) {
+    const listIds = new Set(clause.listIds.map(normalize));
+    conditions.push(
+      (alert) =>
+        Array.isArray(alert.listsMatched) &&
+        alert.listsMatched.some(
+          (list) =>
+            list && (listIds.has(normalize(list.id)) || listIds.has(normalize(list.name)))
+        )
+    );
+  }
+
+  [
+    ['topics', 'alertTopics'],
+    ['companies', 'alertCompanies'],
+    ['sectors', 'alertSectors']
+  ].forEach(([field, alertField]) => {
+    if (clause[field]) {
+      const values = new Set(clause[field].map(normalize));
+      conditions.push((alert) =>
+        getNames(alert[alertField]).some((name) => values.has(name))
+      );
+    }
+  });
+
+  if (clause.locations) {
+    const locations = clause.locations.map(normalize);
+    conditions.push((alert) => {
+      const locationName = normalize(
+        alert.estimatedEventLocation && alert.estimatedEventLocation.name
+      );
+      return !!locationName && locations.some((location) => locationName.includes(location));
+    });
+  }
+
+  if (clause.headlineRegex) {
+    const headlineRegex = new RegExp(clause.headlineRegex, 'i');
+    conditions.push((alert) => headlineRegex.test(alert.headline || ''));
+  }
+
+  return (alert) => conditions.every((condition) => condition(alert));
+};
+
+/**
+ * Parse and compile the alert routing rules option
+ * Invalid rules are logged and ignored so a bad option never hides every alert.
+ * @param {string} rulesJson - Raw JSON option value
+ * @returns {Array<Object>} Compiled rules
+ */
+const getCompiledRules = (rulesJson) => {
+  const rawRules = typeof rulesJson === 'string' ? rulesJson.trim() : '';
+  if (!rawRules) {
+    return [];
+  }
+
+  if (parsedRulesCache.has(rawRules)) {
+    return parsedRulesCache.get(rawRules);
+  }
+
+  let compiledRules = [];
+  try {
+    const rules = JSON.parse(rawRules);
+    const errors = validateRules(rules);
+    if (errors.length > 0) {
+      const Logger = getLogger();
+      Logger.error({ errors }, 'Invalid alert routing rules - rules will be ignored');
+    } else {
+      compiledRules = rules.map((rule, index) => ({
+        name: rule.name || `Rule ${index + 1}`,
+        action: rule.action,
+        users: rule.users ? new Set(rule.users.map(normalize)) : null,
+        groups: rule.groups ? new Set(rule.groups.map(normalize)) : null,
+        matches: compileClause(rule.match),
+        isExcepted: rule.unless ? compileClause(rule.unless) : () => false
+      }));
+    }
+  } catch (error) {
+    const Logger = getLogger();
+    Logger.error({ error }, 'Failed to parse alert routing rules - rules will be ignored');
+  }
+
+  // Maps keep insertion order, so the first key is the oldest rule set
+  if (parsedRulesCache.size >= MAX_PARSED_RULE_SETS) {
+    parsedRulesCache.delete(parsedRulesCache.keys().next().value);
+  }
+  parsedRulesCache.set(rawRules, compiledRules);
+  return compiledRules;
+};
+
+/**
+ * Get the normalized group names of the requesting user
+ * @param {Object} user - Polarity user from options._request.user
+ * @returns {Array<string>} Normalized group names
+ */
+const getUserGroups = (user) => getNames(user && user.groups);
+
+/**
+ * Check whether a user is in a rule's audience
+ * Rules without users or groups apply to everyone.
+ * @param {Object} rule - Compiled rule
+ * @param {string} username - Normalized username
+ * @param {Array<string>} groups - Normalized group names
+ * @returns {boolean} True if the user is in the audience
+ */
+const isInAudience = (rule, username, groups) =>
+  (!rule.users && !rule.groups) ||
+  !!(rule.users && rule.users.has(username)) ||
+  !!(rule.groups && groups.some((group) => rule.groups.has(group)));
+
+/**
+ * Check whether a rule hits an alert (matches and isn't excepted by its unless clause)
+ * @param {Object} rule - Compiled rule
+ * @param {Object} alert - Alert object
+ * @returns {boolean} True if the rule hits the alert
+ */
+const ruleHitsAlert = (rule, alert) => rule.matches(alert) && !rule.isExcepted(alert);
+
+/**
+ * Create a filter function applying the alert routing rules for the requesting user
+ * - suppress: alerts the rule hits are hidden from the rule's audience
+ * - route: alerts the rule hits are only shown to the rule's audience
+ * @param {Object} options - Configuration options
+ * @returns {Function} Filter function that returns true if the alert should be shown
+ */
+const createAlertRulesFilter = (options) => {
+  const rules = getCompiledRules(options.alertRoutingRules);
+  if (rules.length === 0) {
+    return () => true;
+  }
+
+  const user = (options._request && options._request.user) || {};
+  const username = normalize(user.username);
+  const groups = getUserGroups(user);
+
+  return (alert) =>
+    rules.every((rule) => {
+      if (!ruleHitsAlert(rule, alert)) {
+        return true;
+      }
+      const inAudience = isInAudience(rule, username, groups);
+      return rule.action === 'suppress' ? !inAudience : inAudience;
+    });
+};
+
+/**
+ * Dry-run the configured alert routing rules against a set of alerts
+ * Only the admin configured rules are evaluated, so users can't run their own patterns
+ * against the cache.
+ * @param {string} rulesJson - Raw JSON rules from the alertRoutingRules option
+ * @param {Array<Object>} alerts - Alerts to evaluate (e.g. the user's cached alerts)
+ * @returns {Object} Result object
+ * @returns {Array<string>} returns.errors - Validation errors (rules are not evaluated if any)
+ * @returns {Array<Object>} returns.rules - Per rule: name, action, audience and the alerts it hits
+ */
+const dryRunAlertRules = (rulesJson, alerts) => {
+  let rules;
+  try {
+    rules = JSON.parse(typeof rulesJson === 'string' && rulesJson.trim() ? rulesJson : '[]');
+  } catch (error) {
+    return { errors: [`Rules are not valid JSON: ${error.message}`], rules: [] };
+  }
+
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    return { errors, rules: [] };
+  }
+
+  return {
+    errors: [],
+    rules: rules.map((rule, index) => {
+      const compiledRule = {
+        matches: compileClause(rule.match),
+        isExcepted: rule.unless ? compileClause(rule.unless) : () => false
+      };
+      const hits = alerts.filter((alert) => ruleHitsAlert(compiledRule, alert));
+
+      return {
+        name: rule.name || `Rule ${index + 1}`,
+        action: rule.action,
+        users: rule.users || [],
+        groups: rule.groups || [],
+        hitCount: hits.length,
+        alerts: hits.map((alert) => ({
+          alertId: alert.alertId,
+          alertTimestamp: alert.alertTimestamp,
+          alertType: alert.alertType && alert.alertType.name,
+          headline: alert.headline
+        }))
+      };
+    })
+  };
+};
+
+/**
+ * Validate the alert routing rules option value
+ * @param {string} rulesJson - Raw JSON option value
+ * @returns {Array<string>} Error messages (empty if valid or not configured)
+ */
+const validateAlertRules = (rulesJson) => {
+  if (typeof rulesJson !== 'string' || !rulesJson.trim()) {
+    return [];
+  }
+
+  try {
+    return validateRules(JSON.parse(rulesJson));
+  } catch (error) {
+    return [`Rules are not valid JSON: ${error.message}`];
+  }
+};
+
+module.exports = {
+  createAlertRulesFilter,
+  dryRunAlertRules,
+  validateAlertRules
+};
@@ -0,0 +1,263 @@
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const { getAlerts } = require('./getAlerts');
+const { getCachedAlerts, getCacheLimits } = require('./stateManager');
+const { EXPORT_MAX_ALERTS, EXPORT_MAX_API_PAGES } = require('../../constants');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const CSV_COLUMNS = [
+  { header: 'Alert ID', value: (alert) => alert.alertId },
+  { header: 'Timestamp', value: (alert) => alert.alertTimestamp },
+  { header: 'Alert Type', value: (alert) => alert.alertType && alert.alertType.name },
+  { header: 'Headline', value: (alert) => alert.headline },
+  {
+    header: 'Location',
+    value: (alert) => alert.estimatedEventLocation && alert.estimatedEventLocation.name
+  },
+  { header: 'Lists', value: (alert) => joinNames(alert.listsMatched) },
+  { header: 'Companies', value: (alert) => joinNames(alert.alertCompanies) },
+  { header: 'Sectors', value: (alert) => joinNames(alert.alertSectors) },
+  { header: 'Topics', value: (alert) => joinNames(alert.alertTopics) },
+  { header: 'URL', value: (alert) => alert.dataminrAlertUrl }
+];
+
+/**
+ * Join the names of an array of alert objects ({ name }) or strings
+ * @param {Array<Object|string>} items - Named items
+ * @returns {string} Names separated by "; "
+ */
+const joinNames = (items) =>
+  Array.isArray(items)
+    ? items
+        .map((item) => (item && typeof item === 'object' ? item.name : item))
+        .filter(Boolean)
+        .join('; ')
+    : '';
+
+/**
+ * Get the epoch milliseconds timestamp of an alert
+ * @param {Object} alert - Alert object
+ * @returns {number} Alert time (NaN if missing)
+ */
+const getAlertTime = (alert) => new Date(alert.alertTimestamp).getTime();
+
+/**
+ * Get the text of an alert that the export query is matched against
+ * @param {Object} alert - Alert object
+ * @returns {string} Lowercase searchable text
+ */
+const getSearchableText = (alert) =>
+  []
+    .concat(
+      alert.headline,
+      alert.subHeadline && alert.subHeadline.content,
+      alert.estimatedEventLocation && alert.estimatedEventLocation.name,
+      joinNames(alert.listsMatched),
+      joinNames(alert.alertCompanies),
+      joinNames(alert.alertSectors),
+      joinNames(alert.alertTopics),
+      (alert.alertReferenceTerms || []).map((term) =>
+        term && typeof term === 'object' ? term.text : term
+      )
+    )
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+/**
+ * Create a filter function for the export alert types, time range and text query
+ * @param {Object} params - Export parameters
+ * @param {Array<string>|null} params.alertTypes - Alert types to include (all if null)
+ * @param {number} params.sinceMs - Only include alerts at or after this epoch ms
+ * @param {number} params.untilMs - Only include alerts at or before this epoch ms
+ * @param {string} params.query - Case-insensitive text that must appear in the alert
+ * @returns {Function} Filter function (alert) => boolean
+ */
+const createExportFilter = ({ alertTypes, sinceMs, untilMs, query }) => {
+  const alertTypeSet = alertTypes
+    ? new Set(alertTypes.map((type) => String(type).toLowerCase()))
+    : null;
+  const queryText = query ? query.trim().toLowerCase() : '';
+
+  return (alert) => {
+    const alertTime = getAlertTime(alert);
+    if (isNaN(alertTime) || alertTime < sinceMs || alertTime > untilMs) {
+      return false;
+    }
+    if (alertTypeSet) {
+      const alertType = (alert.alertType && alert.alertType.name) || 'Alert';
+      if (!alertTypeSet.has(alertType.toLowerCase())) {
+        return false;
+      }
+    }
+    return !queryText || getSearchableText(alert).includes(queryText);
+  };
+};
+
+/**
+ * Page backwards through the API until alerts older than sinceMs are reached
+ * @param {Object} options - Configuration options
+ * @param {Array<string>|null} listIds - List IDs to query
+ * @param {number} sinceMs - Oldest alert time needed (epoch ms)
+ * @returns {Promise<Object>} Resolves with { alerts, pages, complete }
+ */
+const fetchAlertsSince = async (options, listIds, sinceMs) => {
+  const Logger = getLogger();
+  let alerts = [];
+  let cursor = null;
+  let pages = 0;
+
+  while (pages < EXPORT_MAX_API_PAGES) {
+    const page = await getAlerts(options, { listIds, to: cursor });
+    pages++;
+
+    if (page.rateLimited) {
+      Logger.warn({ pages }, 'Rate limited while paging alerts for export');
+      return { alerts, pages, complete: false };
+    }
+
+    alerts = alerts.concat(page.alerts);
+    const oldestTime = page.alerts.reduce(
+      (oldest, alert) => Math.min(oldest, getAlertTime(alert) || oldest),
+      Infinity
+    );
+
+    // Done once the page reaches back far enough or there are no older pages
+    if (page.alerts.length === 0 || oldestTime <= sinceMs || !page.previousPageCursor) {
+      return { alerts, pages, complete: true };
+    }
+    if (alerts.length >= EXPORT_MAX_ALERTS) {
+      return { alerts, pages, complete: false };
+    }
+    cursor = page.previousPageCursor;
+  }
+
+  return { alerts, pages, complete: false };
+};
+
+/**
+ * Collect the alerts for an export
+ * Uses the alert cache when it covers the requested time range, otherwise pages the API.
+ * @param {Object} options - Configuration options
+ * @param {Object} params - Export parameters
+ * @param {Array<string>|null} params.listIds - List IDs to include (all if null)
+ * @param {Array<string>|null} params.alertTypes - Alert types to include (all if null)
+ * @param {string} [params.since] - ISO timestamp of the start of the range (defaults to the cache window)
+ * @param {string} [params.until] - ISO timestamp of the end of the range (defaults to now)
+ * @param {string} [params.query] - Optional text query
+ * @param {Function} [params.filter] - Optional additional filter (e.g. the user's routing rules)
+ * @returns {Promise<Object>} Resolves with { alerts, source, truncated, since, until }
+ */
+const collectExportAlerts = async (
+  options,
+  { listIds, alertTypes, since, until, query, filter = () => true }
+) => {
+  const now = Date.now();
+  const { maxAgeMs, maxAlerts } = getCacheLimits();
+  const sinceMs = since ? new Date(since).getTime() : now - maxAgeMs;
+  const untilMs = until ? new Date(until).getTime() : now;
+  if (isNaN(sinceMs) || isNaN(untilMs) || sinceMs > untilMs) {
+    throw new Error('Invalid export time range');
+  }
+
+  const exportFilter = createExportFilter({ alertTypes, sinceMs, untilMs, query });
+  const cachedAlerts = getCachedAlerts(listIds);
+  let source = 'cache';
+  let complete = true;
+  let candidates = cachedAlerts;
+
+  // The cache only holds the alerts within the retention window, and fewer once the
+  // size cap has evicted the oldest of them
+  const allCachedAlerts = listIds ? getCachedAlerts() : cachedAlerts;
+  const evictedByCap =
+    allCachedAlerts.length >= maxAlerts &&
+    getAlertTime(allCachedAlerts[allCachedAlerts.length - 1]) > sinceMs;
+  if (sinceMs < now - maxAgeMs || evictedByCap) {
+    const fetched = await fetchAlertsSince(options, listIds, sinceMs);
+    const cachedIds = new Set(cachedAlerts.map((alert) => alert.alertId));
+    candidates = cachedAlerts.concat(
+      fetched.alerts.filter((alert) => !cachedIds.has(alert.alertId))
+    );
+    source = 'api';
+    complete = fetched.complete;
+  }
+
+  const alerts = candidates
+    .filter((alert) => exportFilter(alert) && filter(alert))
+    .sort((a, b) => getAlertTime(b) - getAlertTime(a));
+
+  return {
+    alerts: alerts.slice(0, EXPORT_MAX_ALERTS),
+    source,
+    truncated: !complete || alerts.length > EXPORT_MAX_ALERTS,
+    since: new Date(sinceMs).toISOString(),
+    until: new Date(untilMs).toISOString()
+  };
+};
+
+/**
+ * Escape a CSV field (quotes, separators, line breaks and spreadsheet formulas)
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const escapeCsvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Keep spreadsheets from evaluating values as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format alerts as CSV with one flattened row per alert
+ * @param {Array<Object>} alerts - Alerts to format
+ * @returns {string} CSV content
+ */
+const formatAlertsCsv = (alerts) =>
+  [CSV_COLUMNS.map(({ header }) => header)]
+    .concat(alerts.map((alert) => CSV_COLUMNS.map(({ value }) => value(alert))))
+    .map((row) => row.map(escapeCsvField).join(','))
+    .join('\r\n');
+
+/**
+ * Format collected alerts in the requested export format
+ * @param {Object} result - Result of collectExportAlerts
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { content, contentType, filename }
+ */
+const formatExport = (result, format) => {
+  const stamp = result.until.replace(/[:.]/g, '-');
+  if (format === 'json') {
+    return {
+      content: JSON.stringify(
+        {
+          since: result.since,
+          until: result.until,
+          truncated: result.truncated,
+          count: result.alerts.length,
+          alerts: result.alerts
+        },
+        null,
+        2
+      ),
+      contentType: 'application/json',
+      filename: `dataminr-alerts-${stamp}.json`
+    };
+  }
+
+  return {
+    content: formatAlertsCsv(result.alerts),
+    contentType: 'text/csv',
+    filename: `dataminr-alerts-${stamp}.csv`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectExportAlerts,
+  formatExport
+};
@@ -0,0 +1,353 @@
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const { EARTH_RADIUS_KM } = require('../../constants');
+
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Parsed geofences cache keyed by the raw option value
+const parsedGeofencesCache = new Map();
+
+/**
+ * Check whether a value is a finite number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum value (inclusive)
+ * @param {number} max - Maximum value (inclusive)
+ * @returns {boolean} True if the value is a number in range
+ */
+const isNumberInRange = (value, min, max) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Get the GeoJSON geometry of a geofence (accepts a bare geometry or a Feature)
+ * @param {Object} geofence - Geofence definition
+ * @returns {Object|null} GeoJSON geometry
+ */
+const getGeometry = (geofence) => {
+  const geojson = geofence.geojson;
+  if (!geojson || typeof geojson !== 'object') return null;
+  return geojson.type === 'Feature' ? geojson.geometry || null : geojson;
+};
+
+/**
+ * Check whether a GeoJSON position array is [longitude, latitude]
+ * @param {*} position - Position to check
+ * @returns {boolean} True if valid
+ */
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  isNumberInRange(position[0], -180, 180) &&
+  isNumberInRange(position[1], -90, 90);
+
+/**
+ * Check whether a value is an array of GeoJSON linear rings
+ * @param {*} rings - Rings to check
+ * @returns {boolean} True if every ring has at least 4 positions
+ */
+const isRingList = (rings) =>
+  Array.isArray(rings) &&
+  rings.length > 0 &&
+  rings.every((ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+
+/**
+ * Validate a parsed geofences array
+ * @param {*} geofences - Parsed geofences value
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+const validateGeofenceList = (geofences) => {
+  if (!Array.isArray(geofences)) {
+    return ['Geofences must be a JSON array'];
+  }
+
+  const names = new Set();
+
+  return geofences.reduce((errors, geofence, index) => {
+    const path = `Geofence ${index + 1}`;
+    if (!geofence || typeof geofence !== 'object' || Array.isArray(geofence)) {
+      return errors.concat(`${path} must be an object`);
+    }
+
+    const name = typeof geofence.name === 'string' ? geofence.name.trim() : '';
+    if (!name) {
+      return errors.concat(`${path}.name is required`);
+    }
+    if (names.has(name.toLowerCase())) {
+      return errors.concat(`${path}.name "${name}" is already used by another geofence`);
+    }
+    names.add(name.toLowerCase());
+
+    if (geofence.geojson !== undefined) {
+      const geometry = getGeometry(geofence);
+      if (!geometry || !POLYGON_TYPES.includes(geometry.type)) {
+        return errors.concat(
+          `${path}.geojson must be a GeoJSON ${POLYGON_TYPES.join(' or ')} (or a Feature with one)`
+        );
+      }
+      const validCoordinates =
+        geometry.type === 'Polygon'
+          ? isRingList(geometry.coordinates)
+          : Array.isArray(geometry.coordinates) &&
+            geometry.coordinates.length > 0 &&
+            geometry.coordinates.every(isRingList);
+      return validCoordinates
+        ? errors
+        : errors.concat(
+            `${path}.geojson has invalid coordinates (expected closed rings of [longitude, latitude])`
+          );
+    }
+
+    return errors
+      .concat(
+        !isNumberInRange(geofence.latitude, -90, 90)
+          ? `${path}.latitude must be a number between -90 and 90`
+          : []
+      )
+      .concat(
+        !isNumberInRange(geofence.longitude, -180, 180)
+          ? `${path}.longitude must be a number between -180 and 180`
+          : []
+      )
+      .concat(
+        !(
+          isNumberInRange(geofence.radiusKm, 0, EARTH_RADIUS_KM * Math.PI) &&
+          geofence.radiusKm > 0
+        )
+          ? `${path}.radiusKm must be a positive number of kilometers`
+          : []
+      );
+  }, []);
+};
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometers
+ */
+const haversineDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Ray casting point-in-ring test
+ * @param {number} lon - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @param {Array<Array<number>>} ring - Linear ring of [longitude, latitude] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+const isPointInRing = (lon, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Check whether a point is inside a polygon (outer ring minus holes)
+ * @param {number} lon - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @param {Array<Array<Array<number>>>} rings - Polygon rings (first is the outer ring)
+ * @returns {boolean} True if the point is inside the polygon
+ */
+const isPointInPolygon = (lon, lat, [outerRing, ...holes]) =>
+  isPointInRing(lon, lat, outerRing) && !holes.some((hole) => isPointInRing(lon, lat, hole));
+
+/**
+ * Compile a geofence into a matcher
+ * @param {Object} geofence - Validated geofence definition
+ * @returns {Object} Compiled geofence with name and contains(location)
+ */
+const compileGeofence = (geofence) => {
+  const name = geofence.name.trim();
+  const geometry = getGeometry(geofence);
+
+  if (geometry) {
+    const polygons =
+      geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return {
+      name,
+      contains: ({ latitude, longitude }) =>
+        polygons.some((rings) => isPointInPolygon(longitude, latitude, rings))
+    };
+  }
+
+  // A circle matches when the event's probability radius overlaps it
+  return {
+    name,
+    contains: ({ latitude, longitude, radiusKm }) =>
+      haversineDistanceKm(geofence.latitude, geofence.longitude, latitude, longitude) <=
+      geofence.radiusKm + radiusKm
+  };
+};
+
+/**
+ * Parse and compile the geofences option
+ * Invalid geofences are logged and ignored.
+ * @param {string} geofencesJson - Raw JSON option value
+ * @returns {Array<Object>} Compiled geofences
+ */
+const getCompiledGeofences = (geofencesJson) => {
+  const rawGeofences = typeof geofencesJson === 'string' ? geofencesJson.trim() : '';
+  if (!rawGeofences) {
+    return [];
+  }
+
+  if (parsedGeofencesCache.has(rawGeofences)) {
+    return parsedGeofencesCache.get(rawGeofences);
+  }
+
+  let compiledGeofences = [];
+  try {
+    const geofences = JSON.parse(rawGeofences);
+    const errors = validateGeofenceList(geofences);
+    if (errors.length > 0) {
+      const Logger = getLogger();
+      Logger.error({ errors }, 'Invalid geofences - geofences will be ignored');
+    } else {
+      compiledGeofences = geofences.map(compileGeofence);
+    }
+  } catch (error) {
+    const Logger = getLogger();
+    Logger.error({ error }, 'Failed to parse geofences - geofences will be ignored');
+  }
+
+  parsedGeofencesCache.set(rawGeofences, compiledGeofences);
+  return compiledGeofences;
+};
+
+/**
+ * Get the estimated event location of an alert
+ * @param {Object} alert - Alert object
+ * @returns {Object|null} { latitude, longitude, radiusKm } or null if the alert has no coordinates
+ */
+const getAlertLocation = (alert) => {
+  const location = alert && alert.estimatedEventLocation;
+  const coordinates = location && location.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) {
+    return null;
+  }
+
+  const latitude = Number(coordinates[0]);
+  const longitude = Number(coordinates[1]);
+  if (!isNumberInRange(latitude, -90, 90) || !isNumberInRange(longitude, -180, 180)) {
+    return null;
+  }
+
+  const radiusKm = Number(location.probabilityRadius);
+  return {
+    latitude,
+    longitude,
+    radiusKm: Number.isFinite(radiusKm) && radiusKm > 0 ? radiusKm : 0
+  };
+};
+
+/**
+ * Get the names of the configured geofences an alert falls in
+ * @param {Object} alert - Alert object
+ * @param {Array<Object>} geofences - Compiled geofences
+ * @returns {Array<string>} Matching geofence names
+ */
+const getMatchingGeofenceNames = (alert, geofences) => {
+  if (!geofences || geofences.length === 0) {
+    return [];
+  }
+  const location = getAlertLocation(alert);
+  return location
+    ? geofences.filter((geofence) => geofence.contains(location)).map(({ name }) => name)
+    : [];
+};
+
+/**
+ * Get the compiled geofences the user chose to watch
+ * @param {Object} options - Configuration options
+ * @returns {Array<Object>|null} Watched geofences, or null when the user watches no geofences (no filtering)
+ */
+const getWatchedGeofences = (options) => {
+  const watched = Array.isArray(options.setGeofencesToWatch)
+    ? options.setGeofencesToWatch
+        .map((geofence) => geofence && geofence.value)
+        .filter((name) => name && name !== '0')
+    : [];
+  if (watched.length === 0) {
+    return null;
+  }
+
+  const watchedNames = new Set(watched);
+  const geofences = getCompiledGeofences(options.geofences).filter(({ name }) =>
+    watchedNames.has(name)
+  );
+  if (geofences.length < watchedNames.size) {
+    const Logger = getLogger();
+    Logger.warn(
+      { watched, configured: geofences.map(({ name }) => name) },
+      'Some watched geofences are no longer configured'
+    );
+  }
+  return geofences;
+};
+
+/**
+ * Create a filter function that keeps alerts inside any of the user's watched geofences
+ * Alerts without coordinates are filtered out once a geofence is watched.
+ * @param {Object} options - Configuration options
+ * @returns {Function} Filter function that returns true if the alert should be shown
+ */
+const createGeofenceFilter = (options) => {
+  const geofences = getWatchedGeofences(options);
+  if (!geofences) {
+    return () => true;
+  }
+  return (alert) => getMatchingGeofenceNames(alert, geofences).length > 0;
+};
+
+/**
+ * Get the configured geofences as select options for the setGeofencesToWatch user option
+ * @param {Object} options - Configuration options
+ * @returns {Array<Object>} Array of { value, display } choices
+ */
+const getGeofenceChoices = (options) =>
+  getCompiledGeofences(options.geofences).map(({ name }) => ({
+    value: name,
+    display: name
+  }));
+
+/**
+ * Validate the geofences option value
+ * @param {string} geofencesJson - Raw JSON option value
+ * @returns {Array<string>} Error messages (empty if valid or not configured)
+ */
+const validateGeofences = (geofencesJson) => {
+  if (typeof geofencesJson !== 'string' || !geofencesJson.trim()) {
+    return [];
+  }
+
+  try {
+    return validateGeofenceList(JSON.parse(geofencesJson));
+  } catch (error) {
+    return [`Geofences are not valid JSON: ${error.message}`];
+  }
+};
+
+module.exports = {
+  getCompiledGeofences,
+  getWatchedGeofences,
+  getMatchingGeofenceNames,
+  createGeofenceFilter,
+  getGeofenceChoices,
+  validateGeofences
+};
@@ -45,14 +45,24 @@ const parsePreviousPageCursor = (previousPage) => {
  * @param {string} [parameters.to] - Optional cursor value from previousPage URL's 'to' parameter for fetching alerts before this point
  * @param {string} [parameters.from] - Optional cursor value from nextPage URL's 'from' parameter for fetching alerts after this point
  * @param {number} [parameters.pageSize] - Optional number of alerts to return (overrides timestamp on first query)
+ * @param {string} [parameters.query] - Optional search query (entity searches)
+ * @param {string} [parameters.priority] - Optional request queue lane (defaults to 'interactive', polling uses 'poll')
  * @returns {Promise<Object>} Resolves with object containing alerts array and pagination info
  * @returns {Array<Object>} returns.alerts - Array of alert objects
  * @returns {string|null} returns.nextPageCursor - Next page URL or null
  * @returns {string|null} returns.previousPageCursor - Previous page URL or null
+ * @returns {boolean} [returns.rateLimited] - True when the request was rate limited and returned no alerts
  */
 const getAlerts = async (
   options,
-  { listIds = null, to = null, from = null, pageSize = null } = {}
+  {
+    listIds = null,
+    to = null,
+    from = null,
+    pageSize = null,
+    query = null,
+    priority = 'interactive'
+  } = {}
 ) => {
   const Logger = getLogger();
 
@@ -80,6 +90,10 @@ const getAlerts = async (
       queryParams.lists = listIds.join(',');
     }
 
+    if (query) {
+      queryParams.query = query;
+    }
+
     const fullUrl = `${options.url}/${ROUTE_PREFIX}/v1/alerts`;
     Logger.debug(
       {
@@ -93,7 +107,8 @@ const getAlerts = async (
       route: `${ROUTE_PREFIX}/v1/alerts`,
       options,
       qs: queryParams,
-      method: 'GET'
+      method: 'GET',
+      priority
     });
 
     const alerts = (response.body && response.body.alerts) || [];
@@ -137,7 +152,8 @@ const getAlerts = async (
         nextPage: null,
         previousPage: null,
         nextPageCursor: null,
-        previousPageCursor: null
+        previousPageCursor: null,
+        rateLimited: true
       };
     }
 
@@ -289,5 +305,6 @@ const getAlertById = async (alertId, options) => {
 
 module.exports = {
   getAlerts,
-  getAlertById
+  getAlertById,
+  parsePreviousPageCursor
 };
@@ -1,7 +1,11 @@
-const searchAlerts = require('./searchAlerts');
+const {
+  searchAlerts,
+  searchMoreAlerts,
+  filterLookupResults
+} = require('./searchAlerts');
 const { getAlerts, getAlertById } = require('./getAlerts');
-const { pollLists, parseListConfig } = require('./pollLists');
-const pollAlerts = require('./pollAlerts');
+const { pollLists, getListsPollResult, parseListConfig } = require('./pollLists');
+const { pollAlerts, getLastPollResult } = require('./pollAlerts');
 
 const {
   resetPollingState,
@@ -12,10 +16,14 @@ const {
 
 module.exports = {
   searchAlerts,
+  searchMoreAlerts,
+  filterLookupResults,
   getAlerts,
   getAlertById,
   pollLists,
+  getListsPollResult,
   pollAlerts,
+  getLastPollResult,
   resetPollingState,
   parseListConfig,
   getCachedAlerts,
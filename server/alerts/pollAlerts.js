@@ -6,10 +6,32 @@ const {
 const { getAlerts } = require('./getAlerts');
 const { getPollingState, updatePollingState } = require('./stateManager');
 const { processAlerts } = require('./alertProcessor');
-const { DEFAULT_PAGE_SIZE } = require('../../constants');
+const { getRateLimitState } = require('../request');
+const { createCounter, createHistogram } = require('../metrics');
+const {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_BACKFILL_HORIZON_HOURS,
+  DEFAULT_MAX_PAGES_PER_POLL,
+  BACKFILL_RATE_LIMIT_RESERVE
+} = require('../../constants');
 
 let isPollingAlertsInProgress = false;
 
+// Outcome of the most recent completed poll cycle (see getLastPollResult)
+let lastPollResult = null;
+
+// Prometheus metrics (see server/metrics.js)
+const pollCyclesTotal = createCounter(
+  'poll_cycles_total',
+  'Alert poll cycles by result',
+  ['result']
+);
+const pollDuration = createHistogram(
+  'poll_duration_seconds',
+  'Duration of alert poll cycles in seconds'
+);
+const pollPagesTotal = createCounter('poll_pages_total', 'Alert pages fetched by polling');
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -19,12 +41,164 @@ const sleep = (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
 
+/**
+ * Get the outcome of the most recent completed poll cycle
+ * @returns {Object|null} Result object, or null if no poll has completed yet
+ * @returns {boolean} returns.success - Whether the poll succeeded
+ * @returns {number} returns.alertsProcessed - Number of alerts processed
+ * @returns {boolean} returns.rateLimited - Whether the poll stopped early on a rate limit
+ * @returns {string|null} returns.error - Error message if the poll failed
+ * @returns {number|null} returns.statusCode - HTTP status code of the failure, if any
+ * @returns {string} returns.completedAt - ISO timestamp of when the poll finished
+ */
+const getLastPollResult = () => lastPollResult;
+
+/**
+ * Get the backfill horizon in milliseconds from the admin option
+ * @param {Object} options - Configuration options
+ * @returns {number} Horizon in milliseconds, 0 means no horizon
+ */
+const getBackfillHorizonMs = (options) => {
+  const hours = Number(options.backfillHorizonHours);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_BACKFILL_HORIZON_HOURS) *
+    60 * 60 * 1000;
+};
+
+/**
+ * Get the max number of pages to fetch in a single poll cycle from the admin option
+ * @param {Object} options - Configuration options
+ * @returns {number} Max pages per poll cycle
+ */
+const getMaxPagesPerPoll = (options) => {
+  const maxPages = parseInt(options.backfillMaxPagesPerPoll, 10);
+  return Number.isFinite(maxPages) && maxPages > 0 ? maxPages : DEFAULT_MAX_PAGES_PER_POLL;
+};
+
+/**
+ * Check whether there is enough rate limit quota left to fetch another catch-up page
+ * Leaves a reserve for interactive requests and yields while anything is queued.
+ * @returns {boolean} True if another page can be fetched
+ */
+const hasBackfillBudget = () => {
+  const { remaining, queueLength } = getRateLimitState();
+  return queueLength === 0 && remaining > BACKFILL_RATE_LIMIT_RESERVE;
+};
+
+/**
+ * Check whether the last processed alert is further behind than the backfill horizon
+ * @param {string|null} lastAlertTimestamp - ISO timestamp of the last processed alert
+ * @param {number} horizonMs - Backfill horizon in milliseconds (0 = no horizon)
+ * @returns {boolean} True if the saved position is beyond the horizon
+ */
+const isBeyondHorizon = (lastAlertTimestamp, horizonMs) => {
+  if (!lastAlertTimestamp || !horizonMs) {
+    return false;
+  }
+  return Date.now() - new Date(lastAlertTimestamp).getTime() > horizonMs;
+};
+
+/**
+ * Get the oldest and newest alert timestamps from a page of alerts
+ * @param {Array<Object>} alerts - Array of alert objects
+ * @returns {Object} Result object
+ * @returns {string|null} returns.oldest - Oldest ISO alert timestamp
+ * @returns {string|null} returns.newest - Newest ISO alert timestamp
+ */
+const getTimestampRange = (alerts) =>
+  alerts.reduce(
+    (range, alert) => {
+      if (!alert.alertTimestamp) return range;
+      const time = new Date(alert.alertTimestamp).getTime();
+      return {
+        oldest:
+          !range.oldest || time < new Date(range.oldest).getTime()
+            ? alert.alertTimestamp
+            : range.oldest,
+        newest:
+          !range.newest || time > new Date(range.newest).getTime()
+            ? alert.alertTimestamp
+            : range.newest
+      };
+    },
+    { oldest: null, newest: null }
+  );
+
+/**
+ * Build the next backfill progress record from the result of a poll cycle
+ * A backfill starts when a cycle ends before catching up (page limit or rate limit budget)
+ * and keeps accumulating progress across cycles until a page comes back short.
+ * @param {Object|null} backfill - Backfill progress from the previous cycle
+ * @param {Object} cycle - Result of this poll cycle
+ * @param {number} cycle.pagesFetched - Pages fetched this cycle
+ * @param {number} cycle.alertsFetched - Alerts fetched this cycle
+ * @param {string|null} cycle.oldestAlertTimestamp - Oldest alert timestamp seen this cycle
+ * @param {string|null} cycle.newestAlertTimestamp - Newest alert timestamp seen this cycle
+ * @param {boolean} cycle.caughtUp - Whether the cycle reached the live edge of the stream
+ * @param {string|null} cycle.stopReason - Why paging stopped before catching up
+ * @returns {Object|null} Backfill progress record
+ */
+const getNextBackfillState = (backfill, cycle) => {
+  const isActive = !!(backfill && backfill.active);
+  const shouldStart = !cycle.caughtUp && cycle.stopReason !== 'rateLimited';
+
+  if (!isActive && !shouldStart) {
+    return backfill || null;
+  }
+
+  const now = Date.now();
+  const previous = isActive
+    ? backfill
+    : { startedAt: new Date(now).toISOString(), pagesFetched: 0, alertsFetched: 0 };
+
+  const pagesFetched = previous.pagesFetched + cycle.pagesFetched;
+  const oldestAlertTimestamp = previous.oldestAlertTimestamp || cycle.oldestAlertTimestamp;
+  const newestAlertTimestamp = cycle.newestAlertTimestamp || previous.newestAlertTimestamp;
+
+  if (cycle.caughtUp) {
+    return {
+      ...previous,
+      active: false,
+      pagesFetched,
+      alertsFetched: previous.alertsFetched + cycle.alertsFetched,
+      oldestAlertTimestamp,
+      newestAlertTimestamp,
+      estimatedRemainingPages: 0,
+      stopReason: null,
+      completedAt: new Date(now).toISOString()
+    };
+  }
+
+  // Estimate remaining pages from the stream time covered per page so far
+  let estimatedRemainingPages = null;
+  if (oldestAlertTimestamp && newestAlertTimestamp && pagesFetched > 0) {
+    const newestTime = new Date(newestAlertTimestamp).getTime();
+    const msPerPage = (newestTime - new Date(oldestAlertTimestamp).getTime()) / pagesFetched;
+    if (msPerPage > 0) {
+      estimatedRemainingPages = Math.ceil(Math.max(now - newestTime, 0) / msPerPage);
+    }
+  }
+
+  return {
+    ...previous,
+    active: true,
+    pagesFetched,
+    alertsFetched: previous.alertsFetched + cycle.alertsFetched,
+    oldestAlertTimestamp,
+    newestAlertTimestamp,
+    estimatedRemainingPages,
+    stopReason: cycle.stopReason,
+    completedAt: null
+  };
+};
+
 /**
  * Poll the API for new alerts and process them
  * Uses cursor-based pagination to resume from the last position in the stream.
  * For first poll, fetches DEFAULT_PAGE_SIZE (10) alerts and saves the cursor.
- * For subsequent polls, resumes from the saved cursor and paginates foward until
+ * For subsequent polls, resumes from the saved cursor and paginates forward until
  * all new alerts are fetched (using timestamp filtering to determine when to stop).
+ * If a cycle hits the page limit or runs low on rate limit quota, a backfill continues
+ * paging on later cycles until it catches up or falls behind the backfill horizon.
  * @param {Object} options - Configuration options
  * @returns {Promise<Object>} Resolves with polling result object
  * @returns {boolean} returns.success - Whether polling was successful
@@ -36,18 +210,35 @@ const pollAlerts = async (options) => {
   const Logger = getLogger();
   if (isPollingAlertsInProgress) return;
   isPollingAlertsInProgress = true;
+  const endTimer = pollDuration.startTimer();
 
   // Initialize variables at function scope to ensure they're always defined in catch block
   let totalAlertsProcessed = 0;
   let pageCount = 0;
   let lastCursor = null;
   let hasMore = false;
+  let stoppedOnRateLimit = false;
 
   try {
     Logger.debug('Starting Dataminr API poll');
 
     const state = getPollingState();
-    const isFirstPoll = !state.lastPollTime;
+    const horizonMs = getBackfillHorizonMs(options);
+
+    // If we've fallen further behind than the backfill horizon, give up on the saved
+    // cursor and restart from the live edge of the stream
+    const beyondHorizon = isBeyondHorizon(state.lastAlertTimestamp, horizonMs);
+    if (beyondHorizon) {
+      Logger.warn(
+        {
+          lastAlertTimestamp: state.lastAlertTimestamp,
+          backfillHorizonHours: horizonMs / (60 * 60 * 1000)
+        },
+        'Last processed alert is beyond the backfill horizon - skipping to the latest alerts'
+      );
+    }
+
+    const isFirstPoll = !state.lastPollTime || beyondHorizon;
 
     // For subsequent polls, start with the saved cursor from last poll
     // This allows us to resume from where we left off in the stream
@@ -58,36 +249,70 @@ const pollAlerts = async (options) => {
     // First poll: get 10 alerts to start
     // Subsequent polls: get all alerts since last alert timestamp by paginating through all pages
     let totalAlertsFetched = 0; // Track total alerts fetched from API (before filtering)
+    let lastAlertTimestamp = state.lastAlertTimestamp || null;
+    let backfill = state.backfill || null;
 
     if (isFirstPoll) {
       Logger.debug('First poll: fetching 10 alerts');
       pageCount = 1; // First poll is always 1 page
-      const { alerts, nextPageCursor } = await getAlerts(options, { pageSize: 10 });
+      const { alerts, nextPageCursor } = await getAlerts(options, {
+        pageSize: 10,
+        priority: 'poll'
+      });
       totalAlertsFetched = alerts.length; // First poll fetches up to 10 alerts
 
       if (alerts.length > 0) {
         processAlerts(alerts, options);
         totalAlertsProcessed = alerts.length;
+        lastAlertTimestamp = getTimestampRange(alerts).newest || lastAlertTimestamp;
       }
 
       // Save the cursor from nextPageCursor for the next poll
       // This allows us to resume from where we left off
       lastCursor = nextPageCursor ? nextPageCursor : lastCursor;
       hasMore = false;
+
+      if (beyondHorizon) {
+        backfill = {
+          ...(backfill || {}),
+          active: false,
+          estimatedRemainingPages: 0,
+          stopReason: 'horizonReached',
+          skippedFromTimestamp: state.lastAlertTimestamp,
+          completedAt: new Date().toISOString()
+        };
+      }
     } else {
       // Subsequent polls: resume from saved cursor position in the stream
       // We use the cursor from the last poll to continue forward in time
-
       let continuePaging = true;
+      let stopReason = null;
+      let cycleOldestTimestamp = null;
+      let cycleNewestTimestamp = null;
       pageCount = 0; // Reset page count for subsequent polls
       totalAlertsFetched = 0; // Reset for subsequent polls
-      const maxPages = 50; // Limit to 50 pages (500 alerts) per polling period to avoid rate limiting
+      const maxPages = getMaxPagesPerPoll(options); // Limit pages per polling period to avoid rate limiting
 
       while (continuePaging && pageCount < maxPages) {
+        // Anything beyond the first page is catch-up work - leave quota for interactive requests
+        if (pageCount > 0 && !hasBackfillBudget()) {
+          stopReason = 'rateLimitBudget';
+          break;
+        }
+
         pageCount++;
 
         // Fetch a page of alerts (getAlerts will filter by timestamp client-side)
-        const { alerts, nextPageCursor } = await getAlerts(options, { from: lastCursor });
+        const { alerts, nextPageCursor, rateLimited } = await getAlerts(options, {
+          from: lastCursor,
+          priority: 'poll'
+        });
+
+        if (rateLimited) {
+          stopReason = 'rateLimited';
+          stoppedOnRateLimit = true;
+          break;
+        }
 
         lastCursor = nextPageCursor ? nextPageCursor : lastCursor;
         totalAlertsFetched += alerts.length;
@@ -96,8 +321,17 @@ const pollAlerts = async (options) => {
         if (alerts.length > 0) {
           processAlerts(alerts, options);
           totalAlertsProcessed += alerts.length;
+
+          const { oldest, newest } = getTimestampRange(alerts);
+          cycleOldestTimestamp = cycleOldestTimestamp || oldest;
+          cycleNewestTimestamp = newest || cycleNewestTimestamp;
+          lastAlertTimestamp = newest || lastAlertTimestamp;
         }
 
+        // Save the position after every page so an error on a later page doesn't make the
+        // next cycle fetch the processed pages again
+        updatePollingState({ lastCursor, lastAlertTimestamp });
+
         if (alerts.length < DEFAULT_PAGE_SIZE) {
           continuePaging = false;
         }
@@ -120,10 +354,35 @@ const pollAlerts = async (options) => {
         }
       }
 
-      if (pageCount >= maxPages) {
-        Logger.warn(
-          { pageCount, totalAlertsProcessed },
-          'Reached max pages limit during polling - there may be more alerts'
+      if (continuePaging && !stopReason) {
+        stopReason = 'maxPages';
+      }
+
+      backfill = getNextBackfillState(backfill, {
+        pagesFetched: stopReason === 'rateLimited' ? pageCount - 1 : pageCount,
+        alertsFetched: totalAlertsFetched,
+        oldestAlertTimestamp: cycleOldestTimestamp,
+        newestAlertTimestamp: cycleNewestTimestamp,
+        caughtUp: !continuePaging,
+        stopReason
+      });
+
+      if (backfill && backfill.active) {
+        Logger.info(
+          {
+            stopReason,
+            pagesThisCycle: pageCount,
+            totalAlertsProcessed,
+            backfillPagesFetched: backfill.pagesFetched,
+            newestAlertTimestamp: backfill.newestAlertTimestamp,
+            estimatedRemainingPages: backfill.estimatedRemainingPages
+          },
+          'Backfill in progress - will continue paging on the next poll'
+        );
+      } else if (state.backfill && state.backfill.active) {
+        Logger.info(
+          { backfillPagesFetched: backfill.pagesFetched },
+          'Backfill complete - caught up to the latest alerts'
         );
       }
 
@@ -135,6 +394,8 @@ const pollAlerts = async (options) => {
     updatePollingState({
       lastPollTime: Date.now(),
       lastCursor: lastCursor,
+      lastAlertTimestamp,
+      backfill,
       alertCount: totalAlertsProcessed,
       totalAlertsProcessed: state.totalAlertsProcessed + totalAlertsProcessed
     });
@@ -151,6 +412,17 @@ const pollAlerts = async (options) => {
       'Polling cycle completed'
     );
     isPollingAlertsInProgress = false;
+    endTimer();
+    pollCyclesTotal.inc({ result: stoppedOnRateLimit ? 'rate_limited' : 'success' });
+    pollPagesTotal.inc({}, pageCount);
+    lastPollResult = {
+      success: true,
+      alertsProcessed: totalAlertsProcessed,
+      rateLimited: stoppedOnRateLimit,
+      error: null,
+      statusCode: null,
+      completedAt: new Date().toISOString()
+    };
 
     return {
       success: true,
@@ -161,6 +433,16 @@ const pollAlerts = async (options) => {
     isPollingAlertsInProgress = false;
     // Handle rate limiting (429) with a cleaner message
     const statusCode = error.statusCode || (error.meta && error.meta.statusCode);
+    endTimer();
+    pollCyclesTotal.inc({ result: statusCode === 429 ? 'rate_limited' : 'error' });
+    lastPollResult = {
+      success: false,
+      alertsProcessed: totalAlertsProcessed,
+      rateLimited: statusCode === 429,
+      error: error.message || error.detail || 'Polling failed',
+      statusCode: statusCode || null,
+      completedAt: new Date().toISOString()
+    };
     if (statusCode === 429) {
       Logger.warn(
         {
@@ -198,4 +480,7 @@ const pollAlerts = async (options) => {
   }
 };
 
-module.exports = pollAlerts;
+module.exports = {
+  pollAlerts,
+  getLastPollResult
+};
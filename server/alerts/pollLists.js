@@ -5,6 +5,15 @@ const { setCachedLists } = require('./stateManager');
 
 let isPollingListsInProgress = false;
 
+// Outcome of the most recent completed lists poll (see getListsPollResult)
+let lastListsPollResult = null;
+
+/**
+ * Get the outcome of the most recent completed lists poll
+ * @returns {Object|null} Result object ({ success, listCount, error, completedAt }), or null if lists were never polled
+ */
+const getListsPollResult = () => lastListsPollResult;
+
 /**
  * Get lists from Dataminr API
  * @param {Object} options - Configuration options
@@ -22,7 +31,8 @@ const pollLists = async (options) => {
     const response = await requestWithDefaults({
       route,
       options,
-      method: 'GET'
+      method: 'GET',
+      priority: 'lists'
     });
 
     // The response structure is: { lists: { TOPIC: [...], COMPANY: [...] } }
@@ -53,9 +63,21 @@ const pollLists = async (options) => {
     }
 
     isPollingListsInProgress = false;
+    lastListsPollResult = {
+      success: true,
+      listCount: formattedLists.length,
+      error: null,
+      completedAt: new Date().toISOString()
+    };
     return formattedLists;
   } catch (error) {
     isPollingListsInProgress = false;
+    lastListsPollResult = {
+      success: false,
+      listCount: 0,
+      error: error.message || error.detail || 'Failed to fetch lists',
+      completedAt: new Date().toISOString()
+    };
     Logger.error(
       { error },
       'Failed to fetch lists from Dataminr API, returning empty array'
@@ -86,5 +108,6 @@ const parseListConfig = (setListsToWatch) => {
 
 module.exports = {
   pollLists,
+  getListsPollResult,
   parseListConfig
 };
@@ -1,4 +1,4 @@
-const { map } = require('lodash/fp');
+const { map, uniqBy, isEmpty } = require('lodash/fp');
 
 const {
   logging: { getLogger },
@@ -6,37 +6,321 @@ const {
 } = require('polarity-integration-utils');
 
 const { requestsInParallel } = require('../request');
-const { DEFAULT_PAGE_SIZE, ROUTE_PREFIX } = require('../../constants');
+const { createCounter, createHistogram } = require('../metrics');
+const {
+  getSearchCacheConfig,
+  getSearchCacheKey,
+  getCachedSearch,
+  setCachedSearch,
+  recordSearchCacheBypass
+} = require('./searchCache');
+const { createSearchBatches, splitBatchResults } = require('./searchBatches');
+const { alertMatchesValue } = require('./alertMatches');
+const { getAlerts, parsePreviousPageCursor } = require('./getAlerts');
+const { getCachedAlerts } = require('./stateManager');
+const { parseIPv4Cidr, isSearchableCidr, buildCidrQuery } = require('../ipRanges');
+const {
+  DEFAULT_PAGE_SIZE,
+  ROUTE_PREFIX,
+  DEFAULT_SEARCH_BATCH_SIZE,
+  SEARCH_BATCH_MAX_ENTITIES,
+  SEARCH_BATCH_PAGE_SIZE,
+  LOOKUP_LOOKBACK_WINDOWS_MS,
+  CIDR_MIN_PREFIX_LENGTH
+} = require('../../constants');
+
+// Prometheus metrics (see server/metrics.js)
+const searchesTotal = createCounter(
+  'searches_total',
+  'Entity searches against the Dataminr API by result',
+  ['result']
+);
+const searchEntitiesTotal = createCounter(
+  'search_entities_total',
+  'Entities searched against the Dataminr API'
+);
+const searchQueriesTotal = createCounter(
+  'search_queries_total',
+  'Search queries sent to the Dataminr API by type (single entity, batch or cidr)',
+  ['type']
+);
+const searchDuration = createHistogram(
+  'search_duration_seconds',
+  'Duration of entity searches in seconds'
+);
+
+/**
+ * Get the most entity values combined into one search query
+ * @param {Object} options - Configuration options
+ * @returns {number} Batch size (1 sends one query per entity)
+ */
+const getSearchBatchSize = (options) => {
+  const batchSize = parseInt(options.searchBatchSize, 10);
+  return Number.isFinite(batchSize) && batchSize >= 1
+    ? Math.min(batchSize, SEARCH_BATCH_MAX_ENTITIES)
+    : DEFAULT_SEARCH_BATCH_SIZE;
+};
+
+/**
+ * Create the search for an IPv4 CIDR entity
+ * The range is searched on its own, as the address terms that can appear in alert text
+ * (see buildCidrQuery).
+ * @param {string} value - CIDR entity value
+ * @returns {Object} Search batch ({ values, query, cidr: true })
+ */
+const createCidrSearch = (value) => ({
+  values: [value],
+  query: buildCidrQuery(parseIPv4Cidr(value)),
+  cidr: true
+});
+
+/**
+ * Get the alerts in a CIDR search page that have an address inside the range
+ * Alerts in the alert cache with addresses in the range are added, so alerts the text
+ * search missed are still found.
+ * @param {string} value - CIDR entity value
+ * @param {Array<Object>} alerts - Alerts returned for the CIDR query
+ * @param {Array<string>|null} listIds - List IDs the search is filtered to
+ * @returns {Array<Object>} Matching alerts, newest first
+ */
+const getCidrSearchAlerts = (value, alerts, listIds) => {
+  const searchedIds = new Set(alerts.map((alert) => alert.alertId));
+  const getAlertTime = (alert) => new Date(alert.alertTimestamp).getTime() || 0;
+  return alerts
+    .concat(getCachedAlerts(listIds).filter((alert) => !searchedIds.has(alert.alertId)))
+    .filter((alert) => alertMatchesValue(alert, value))
+    .sort((a, b) => getAlertTime(b) - getAlertTime(a));
+};
+
+/**
+ * Search the API for the given entities and cache the results
+ * Several entities are combined into one OR query (see createSearchBatches) and the alerts
+ * are split back out to the entities they mention. IPv4 CIDR entities are searched on
+ * their own (see createCidrSearch). Values whose alerts were crowded out of a full batch
+ * page are searched again on their own. Failed searches are returned with an error and
+ * are not cached.
+ * @param {Array<Object>} entities - Entities to search for (unique values)
+ * @param {Object} options - Configuration options
+ * @param {Array<string>|null} listIds - List IDs to filter the search to (null for all lists)
+ * @param {Object} cacheConfig - Search cache settings (see getSearchCacheConfig)
+ * @param {number} [batchSize] - Most values per query (defaults to searchBatchSize)
+ * @returns {Promise<Array<Object>>} Resolves with { resultId, result, paging, cachedAt, fromCache, error } per entity
+ */
+const fetchSearchResults = async (
+  entities,
+  options,
+  listIds,
+  cacheConfig,
+  batchSize = getSearchBatchSize(options)
+) => {
+  if (entities.length === 0) {
+    return [];
+  }
+
+  const route = `${ROUTE_PREFIX}/v1/alerts`;
+  const values = entities.map((entity) => entity.value);
+  const batches = createSearchBatches(
+    values.filter((value) => !parseIPv4Cidr(value)),
+    batchSize
+  ).concat(values.filter((value) => parseIPv4Cidr(value)).map(createCidrSearch));
+  const alertsRequests = map((batch) => {
+    const batched = batch.values.length > 1;
+    searchQueriesTotal.inc({ type: batch.cidr ? 'cidr' : batched ? 'batch' : 'single' });
+    return {
+      resultId: batch.query,
+      route,
+      priority: 'lookup',
+      qs: Object.assign(
+        {
+          query: batch.query,
+          pageSize: batched || batch.cidr ? SEARCH_BATCH_PAGE_SIZE : DEFAULT_PAGE_SIZE
+        },
+        listIds && listIds.length > 0 ? { lists: listIds.join(',') } : {}
+      ),
+      options
+    };
+  }, batches);
+
+  const results = await requestsInParallel(alertsRequests, 'body', 10, false);
+  const crowdedOutValues = [];
+
+  const fetchedResults = [].concat(
+    ...batches.map((batch, index) => {
+      const { result, error } = results[index];
+      if (error) {
+        return batch.values.map((value) => ({ resultId: value, result: null, error }));
+      }
+
+      const alerts = (result && result.alerts) || [];
+      const batched = batch.values.length > 1;
+      const alertsByValue = batch.cidr
+        ? new Map([
+            [batch.values[0], getCidrSearchAlerts(batch.values[0], alerts, listIds)]
+          ])
+        : batched
+        ? splitBatchResults(batch.values, alerts)
+        : new Map([[batch.values[0], alerts]]);
+      // A full batch page may have crowded out the alerts of some values
+      const pageFull = batched && alerts.length >= SEARCH_BATCH_PAGE_SIZE;
+
+      // A batch cursor pages the combined query, so more alerts for a batched value start
+      // from a search of its own (cursor null)
+      const cursor = batched
+        ? null
+        : parsePreviousPageCursor(result && result.previousPage);
+      const pageSize = batch.cidr ? SEARCH_BATCH_PAGE_SIZE : DEFAULT_PAGE_SIZE;
+      const paging = batched
+        ? { cursor: null, hasMore: pageFull }
+        : { cursor, hasMore: !!cursor && alerts.length >= pageSize };
+
+      return batch.values.map((value) => {
+        const valueAlerts = alertsByValue.get(value);
+        if (pageFull && valueAlerts.length === 0) {
+          crowdedOutValues.push(value);
+          return null;
+        }
+        const cachedAt = cacheConfig.ttlMs > 0
+          ? setCachedSearch(
+              getSearchCacheKey(options, value, listIds),
+              { alerts: valueAlerts, paging },
+              cacheConfig
+            )
+          : Date.now();
+        return {
+          resultId: value,
+          result: valueAlerts,
+          paging,
+          cachedAt,
+          fromCache: false
+        };
+      });
+    })
+  );
+
+  // "No alerts" from a full batch page isn't an answer - search those values on their own
+  const crowdedOutResults = await fetchSearchResults(
+    entities.filter((entity) => crowdedOutValues.includes(entity.value)),
+    options,
+    listIds,
+    cacheConfig,
+    1
+  );
+
+  return fetchedResults.filter(Boolean).concat(crowdedOutResults);
+};
 
 /**
  * Search for alerts matching the given entities against all Lists
+ * Results are served from the search cache while they are fresh. With a stale window
+ * configured, expired results are returned immediately and refreshed in the background.
+ * IPv4 CIDR ranges larger than CIDR_MIN_PREFIX_LENGTH are not searched; they are returned
+ * with no alerts and rangeTooLarge set.
  * @param {Array<Object>} entities - Array of entity objects to search for
  * @param {Object} options - Configuration options
+ * @param {Object} [searchOptions] - Optional search settings
+ * @param {Array<string>|null} [searchOptions.listIds] - List IDs to filter the search to (defaults to all lists)
+ * @param {boolean} [searchOptions.bypassCache] - Skip the cache and search the API (the result is still cached). Failed searches throw.
  * @returns {Promise<Array<Object>>} Resolves with array of alert results
  * @returns {Array<Object>} returns.alerts - Array of alert objects
  */
-const searchAlerts = async (entities, options) => {
+const searchAlerts = async (
+  entities,
+  options,
+  { listIds = null, bypassCache = false } = {}
+) => {
   const Logger = getLogger();
+  const endTimer = searchDuration.startTimer();
+  searchEntitiesTotal.inc({}, entities.length);
 
   try {
-    const route = `${ROUTE_PREFIX}/v1/alerts`;
-    const alertsRequests = map(
-      (entity) => ({
-        resultId: entity.value,
-        route,
-        qs: {
-          query: entity.value,
-          pageSize: DEFAULT_PAGE_SIZE
-        },
-        options
-      }),
-      entities
+    const cacheConfig = getSearchCacheConfig(options);
+    const tooLargeValues = [];
+    const uniqueEntities = uniqBy('value', entities).filter((entity) => {
+      const range = parseIPv4Cidr(entity.value);
+      if (range && !isSearchableCidr(range)) {
+        Logger.debug({ value: entity.value }, 'Skipping CIDR range too large to search');
+        tooLargeValues.push(entity.value);
+        return false;
+      }
+      return true;
+    });
+
+    const cachedResults = new Map();
+    if (cacheConfig.ttlMs > 0) {
+      uniqueEntities.forEach((entity) => {
+        if (bypassCache) {
+          recordSearchCacheBypass();
+          return;
+        }
+        const cached = getCachedSearch(
+          getSearchCacheKey(options, entity.value, listIds),
+          cacheConfig
+        );
+        if (cached) {
+          cachedResults.set(entity.value, cached);
+        }
+      });
+    }
+
+    const fetchedResults = await fetchSearchResults(
+      uniqueEntities.filter((entity) => !cachedResults.has(entity.value)),
+      options,
+      listIds,
+      cacheConfig
+    );
+
+    // A requested fresh search that could not be done is an error rather than "no alerts"
+    const failedResults = fetchedResults.filter(({ error }) => error);
+    if (bypassCache && failedResults.length > 0) {
+      throw new Error(`Search failed: ${failedResults[0].error}`);
+    }
+
+    // Refresh stale results without holding up the lookup. Concurrent lookups of the same
+    // stale value share one API request (see requestWithDefaults).
+    const staleEntities = uniqueEntities.filter(
+      (entity) => cachedResults.has(entity.value) && cachedResults.get(entity.value).stale
     );
+    if (staleEntities.length > 0) {
+      fetchSearchResults(staleEntities, options, listIds, cacheConfig).catch((error) => {
+        Logger.warn({ error }, 'Refreshing stale search results failed');
+      });
+    }
 
-    const alerts = await requestsInParallel(alertsRequests, 'body.alerts');
+    const alerts = Array.from(cachedResults.entries())
+      .map(([value, { result, cachedAt }]) => ({
+        resultId: value,
+        result: result.alerts,
+        paging: result.paging,
+        cachedAt,
+        fromCache: true
+      }))
+      .concat(fetchedResults)
+      .filter(({ result }) => !isEmpty(result))
+      // Ranges that weren't searched are returned so the lookup can say why
+      .concat(
+        tooLargeValues.map((value) => ({
+          resultId: value,
+          result: [],
+          rangeTooLarge: true
+        }))
+      );
+
+    endTimer();
+    searchesTotal.inc({ result: 'success' });
+    Logger.debug(
+      {
+        entities: uniqueEntities.length,
+        cached: cachedResults.size,
+        stale: staleEntities.length,
+        searched: fetchedResults.length
+      },
+      'Entity search complete'
+    );
 
     return alerts;
   } catch (error) {
+    endTimer();
+    searchesTotal.inc({ result: 'error' });
     const err = parseErrorToReadableJson(error);
     Logger.error(
       {
@@ -49,4 +333,110 @@ const searchAlerts = async (entities, options) => {
   }
 };
 
-module.exports = searchAlerts;
+/**
+ * Get the lookup filters chosen in the user options
+ * @param {Object} options - Configuration options
+ * @returns {Object} { sinceMs, alertTypes } (null when the lookback or alert types are not limited)
+ */
+const getLookupFilters = (options) => {
+  const lookback =
+    options.lookupLookback && typeof options.lookupLookback === 'object'
+      ? options.lookupLookback.value
+      : options.lookupLookback;
+  const windowMs = LOOKUP_LOOKBACK_WINDOWS_MS[lookback];
+  const alertTypes = []
+    .concat(options.lookupAlertTypes || [])
+    .map((type) => (type && typeof type === 'object' ? type.value : type))
+    .filter(Boolean)
+    .map((type) => String(type).toLowerCase());
+
+  return {
+    sinceMs: windowMs ? Date.now() - windowMs : null,
+    alertTypes: alertTypes.length > 0 ? new Set(alertTypes) : null
+  };
+};
+
+/**
+ * Apply the user's lookback window and alert type lookup filters to a page of search results
+ * Paging stops once a page reaches back past the lookback window.
+ * @param {Array<Object>} alerts - Alerts of one entity search page
+ * @param {Object|null} paging - Paging state of the page ({ cursor, hasMore })
+ * @param {Object} options - Configuration options
+ * @returns {Object} { alerts, paging } with the alerts that count as lookup hits
+ */
+const filterLookupResults = (alerts, paging, options) => {
+  const { sinceMs, alertTypes } = getLookupFilters(options);
+  const getAlertTime = (alert) => new Date(alert.alertTimestamp).getTime();
+  const getAlertType = (alert) =>
+    ((alert.alertType && alert.alertType.name) || 'alert').toLowerCase();
+
+  const filteredAlerts = alerts.filter(
+    (alert) =>
+      (sinceMs === null || getAlertTime(alert) >= sinceMs) &&
+      (!alertTypes || alertTypes.has(getAlertType(alert)))
+  );
+  const reachedLookback =
+    sinceMs !== null && alerts.some((alert) => getAlertTime(alert) < sinceMs);
+
+  return {
+    alerts: filteredAlerts,
+    paging: paging && reachedLookback ? { ...paging, hasMore: false } : paging
+  };
+};
+
+/**
+ * Get the next page of older alerts for one entity search
+ * Older results are reached through the response's previousPage link, the direction
+ * exports page in. Without a cursor (results from a batched query) the entity is searched
+ * on its own from the newest alert and the alerts already shown are left out. The user's
+ * lookup filters are applied to the page, and for an IPv4 CIDR only the alerts with an
+ * address in the range are kept. Ranges too large to search are rejected.
+ * @param {Object} entity - Entity object to search for
+ * @param {Object} options - Configuration options
+ * @param {Object} [params] - Paging parameters
+ * @param {string|null} [params.cursor] - Cursor returned with the previous page
+ * @param {Array<string>} [params.loadedAlertIds] - IDs of the alerts already shown
+ * @param {Array<string>|null} [params.listIds] - List IDs to filter the search to (defaults to all lists)
+ * @returns {Promise<Object>} Resolves with { alerts, paging: { cursor, hasMore } }
+ */
+const searchMoreAlerts = async (
+  entity,
+  options,
+  { cursor = null, loadedAlertIds = [], listIds = null } = {}
+) => {
+  const range = parseIPv4Cidr(entity.value);
+  if (range && !isSearchableCidr(range)) {
+    throw new Error(
+      `Range too large to search - look up a /${CIDR_MIN_PREFIX_LENGTH} or smaller range`
+    );
+  }
+  const page = await getAlerts(options, {
+    query: range ? buildCidrQuery(range) : entity.value,
+    to: cursor,
+    listIds,
+    priority: 'lookup'
+  });
+  if (page.rateLimited) {
+    throw new Error('Dataminr API rate limit reached, try again shortly');
+  }
+  searchQueriesTotal.inc({ type: range ? 'cidr' : 'single' });
+
+  const loaded = new Set(loadedAlertIds);
+  return filterLookupResults(
+    page.alerts.filter(
+      (alert) =>
+        !loaded.has(alert.alertId) && (!range || alertMatchesValue(alert, entity.value))
+    ),
+    {
+      cursor: page.previousPageCursor,
+      hasMore: !!page.previousPageCursor && page.alerts.length >= DEFAULT_PAGE_SIZE
+    },
+    options
+  );
+};
+
+module.exports = {
+  searchAlerts,
+  searchMoreAlerts,
+  filterLookupResults
+};
@@ -0,0 +1,59 @@
+const { alertMatchesValue } = require('./alertMatches');
+const { SEARCH_BATCH_MAX_QUERY_LENGTH } = require('../../constants');
+
+const BATCH_QUERY_SEPARATOR = ' OR ';
+
+/**
+ * Build the boolean query for a batch of values
+ * A single value is sent as is; several values are quoted and OR-joined.
+ * @param {Array<string>} values - Entity values
+ * @returns {string} Query string
+ */
+const buildBatchQuery = (values) =>
+  values.length === 1
+    ? values[0]
+    : values.map((value) => `"${value.replace(/"/g, '')}"`).join(BATCH_QUERY_SEPARATOR);
+
+/**
+ * Group entity values into search batches that fit the API query length limit
+ * Values too long to share a query get a batch of their own.
+ * @param {Array<string>} values - Unique entity values
+ * @param {number} maxValues - Most values per batch (1 sends one query per value)
+ * @returns {Array<Object>} Batches of { values, query }
+ */
+const createSearchBatches = (values, maxValues) => {
+  const batches = values.reduce((agg, value) => {
+    const current = agg[agg.length - 1];
+    const candidate = current ? current.concat(value) : null;
+    return candidate &&
+      candidate.length <= maxValues &&
+      buildBatchQuery(candidate).length <= SEARCH_BATCH_MAX_QUERY_LENGTH
+      ? agg.slice(0, -1).concat([candidate])
+      : agg.concat([[value]]);
+  }, []);
+
+  return batches.map((batchValues) => ({
+    values: batchValues,
+    query: buildBatchQuery(batchValues)
+  }));
+};
+
+/**
+ * Split the alerts returned for a batch query back out to the values that matched them
+ * An alert is given to every value it mentions; alerts that mention none are dropped.
+ * @param {Array<string>} values - Values in the batch
+ * @param {Array<Object>} alerts - Alerts returned for the batch query
+ * @returns {Map<string, Array<Object>>} Alerts per value (every value has an entry)
+ */
+const splitBatchResults = (values, alerts) =>
+  new Map(
+    values.map((value) => [
+      value,
+      alerts.filter((alert) => alertMatchesValue(alert, value))
+    ])
+  );
+
+module.exports = {
+  createSearchBatches,
+  splitBatchResults
+};
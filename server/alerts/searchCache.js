@@ -0,0 +1,147 @@
+const { createCounter, createGauge } = require('../metrics');
+const {
+  DEFAULT_SEARCH_CACHE_TTL_MINUTES,
+  DEFAULT_SEARCH_CACHE_MAX_ENTRIES
+} = require('../../constants');
+
+// Cached entity search results keyed by getSearchCacheKey. Map order is least recently
+// used first, so the oldest entries are evicted when the cache is full.
+const searchCache = new Map();
+
+// Prometheus metrics (see server/metrics.js)
+const searchCacheRequestsTotal = createCounter(
+  'search_cache_requests_total',
+  'Entity search cache lookups by result (hit, stale, miss or bypass)',
+  ['result']
+);
+createGauge(
+  'search_cache_entries',
+  'Entity search results held in the search cache',
+  () => searchCache.size
+);
+
+/**
+ * Read a number option, falling back to a default when it is missing or out of range
+ * @param {*} value - Raw option value
+ * @param {number} min - Smallest accepted value
+ * @param {number} defaultValue - Value used when the option is missing or invalid
+ * @returns {number} Option value
+ */
+const getNumberOption = (value, min, defaultValue) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && number >= min
+    ? number
+    : defaultValue;
+};
+
+/**
+ * Get the search cache settings from the integration options
+ * @param {Object} options - Configuration options
+ * @returns {Object} { ttlMs, staleMs, maxEntries } (ttlMs 0 disables the cache, staleMs 0 disables stale-while-revalidate)
+ */
+const getSearchCacheConfig = (options) => ({
+  ttlMs:
+    getNumberOption(options.searchCacheTtlMinutes, 0, DEFAULT_SEARCH_CACHE_TTL_MINUTES) *
+    60 *
+    1000,
+  staleMs: getNumberOption(options.searchCacheStaleMinutes, 0, 0) * 60 * 1000,
+  maxEntries: Math.floor(
+    getNumberOption(options.searchCacheMaxEntries, 1, DEFAULT_SEARCH_CACHE_MAX_ENTRIES)
+  )
+});
+
+/**
+ * Build the key a search result is cached under
+ * Results depend on the API account, the searched value and the list filter sent with the search.
+ * @param {Object} options - Configuration options
+ * @param {string} value - Searched entity value
+ * @param {Array<string>|null} listIds - List IDs the search is filtered to (null for all lists)
+ * @returns {string} Cache key
+ */
+const getSearchCacheKey = (options, value, listIds) =>
+  JSON.stringify([
+    options.url,
+    options.clientId,
+    value,
+    listIds && listIds.length > 0 ? listIds.slice().sort() : null
+  ]);
+
+/**
+ * Look up a cached search result
+ * @param {string} key - Cache key (see getSearchCacheKey)
+ * @param {Object} config - Search cache settings (see getSearchCacheConfig)
+ * @returns {Object|null} { result, cachedAt, stale } or null when there is no usable entry
+ */
+const getCachedSearch = (key, config) => {
+  const entry = searchCache.get(key);
+  if (!entry) {
+    searchCacheRequestsTotal.inc({ result: 'miss' });
+    return null;
+  }
+
+  const age = Date.now() - entry.cachedAt;
+  if (age > config.ttlMs + config.staleMs) {
+    searchCache.delete(key);
+    searchCacheRequestsTotal.inc({ result: 'miss' });
+    return null;
+  }
+
+  // Move the entry to the end so it is evicted last
+  searchCache.delete(key);
+  searchCache.set(key, entry);
+
+  const stale = age > config.ttlMs;
+  searchCacheRequestsTotal.inc({ result: stale ? 'stale' : 'hit' });
+  return { result: entry.result, cachedAt: entry.cachedAt, stale };
+};
+
+/**
+ * Store a search result, evicting the least recently used entries beyond the size cap
+ * @param {string} key - Cache key (see getSearchCacheKey)
+ * @param {Object} result - Search result ({ alerts, paging })
+ * @param {Object} config - Search cache settings (see getSearchCacheConfig)
+ * @returns {number} Epoch ms the result was cached at
+ */
+const setCachedSearch = (key, result, config) => {
+  const cachedAt = Date.now();
+  searchCache.delete(key);
+  searchCache.set(key, { result, cachedAt });
+
+  while (searchCache.size > config.maxEntries) {
+    searchCache.delete(searchCache.keys().next().value);
+  }
+  return cachedAt;
+};
+
+/**
+ * Count a search that skipped the cache because a fresh result was requested
+ * @returns {void}
+ */
+const recordSearchCacheBypass = () => {
+  searchCacheRequestsTotal.inc({ result: 'bypass' });
+};
+
+/**
+ * Get the size of the search cache (for diagnostics)
+ * @returns {Object} { entries, oldestCachedAt }
+ */
+const getSearchCacheStats = () => {
+  const oldestCachedAt = Array.from(searchCache.values()).reduce(
+    (oldest, { cachedAt }) => Math.min(oldest, cachedAt),
+    Infinity
+  );
+  return {
+    entries: searchCache.size,
+    oldestCachedAt:
+      oldestCachedAt === Infinity ? null : new Date(oldestCachedAt).toISOString()
+  };
+};
+
+module.exports = {
+  getSearchCacheConfig,
+  getSearchCacheKey,
+  getCachedSearch,
+  setCachedSearch,
+  recordSearchCacheBypass,
+  getSearchCacheStats
+};
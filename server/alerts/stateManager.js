@@ -1,11 +1,113 @@
-const { STATE_KEY, ALERTS_KEY, LISTS_KEY, ALERTS_MAP_KEY, CACHE_MAX_AGE_MS } = require('../../constants');
+const EventEmitter = require('events');
+
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const {
+  STATE_KEY,
+  ALERTS_KEY,
+  LISTS_KEY,
+  ALERTS_MAP_KEY,
+  READ_STATE_KEY,
+  TRIAGE_KEY,
+  WEBHOOK_DEAD_LETTERS_KEY,
+  CACHE_MAX_AGE_MS,
+  DEFAULT_CACHE_MAX_ALERTS,
+  PERSIST_DEBOUNCE_MS,
+  MAX_READ_ALERT_IDS,
+  MAX_TRIAGE_RECORDS,
+  MAX_TRIAGE_NOTES,
+  MAX_TRIAGE_NOTE_LENGTH,
+  MAX_WEBHOOK_DEAD_LETTERS
+} = require('../../constants');
+const { getMatchingGeofenceNames } = require('./geofences');
 
 // Native in-memory cache stores
 const cache = {
   [STATE_KEY]: null,
   [ALERTS_KEY]: [],
   [LISTS_KEY]: [],
-  [ALERTS_MAP_KEY]: new Map()
+  [ALERTS_MAP_KEY]: new Map(),
+  [READ_STATE_KEY]: {}, // username -> { alertIds, readThroughTimestamp }
+  // alertId -> { status, assignee, notes, updatedBy, updatedAt }. Keyed by IDs the
+  // client sends, so it has no prototype ('constructor' or '__proto__' are plain keys)
+  [TRIAGE_KEY]: Object.create(null),
+  [WEBHOOK_DEAD_LETTERS_KEY]: [] // Failed webhook deliveries (oldest first)
+};
+
+// Emits 'alertsAdded' with the newly cached alerts (used by waitForAlerts long-polling)
+const alertEvents = new EventEmitter();
+alertEvents.setMaxListeners(0); // One listener per waiting client
+
+// Admin configurable cache limits (see setCacheLimits) and eviction counters
+const cacheLimits = {
+  maxAgeMs: CACHE_MAX_AGE_MS,
+  maxAlerts: DEFAULT_CACHE_MAX_ALERTS
+};
+const evictionCounts = { age: 0, capacity: 0 };
+
+// Optional persistence backend (see server/persistence) and pending write timer
+let persistenceStore = null;
+let persistTimer = null;
+
+/**
+ * Set the persistence backend used to save and restore the cache across restarts
+ * @param {PersistenceStore|null} store - Store implementing get/set/flush, or null to disable persistence
+ * @returns {void}
+ */
+const setPersistenceStore = (store) => {
+  persistenceStore = store;
+};
+
+/**
+ * Write the current cache contents to the persistence backend
+ * The alerts map is saved as its list of alert IDs and rebuilt from the alerts array on restore.
+ * @returns {Promise<void>} Resolves when the state has been written
+ */
+const persistState = async () => {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+
+  if (!persistenceStore) {
+    return;
+  }
+
+  try {
+    await persistenceStore.set(STATE_KEY, cache[STATE_KEY]);
+    await persistenceStore.set(ALERTS_KEY, cache[ALERTS_KEY]);
+    await persistenceStore.set(ALERTS_MAP_KEY, Array.from(cache[ALERTS_MAP_KEY].keys()));
+    await persistenceStore.set(LISTS_KEY, cache[LISTS_KEY]);
+    await persistenceStore.set(READ_STATE_KEY, cache[READ_STATE_KEY]);
+    await persistenceStore.set(TRIAGE_KEY, cache[TRIAGE_KEY]);
+    await persistenceStore.set(WEBHOOK_DEAD_LETTERS_KEY, cache[WEBHOOK_DEAD_LETTERS_KEY]);
+    await persistenceStore.flush();
+  } catch (error) {
+    const Logger = getLogger();
+    Logger.error({ error }, 'Failed to persist alert cache state');
+  }
+};
+
+/**
+ * Schedule a debounced write of the cache to the persistence backend
+ * @returns {void}
+ */
+const schedulePersist = () => {
+  if (!persistenceStore || persistTimer) {
+    return;
+  }
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistState();
+  }, PERSIST_DEBOUNCE_MS);
+
+  // Don't keep the process alive just to write state
+  if (persistTimer.unref) {
+    persistTimer.unref();
+  }
 };
 
 /**
@@ -15,6 +117,8 @@ const cache = {
  * @returns {number|null} returns.lastPollTime - epoch milliseconds timestamp of last poll
  * @returns {number} returns.alertCount - Number of alerts in last poll
  * @returns {number} returns.totalAlertsProcessed - Total alerts processed since reset
+ * @returns {string|null} [returns.lastAlertTimestamp] - ISO timestamp of the newest alert processed
+ * @returns {Object|null} [returns.backfill] - Backfill progress (see pollAlerts)
  */
 const getPollingState = () => {
   return (
@@ -22,7 +126,9 @@ const getPollingState = () => {
       lastCursor: null,
       lastPollTime: null,
       alertCount: 0,
-      totalAlertsProcessed: 0
+      totalAlertsProcessed: 0,
+      lastAlertTimestamp: null,
+      backfill: null
     }
   );
 };
@@ -34,6 +140,8 @@ const getPollingState = () => {
  * @param {number} [updates.lastPollTime] - epoch milliseconds timestamp of last poll
  * @param {number} [updates.alertCount] - Number of alerts in current poll
  * @param {number} [updates.totalAlertsProcessed] - Total alerts processed
+ * @param {string} [updates.lastAlertTimestamp] - ISO timestamp of the newest alert processed
+ * @param {Object} [updates.backfill] - Backfill progress
  * @returns {Object} Updated polling state object
  */
 const updatePollingState = (updates) => {
@@ -43,6 +151,7 @@ const updatePollingState = (updates) => {
     ...updates
   };
   cache[STATE_KEY] = newState;
+  schedulePersist();
   return newState;
 };
 
@@ -52,6 +161,7 @@ const updatePollingState = (updates) => {
  */
 const resetPollingState = () => {
   cache[STATE_KEY] = null;
+  schedulePersist();
 };
 
 /**
@@ -59,8 +169,7 @@ const resetPollingState = () => {
  * Optionally also filter by alertFilterTimestamp if provided
  * @param {Array<Object>} alerts - Array of alert objects
  * @param {string|null} alertFilterTimestamp - Optional ISO timestamp to filter alerts (returns alerts after this timestamp)
- * @param {number} maxAge - Optional max age in milliseconds (default is CACHE_MAX_AGE_MS)
-* @returns {Array<Object>} Filtered array of alerts (only those within max age and after alertFilterTimestamp if provided)
+ * @returns {Array<Object>} Filtered array of alerts (only those within max age and after alertFilterTimestamp if provided)
  */
 const filterAlertsByAge = (alerts, alertFilterTimestamp = null) => {
   const now = Date.now();
@@ -77,8 +186,8 @@ const filterAlertsByAge = (alerts, alertFilterTimestamp = null) => {
     const alertTime = new Date(alert.alertTimestamp).getTime();
     const age = now - alertTime;
 
-    // Must be within max age
-    if (age > CACHE_MAX_AGE_MS) {
+    // Must be within the retention window
+    if (age > cacheLimits.maxAgeMs) {
       return false;
     }
 
@@ -92,12 +201,13 @@ const filterAlertsByAge = (alerts, alertFilterTimestamp = null) => {
 };
 
 /**
- * Get all cached alerts (filtered to remove alerts older than 1 hour)
+ * Get all cached alerts (filtered to remove alerts older than the retention window)
  * @param {Array<string>} [listIds] - Optional array of list IDs to filter by. If provided, only returns alerts that match any of the list IDs.
  * @param {string|null} alertFilterTimestamp - Optional ISO timestamp to filter alerts (returns alerts after this timestamp)
+ * @param {Array<Object>|null} [geofences] - Optional compiled geofences. If provided, only returns alerts located in any of them.
  * @returns {Array<Object>} Array of alert objects (sorted newest first)
  */
-const getCachedAlerts = (listIds = null, alertFilterTimestamp = null) => {
+const getCachedAlerts = (listIds = null, alertFilterTimestamp = null, geofences = null) => {
   const alerts = cache[ALERTS_KEY] || [];
   
   // Early return if no alerts
@@ -109,7 +219,7 @@ const getCachedAlerts = (listIds = null, alertFilterTimestamp = null) => {
   // (alerts are already filtered on add, so this is just for cleanup of old entries)
   let filteredAlerts = alerts;
   const now = Date.now();
-  const cutoffTime = now - CACHE_MAX_AGE_MS;
+  const cutoffTime = now - cacheLimits.maxAgeMs;
   
   // Quick check: is the oldest alert (last in array) still valid?
   const oldestAlert = alerts[alerts.length - 1];
@@ -123,6 +233,7 @@ const getCachedAlerts = (listIds = null, alertFilterTimestamp = null) => {
         return alertTime > cutoffTime;
       });
       // Update cache with filtered list (cleanup)
+      evictionCounts.age += alerts.length - filteredAlerts.length;
       cache[ALERTS_KEY] = filteredAlerts;
     }
   }
@@ -136,8 +247,8 @@ const getCachedAlerts = (listIds = null, alertFilterTimestamp = null) => {
   // Convert listIds to Set for O(1) lookup
   const listIdsSet = listIds && listIds.length > 0 ? new Set(listIds) : null;
   
-  // Single-pass filter for both timestamp and listIds
-  if (filterTimestampMs !== null || listIdsSet !== null) {
+  // Single-pass filter for timestamp, listIds and geofences
+  if (filterTimestampMs !== null || listIdsSet !== null || geofences !== null) {
     filteredAlerts = filteredAlerts.filter((alert) => {
       // Check timestamp if filter provided
       if (filterTimestampMs !== null) {
@@ -164,6 +275,11 @@ const getCachedAlerts = (listIds = null, alertFilterTimestamp = null) => {
         }
         if (!hasMatch) return false;
       }
+
+      // Check geofences if filter provided
+      if (geofences !== null && getMatchingGeofenceNames(alert, geofences).length === 0) {
+        return false;
+      }
       
       return true;
     });
@@ -180,6 +296,7 @@ const getCachedAlerts = (listIds = null, alertFilterTimestamp = null) => {
  * @returns {Object} Result object
  * @returns {number} returns.added - Number of new alerts added
  * @returns {number} returns.total - Total alerts in cache after adding
+ * @returns {Array<Object>} returns.alerts - The alerts that were newly added
  */
 const addAlertsToCache = (alerts) => {
   if (!alerts || alerts.length === 0) {
@@ -191,7 +308,7 @@ const addAlertsToCache = (alerts) => {
   
   // Filter out duplicates from incoming alerts using existing map
   const now = Date.now();
-  const cutoffTime = now - CACHE_MAX_AGE_MS;
+  const cutoffTime = now - cacheLimits.maxAgeMs;
   const newAlertsToAdd = [];
   
   alerts.forEach((alert) => {
@@ -224,13 +341,14 @@ const addAlertsToCache = (alerts) => {
   const allAlerts = [...newAlertsToAdd, ...existingAlerts];
   
   // Remove old alerts (only filter if we have a significant number)
-  const filteredAlerts = allAlerts.filter((alert) => {
+  let filteredAlerts = allAlerts.filter((alert) => {
     if (!alert.alertTimestamp) {
       return false;
     }
     const alertTime = new Date(alert.alertTimestamp).getTime();
-    return (now - alertTime) <= CACHE_MAX_AGE_MS;
+    return (now - alertTime) <= cacheLimits.maxAgeMs;
   });
+  evictionCounts.age += allAlerts.length - filteredAlerts.length;
   
   // Only sort if we actually added new alerts in wrong order
   // Since API returns newest first and we prepend, order should be maintained
@@ -256,6 +374,18 @@ const addAlertsToCache = (alerts) => {
     }
   }
   
+  // Evict the oldest alerts beyond the size cap. Alerts from lookups can be older than
+  // the cached ones, so sort fully before cutting off the tail.
+  if (filteredAlerts.length > cacheLimits.maxAlerts) {
+    evictionCounts.capacity += filteredAlerts.length - cacheLimits.maxAlerts;
+    filteredAlerts = filteredAlerts
+      .sort(
+        (a, b) =>
+          new Date(b.alertTimestamp).getTime() - new Date(a.alertTimestamp).getTime()
+      )
+      .slice(0, cacheLimits.maxAlerts);
+  }
+
   // Rebuild map from scratch only if we removed old alerts
   if (filteredAlerts.length !== allAlerts.length) {
     existingMap.clear();
@@ -269,10 +399,109 @@ const addAlertsToCache = (alerts) => {
   // Update caches
   cache[ALERTS_KEY] = filteredAlerts;
   cache[ALERTS_MAP_KEY] = existingMap;
+  schedulePersist();
+
+  // Alerts evicted straight away by the size cap don't count as added
+  const keptAlerts = filteredAlerts.length !== allAlerts.length ? new Set(filteredAlerts) : null;
+  const addedAlerts = keptAlerts
+    ? newAlertsToAdd.filter((alert) => keptAlerts.has(alert))
+    : newAlertsToAdd;
+  if (addedAlerts.length === 0) {
+    return { added: 0, total: filteredAlerts.length };
+  }
+  alertEvents.emit('alertsAdded', addedAlerts);
 
   return {
-    added: newAlertsToAdd.length,
-    total: filteredAlerts.length
+    added: addedAlerts.length,
+    total: filteredAlerts.length,
+    alerts: addedAlerts
+  };
+};
+
+/**
+ * Apply the admin retention window and size cap to the alert cache
+ * Called with the current options on every lookup and message (see applyAdminOptions in
+ * integration.js) so option changes take effect without a restart. Alerts outside the
+ * new limits are evicted straight away.
+ * @param {Object} options - Configuration options
+ * @param {number} [options.cacheRetentionMinutes] - How long alerts are kept
+ * @param {number} [options.cacheMaxAlerts] - Max number of cached alerts
+ * @returns {Object} The limits in effect ({ maxAgeMs, maxAlerts })
+ */
+const setCacheLimits = (options) => {
+  const retentionMinutes = Number(options.cacheRetentionMinutes);
+  const maxAlerts = parseInt(options.cacheMaxAlerts, 10);
+  const maxAgeMs =
+    Number.isFinite(retentionMinutes) && retentionMinutes > 0
+      ? retentionMinutes * 60 * 1000
+      : CACHE_MAX_AGE_MS;
+  const nextMaxAlerts =
+    Number.isFinite(maxAlerts) && maxAlerts > 0 ? maxAlerts : DEFAULT_CACHE_MAX_ALERTS;
+
+  if (maxAgeMs === cacheLimits.maxAgeMs && nextMaxAlerts === cacheLimits.maxAlerts) {
+    return { ...cacheLimits };
+  }
+
+  const Logger = getLogger();
+  Logger.info(
+    { retentionMinutes: maxAgeMs / (60 * 1000), maxAlerts: nextMaxAlerts },
+    'Alert cache limits updated'
+  );
+  cacheLimits.maxAgeMs = maxAgeMs;
+  cacheLimits.maxAlerts = nextMaxAlerts;
+
+  // Enforce the new limits on the alerts already cached
+  const alerts = cache[ALERTS_KEY] || [];
+  const withinAge = filterAlertsByAge(alerts);
+  const withinLimits = withinAge.slice(0, nextMaxAlerts);
+  if (withinLimits.length !== alerts.length) {
+    evictionCounts.age += alerts.length - withinAge.length;
+    evictionCounts.capacity += withinAge.length - withinLimits.length;
+    cache[ALERTS_KEY] = withinLimits;
+    cache[ALERTS_MAP_KEY] = new Map(
+      withinLimits.filter((alert) => alert.alertId).map((alert) => [alert.alertId, alert])
+    );
+    schedulePersist();
+  }
+
+  return { ...cacheLimits };
+};
+
+/**
+ * Get the retention window and size cap currently applied to the alert cache
+ * @returns {Object} Limits object
+ * @returns {number} returns.maxAgeMs - Retention window in milliseconds
+ * @returns {number} returns.maxAlerts - Max number of cached alerts
+ */
+const getCacheLimits = () => ({ ...cacheLimits });
+
+/**
+ * Get statistics about the in-memory caches for diagnostics
+ * @returns {Object} Stats object
+ * @returns {Object} returns.alerts - Alert count, limits, oldest/newest timestamps, approximate size and evictions
+ * @returns {number} returns.lists - Number of cached lists
+ * @returns {number} returns.readStateUsers - Users with a remembered read state
+ * @returns {number} returns.triageRecords - Alerts with a triage record
+ * @returns {number} returns.webhookDeadLetters - Failed webhook deliveries waiting for a replay
+ */
+const getCacheStats = () => {
+  const alerts = cache[ALERTS_KEY] || [];
+  return {
+    alerts: {
+      count: alerts.length,
+      indexed: cache[ALERTS_MAP_KEY].size,
+      maxAlerts: cacheLimits.maxAlerts,
+      retentionMinutes: cacheLimits.maxAgeMs / (60 * 1000),
+      newestAlertTimestamp: alerts.length > 0 ? alerts[0].alertTimestamp || null : null,
+      oldestAlertTimestamp:
+        alerts.length > 0 ? alerts[alerts.length - 1].alertTimestamp || null : null,
+      evictedByAge: evictionCounts.age,
+      evictedByCapacity: evictionCounts.capacity
+    },
+    lists: cache[LISTS_KEY].length,
+    readStateUsers: Object.keys(cache[READ_STATE_KEY]).length,
+    triageRecords: Object.keys(cache[TRIAGE_KEY]).length,
+    webhookDeadLetters: cache[WEBHOOK_DEAD_LETTERS_KEY].length
   };
 };
 
@@ -283,6 +512,7 @@ const addAlertsToCache = (alerts) => {
 const clearCachedAlerts = () => {
   cache[ALERTS_KEY] = [];
   cache[ALERTS_MAP_KEY] = new Map();
+  schedulePersist();
 };
 
 /**
@@ -334,6 +564,322 @@ const getCachedLists = () => {
 const setCachedLists = (lists) => {
   if (lists && Array.isArray(lists) && lists.length > 0) {
     cache[LISTS_KEY] = lists;
+    schedulePersist();
+  }
+};
+
+/**
+ * Get the read (acknowledged) state for a user
+ * @param {string} username - Polarity username
+ * @returns {Object} Read state
+ * @returns {Array<string>} returns.alertIds - IDs of alerts the user acknowledged individually
+ * @returns {string|null} returns.readThroughTimestamp - ISO timestamp; alerts at or before it are read
+ */
+const getReadState = (username) => {
+  const readState = cache[READ_STATE_KEY][username];
+  return {
+    alertIds: readState && Array.isArray(readState.alertIds) ? readState.alertIds : [],
+    readThroughTimestamp: (readState && readState.readThroughTimestamp) || null
+  };
+};
+
+/**
+ * Mark alerts as read for a user
+ * Only the most recent MAX_READ_ALERT_IDS acknowledged IDs are remembered.
+ * @param {string} username - Polarity username
+ * @param {Array<string>} alertIds - IDs of the alerts to mark as read
+ * @returns {Object} Updated read state (see getReadState)
+ */
+const markAlertsRead = (username, alertIds) => {
+  const readState = getReadState(username);
+  const newAlertIds = (alertIds || []).filter(
+    (alertId) => alertId && !readState.alertIds.includes(alertId)
+  );
+
+  if (newAlertIds.length > 0) {
+    cache[READ_STATE_KEY][username] = {
+      ...readState,
+      alertIds: readState.alertIds.concat(newAlertIds).slice(-MAX_READ_ALERT_IDS)
+    };
+    schedulePersist();
+  }
+
+  return getReadState(username);
+};
+
+/**
+ * Mark every alert up to a timestamp as read for a user
+ * Individually acknowledged IDs covered by the timestamp are dropped since they are now redundant.
+ * @param {string} username - Polarity username
+ * @param {string} readThroughTimestamp - ISO timestamp; alerts at or before it become read
+ * @returns {Object} Updated read state (see getReadState)
+ */
+const markAllAlertsRead = (username, readThroughTimestamp) => {
+  const readState = getReadState(username);
+  const readThroughMs = new Date(readThroughTimestamp).getTime();
+
+  if (Number.isNaN(readThroughMs)) {
+    return readState;
+  }
+
+  // Never move the read marker backwards
+  const currentMs = readState.readThroughTimestamp
+    ? new Date(readState.readThroughTimestamp).getTime()
+    : null;
+  const effectiveTimestamp =
+    currentMs !== null && currentMs > readThroughMs
+      ? readState.readThroughTimestamp
+      : new Date(readThroughMs).toISOString();
+  const effectiveMs = new Date(effectiveTimestamp).getTime();
+
+  cache[READ_STATE_KEY][username] = {
+    alertIds: readState.alertIds.filter((alertId) => {
+      const alert = getCachedAlertById(alertId);
+      return (
+        !alert ||
+        !alert.alertTimestamp ||
+        new Date(alert.alertTimestamp).getTime() > effectiveMs
+      );
+    }),
+    readThroughTimestamp: effectiveTimestamp
+  };
+  schedulePersist();
+
+  return getReadState(username);
+};
+
+/**
+ * Remove alerts the user has already read
+ * @param {string} username - Polarity username
+ * @param {Array<Object>} alerts - Array of alert objects
+ * @returns {Array<Object>} Alerts the user has not read yet
+ */
+const filterUnreadAlerts = (username, alerts) => {
+  const { alertIds, readThroughTimestamp } = getReadState(username);
+
+  if (alertIds.length === 0 && !readThroughTimestamp) {
+    return alerts;
+  }
+
+  const readAlertIds = new Set(alertIds);
+  const readThroughMs = readThroughTimestamp ? new Date(readThroughTimestamp).getTime() : null;
+
+  return alerts.filter((alert) => {
+    if (alert.alertId && readAlertIds.has(alert.alertId)) {
+      return false;
+    }
+    if (readThroughMs !== null && alert.alertTimestamp) {
+      return new Date(alert.alertTimestamp).getTime() > readThroughMs;
+    }
+    return true;
+  });
+};
+
+/**
+ * Get the shared triage record for an alert
+ * @param {string} alertId - Alert ID
+ * @returns {Object|null} Triage record or null if the alert has not been triaged
+ * @returns {string} returns.status - One of TRIAGE_STATUSES
+ * @returns {string|null} returns.assignee - Username of the assigned analyst
+ * @returns {Array<Object>} returns.notes - Notes ({ author, text, createdAt }), oldest first
+ * @returns {string} returns.updatedBy - Username of the last analyst to change the record
+ * @returns {string} returns.updatedAt - ISO timestamp of the last change
+ */
+const getTriage = (alertId) => (alertId && cache[TRIAGE_KEY][alertId]) || null;
+
+/**
+ * Get the triage records for a set of alerts
+ * @param {Array<string>} alertIds - Alert IDs
+ * @returns {Object} Map of alertId -> triage record (only triaged alerts are included)
+ */
+const getTriageForAlerts = (alertIds) =>
+  (alertIds || []).reduce((agg, alertId) => {
+    const triage = getTriage(alertId);
+    return triage ? { ...agg, [alertId]: triage } : agg;
+  }, {});
+
+/**
+ * Update the shared triage record for an alert
+ * Status and assignee values are expected to be validated by the caller.
+ * @param {string} alertId - Alert ID
+ * @param {Object} updates - Fields to change
+ * @param {string} [updates.status] - New status
+ * @param {string|null} [updates.assignee] - New assignee username, or null to unassign
+ * @param {string} [updates.note] - Note to append
+ * @param {string} username - Username of the analyst making the change
+ * @returns {Object} Updated triage record (see getTriage)
+ */
+const updateTriage = (alertId, { status, assignee, note } = {}, username) => {
+  const now = new Date().toISOString();
+  const current = getTriage(alertId) || { status: 'new', assignee: null, notes: [] };
+
+  const notes =
+    typeof note === 'string' && note.trim()
+      ? current.notes
+          .concat({
+            author: username,
+            text: note.trim().slice(0, MAX_TRIAGE_NOTE_LENGTH),
+            createdAt: now
+          })
+          .slice(-MAX_TRIAGE_NOTES)
+      : current.notes;
+
+  const triage = {
+    status: status || current.status,
+    assignee: assignee !== undefined ? assignee : current.assignee,
+    notes,
+    updatedBy: username,
+    updatedAt: now
+  };
+
+  cache[TRIAGE_KEY][alertId] = triage;
+
+  // Drop the least recently updated records once over the limit
+  const alertIds = Object.keys(cache[TRIAGE_KEY]);
+  if (alertIds.length > MAX_TRIAGE_RECORDS) {
+    alertIds
+      .sort((a, b) =>
+        cache[TRIAGE_KEY][a].updatedAt.localeCompare(cache[TRIAGE_KEY][b].updatedAt)
+      )
+      .slice(0, alertIds.length - MAX_TRIAGE_RECORDS)
+      .forEach((staleAlertId) => {
+        delete cache[TRIAGE_KEY][staleAlertId];
+      });
+  }
+
+  schedulePersist();
+  return triage;
+};
+
+/**
+ * Subscribe to alerts being added to the cache
+ * @param {Function} listener - Called with the array of newly cached alerts
+ * @returns {Function} Unsubscribe function
+ */
+const onAlertsAdded = (listener) => {
+  alertEvents.on('alertsAdded', listener);
+  return () => alertEvents.off('alertsAdded', listener);
+};
+
+/**
+ * Get the failed webhook deliveries waiting for a replay
+ * @returns {Array<Object>} Dead letters (oldest first)
+ */
+const getWebhookDeadLetters = () => cache[WEBHOOK_DEAD_LETTERS_KEY];
+
+/**
+ * Add a failed webhook delivery to the dead-letter queue
+ * The queue is bounded - the oldest entries are dropped beyond MAX_WEBHOOK_DEAD_LETTERS.
+ * @param {Object} deadLetter - Dead letter ({ id, endpointName, alertId, attempts,
+ *   lastError, failedAt })
+ * @returns {number} Number of dead letters dropped to stay within the bound
+ */
+const addWebhookDeadLetter = (deadLetter) => {
+  const deadLetters = cache[WEBHOOK_DEAD_LETTERS_KEY].concat(deadLetter);
+  const dropped = Math.max(0, deadLetters.length - MAX_WEBHOOK_DEAD_LETTERS);
+  cache[WEBHOOK_DEAD_LETTERS_KEY] = deadLetters.slice(dropped);
+  schedulePersist();
+  return dropped;
+};
+
+/**
+ * Remove dead letters from the queue (e.g. to replay them)
+ * @param {Array<string>|null} ids - Dead letter IDs to remove, or null to remove all
+ * @returns {Array<Object>} The removed dead letters
+ */
+const removeWebhookDeadLetters = (ids) => {
+  const idSet = Array.isArray(ids) ? new Set(ids) : null;
+  const isRemoved = (deadLetter) => !idSet || idSet.has(deadLetter.id);
+  const removed = cache[WEBHOOK_DEAD_LETTERS_KEY].filter(isRemoved);
+  if (removed.length > 0) {
+    cache[WEBHOOK_DEAD_LETTERS_KEY] = cache[WEBHOOK_DEAD_LETTERS_KEY].filter(
+      (deadLetter) => !isRemoved(deadLetter)
+    );
+    schedulePersist();
+  }
+  return removed;
+};
+
+/**
+ * Restore the cache from the persistence backend
+ * Alerts outside the retention window and size cap are dropped and the alerts map is rebuilt
+ * from the restored alerts. The polling state (including lastCursor) is restored
+ * as-is so the next poll resumes from where the previous process stopped.
+ * @returns {Promise<Object>} Result object
+ * @returns {boolean} returns.restored - Whether any persisted state was found
+ * @returns {number} returns.alertCount - Number of alerts restored into the cache
+ * @returns {string|null} returns.lastCursor - Restored polling cursor
+ */
+const restorePersistedState = async () => {
+  const Logger = getLogger();
+
+  if (!persistenceStore) {
+    return { restored: false, alertCount: 0, lastCursor: null };
+  }
+
+  try {
+    const [state, alerts, alertIds, lists, readState, triage, deadLetters] = await Promise.all([
+      persistenceStore.get(STATE_KEY),
+      persistenceStore.get(ALERTS_KEY),
+      persistenceStore.get(ALERTS_MAP_KEY),
+      persistenceStore.get(LISTS_KEY),
+      persistenceStore.get(READ_STATE_KEY),
+      persistenceStore.get(TRIAGE_KEY),
+      persistenceStore.get(WEBHOOK_DEAD_LETTERS_KEY)
+    ]);
+
+    const restoredAlerts = Array.isArray(alerts)
+      ? filterAlertsByAge(alerts).slice(0, cacheLimits.maxAlerts)
+      : [];
+    const persistedAlertIds = new Set(Array.isArray(alertIds) ? alertIds : []);
+    const alertsMap = new Map();
+    restoredAlerts.forEach((alert) => {
+      if (alert.alertId && (persistedAlertIds.size === 0 || persistedAlertIds.has(alert.alertId))) {
+        alertsMap.set(alert.alertId, alert);
+      }
+    });
+
+    cache[STATE_KEY] = state && typeof state === 'object' ? state : null;
+    cache[ALERTS_KEY] = restoredAlerts;
+    cache[ALERTS_MAP_KEY] = alertsMap;
+    if (Array.isArray(lists) && lists.length > 0) {
+      cache[LISTS_KEY] = lists;
+    }
+    if (readState && typeof readState === 'object') {
+      cache[READ_STATE_KEY] = readState;
+    }
+    if (triage && typeof triage === 'object') {
+      cache[TRIAGE_KEY] = Object.assign(Object.create(null), triage);
+    }
+    if (Array.isArray(deadLetters)) {
+      // Older versions saved the full alert with each dead letter - keep only its ID
+      cache[WEBHOOK_DEAD_LETTERS_KEY] = deadLetters
+        .slice(-MAX_WEBHOOK_DEAD_LETTERS)
+        .map(({ alert, ...deadLetter }) => ({
+          ...deadLetter,
+          alertId: deadLetter.alertId || (alert && alert.alertId) || null
+        }));
+    }
+
+    const restored = !!(cache[STATE_KEY] || restoredAlerts.length > 0);
+    Logger.info(
+      {
+        restored,
+        alertCount: restoredAlerts.length,
+        listCount: cache[LISTS_KEY].length,
+        lastCursor: cache[STATE_KEY] ? cache[STATE_KEY].lastCursor : null
+      },
+      'Restored persisted alert cache state'
+    );
+
+    return {
+      restored,
+      alertCount: restoredAlerts.length,
+      lastCursor: cache[STATE_KEY] ? cache[STATE_KEY].lastCursor || null : null
+    };
+  } catch (error) {
+    Logger.error({ error }, 'Failed to restore persisted alert cache state');
+    return { restored: false, alertCount: 0, lastCursor: null };
   }
 };
 
@@ -344,8 +890,25 @@ module.exports = {
   getCachedAlerts,
   getCachedAlertById,
   addAlertsToCache,
+  setCacheLimits,
+  getCacheLimits,
+  getCacheStats,
   clearCachedAlerts,
   getLatestAlertTimestamp,
   getCachedLists,
-  setCachedLists
+  setCachedLists,
+  getReadState,
+  markAlertsRead,
+  markAllAlertsRead,
+  filterUnreadAlerts,
+  getTriage,
+  getTriageForAlerts,
+  updateTriage,
+  onAlertsAdded,
+  getWebhookDeadLetters,
+  addWebhookDeadLetter,
+  removeWebhookDeadLetters,
+  setPersistenceStore,
+  persistState,
+  restorePersistedState
 };
@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+
+const {
+  logging: { getLogger },
+  requests: { PolarityRequest }
+} = require('polarity-integration-utils');
+
+const {
+  addWebhookDeadLetter,
+  getWebhookDeadLetters,
+  removeWebhookDeadLetters,
+  getCachedAlertById
+} = require('./stateManager');
+const { getAlertById } = require('./getAlerts');
+const {
+  MAX_WEBHOOK_PENDING_RETRIES,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_MAX_CONCURRENT_DELIVERIES,
+  WEBHOOK_RETRY_BASE_DELAY_MS,
+  WEBHOOK_RETRY_MAX_DELAY_MS,
+  WEBHOOK_TIMEOUT_MS
+} = require('../../constants');
+
+const SIGNATURE_HEADER = 'X-Polarity-Signature-256';
+const TIMESTAMP_HEADER = 'X-Polarity-Timestamp';
+const ENDPOINT_FIELDS = ['name', 'url', 'secret', 'alertTypes', 'listIds', 'headers'];
+
+// Separate request instance so webhook failures never touch the Dataminr API error handling.
+// PolarityRequest applies the proxy and certificate settings from config.json's request block.
+const webhookRequest = new PolarityRequest({ roundedSuccessStatusCodes: [200] });
+
+// Parsed endpoints cache keyed by the raw option value
+const parsedEndpointsCache = new Map();
+
+// Deliveries waiting for a retry, keyed by delivery ID
+const pendingRetries = new Map();
+
+// Deliveries waiting for a free slot ({ endpoint, delivery, options }) and slots in use
+const deliveryQueue = [];
+let activeDeliveries = 0;
+
+/**
+ * Normalize a string for case-insensitive comparison
+ * @param {*} value - Value to normalize
+ * @returns {string} Trimmed lowercase string
+ */
+const normalize = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .trim()
+    .toLowerCase();
+
+/**
+ * Validate a parsed webhook endpoints array
+ * @param {*} endpoints - Parsed endpoints value
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+const validateEndpointList = (endpoints) => {
+  if (!Array.isArray(endpoints)) {
+    return ['Webhook endpoints must be a JSON array'];
+  }
+
+  const names = new Set();
+
+  return endpoints.reduce((errors, endpoint, index) => {
+    const path = `Endpoint ${index + 1}`;
+    if (!endpoint || typeof endpoint !== 'object' || Array.isArray(endpoint)) {
+      return errors.concat(`${path} must be an object`);
+    }
+
+    const name = typeof endpoint.name === 'string' ? endpoint.name.trim() : '';
+    const nameErrors = !name
+      ? [`${path}.name is required`]
+      : names.has(normalize(name))
+      ? [`${path}.name "${name}" is already used by another endpoint`]
+      : [];
+    names.add(normalize(name));
+
+    let urlErrors = [];
+    try {
+      const { protocol } = new URL(endpoint.url);
+      if (protocol !== 'https:' && protocol !== 'http:') {
+        urlErrors = [`${path}.url must be an http or https URL`];
+      }
+    } catch (error) {
+      urlErrors = [`${path}.url must be a valid URL`];
+    }
+
+    return errors
+      .concat(nameErrors)
+      .concat(urlErrors)
+      .concat(
+        Object.keys(endpoint)
+          .filter((field) => !ENDPOINT_FIELDS.includes(field))
+          .map(
+            (field) =>
+              `${path}.${field} is not supported (expected one of ${ENDPOINT_FIELDS.join(
+                ', '
+              )})`
+          )
+      )
+      .concat(
+        endpoint.secret !== undefined && typeof endpoint.secret !== 'string'
+          ? `${path}.secret must be a string`
+          : []
+      )
+      .concat(
+        ['alertTypes', 'listIds'].reduce(
+          (filterErrors, key) =>
+            endpoint[key] === undefined ||
+            (Array.isArray(endpoint[key]) &&
+              endpoint[key].every((item) => typeof item === 'string'))
+              ? filterErrors
+              : filterErrors.concat(`${path}.${key} must be an array of strings`),
+          []
+        )
+      )
+      .concat(
+        endpoint.headers !== undefined &&
+          (!endpoint.headers ||
+            typeof endpoint.headers !== 'object' ||
+            Array.isArray(endpoint.headers) ||
+            !Object.values(endpoint.headers).every((value) => typeof value === 'string'))
+          ? `${path}.headers must be an object of string values`
+          : []
+      );
+  }, []);
+};
+
+/**
+ * Parse the webhook endpoints option
+ * Invalid endpoints are logged and ignored.
+ * @param {string} endpointsJson - Raw JSON option value
+ * @returns {Array<Object>} Endpoints with normalized alertTypes / listIds filter sets
+ */
+const getEndpoints = (endpointsJson) => {
+  const rawEndpoints = typeof endpointsJson === 'string' ? endpointsJson.trim() : '';
+  if (!rawEndpoints) {
+    return [];
+  }
+
+  if (parsedEndpointsCache.has(rawEndpoints)) {
+    return parsedEndpointsCache.get(rawEndpoints);
+  }
+
+  let parsedEndpoints = [];
+  try {
+    const endpoints = JSON.parse(rawEndpoints);
+    const errors = validateEndpointList(endpoints);
+    if (errors.length > 0) {
+      const Logger = getLogger();
+      Logger.error({ errors }, 'Invalid webhook endpoints - webhooks will not be sent');
+    } else {
+      parsedEndpoints = endpoints.map((endpoint) => ({
+        name: endpoint.name.trim(),
+        url: endpoint.url,
+        secret: endpoint.secret || null,
+        headers: endpoint.headers || {},
+        alertTypes: endpoint.alertTypes ? new Set(endpoint.alertTypes.map(normalize)) : null,
+        listIds: endpoint.listIds ? new Set(endpoint.listIds.map(normalize)) : null
+      }));
+    }
+  } catch (error) {
+    const Logger = getLogger();
+    Logger.error({ error }, 'Failed to parse webhook endpoints - webhooks will not be sent');
+  }
+
+  parsedEndpointsCache.set(rawEndpoints, parsedEndpoints);
+  return parsedEndpoints;
+};
+
+/**
+ * Check whether an alert passes an endpoint's alert type and list filters
+ * @param {Object} endpoint - Parsed endpoint
+ * @param {Object} alert - Alert object
+ * @returns {boolean} True if the alert should be sent to the endpoint
+ */
+const endpointAcceptsAlert = (endpoint, alert) => {
+  const alertType = normalize(
+    alert.alertType && alert.alertType.name ? alert.alertType.name : 'alert'
+  );
+  if (endpoint.alertTypes && !endpoint.alertTypes.has(alertType)) {
+    return false;
+  }
+
+  return (
+    !endpoint.listIds ||
+    (Array.isArray(alert.listsMatched) &&
+      alert.listsMatched.some(
+        (list) =>
+          list &&
+          (endpoint.listIds.has(normalize(list.id)) ||
+            endpoint.listIds.has(normalize(list.name)))
+      ))
+  );
+};
+
+/**
+ * Sign a webhook body with the endpoint secret
+ * The signature covers "<timestamp>.<body>" so receivers can reject replayed requests.
+ * @param {string} secret - Endpoint secret
+ * @param {string} timestamp - Value of the timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex digest>")
+ */
+const signBody = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')}`;
+
+/**
+ * Get the HTTP status code of a failed request (if the endpoint responded)
+ * @param {Error} error - Request error
+ * @returns {number|null} Status code
+ */
+const getErrorStatus = (error) => {
+  const status = error.status || error.statusCode || (error.meta && error.meta.statusCode);
+  return status ? parseInt(status, 10) : null;
+};
+
+/**
+ * Check whether a failed delivery is worth retrying
+ * Network errors, timeouts, 429 and 5xx responses are retried; other 4xx responses are not.
+ * @param {number|null} status - Status code of the failed request
+ * @returns {boolean} True if the delivery should be retried
+ */
+const isRetryableStatus = (status) =>
+  !status || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Get the delay before the next delivery attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelayMs = (attempts) =>
+  Math.min(
+    WEBHOOK_RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1),
+    WEBHOOK_RETRY_MAX_DELAY_MS
+  );
+
+/**
+ * POST a single alert to an endpoint
+ * @param {Object} endpoint - Parsed endpoint
+ * @param {Object} delivery - Delivery ({ id, alert })
+ * @param {Object} options - Configuration options
+ * @returns {Promise<Object>} Resolves with the response
+ */
+const sendWebhook = async (endpoint, delivery, options) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = JSON.stringify({
+    event: 'alert.created',
+    deliveryId: delivery.id,
+    alert: delivery.alert
+  });
+
+  webhookRequest.userOptions = options;
+
+  return webhookRequest.run({
+    method: 'POST',
+    url: endpoint.url,
+    headers: {
+      ...endpoint.headers,
+      'Content-Type': 'application/json',
+      'X-Application-Name': 'Polarity',
+      [TIMESTAMP_HEADER]: timestamp,
+      ...(endpoint.secret
+        ? { [SIGNATURE_HEADER]: signBody(endpoint.secret, timestamp, body) }
+        : {})
+    },
+    body,
+    timeout: WEBHOOK_TIMEOUT_MS
+  });
+};
+
+/**
+ * Move a delivery to the dead-letter queue
+ * Only the alert ID is kept since dead letters are persisted - replay rebuilds it.
+ * @param {Object} endpoint - Parsed endpoint
+ * @param {Object} delivery - Delivery ({ id, alert, attempts })
+ * @param {string} lastError - Reason of the last failure
+ * @param {number|null} lastStatus - Status code of the last failure
+ * @returns {void}
+ */
+const deadLetter = (endpoint, delivery, lastError, lastStatus) => {
+  const Logger = getLogger();
+  const dropped = addWebhookDeadLetter({
+    id: delivery.id,
+    endpointName: endpoint.name,
+    alertId: delivery.alert.alertId,
+    attempts: delivery.attempts,
+    lastError,
+    lastStatus,
+    failedAt: new Date().toISOString()
+  });
+
+  Logger.error(
+    {
+      endpoint: endpoint.name,
+      alertId: delivery.alert.alertId,
+      attempts: delivery.attempts,
+      lastError,
+      lastStatus,
+      droppedDeadLetters: dropped
+    },
+    'Webhook delivery failed - moved to dead-letter queue'
+  );
+};
+
+/**
+ * Deliver an alert to an endpoint, retrying with backoff and dead-lettering on final failure
+ * Retries are scheduled on timers so polling never waits for slow endpoints.
+ * @param {Object} endpoint - Parsed endpoint
+ * @param {Object} delivery - Delivery ({ id, alert, attempts })
+ * @param {Object} options - Configuration options
+ * @returns {Promise<void>} Resolves after this attempt (retries continue in the background)
+ */
+const attemptDelivery = async (endpoint, delivery, options) => {
+  const Logger = getLogger();
+  delivery.attempts++;
+
+  try {
+    await sendWebhook(endpoint, delivery, options);
+    Logger.debug(
+      { endpoint: endpoint.name, alertId: delivery.alert.alertId, attempts: delivery.attempts },
+      'Webhook delivered'
+    );
+  } catch (error) {
+    const status = getErrorStatus(error);
+    const message = error.detail || error.message || 'Unknown error';
+
+    if (!isRetryableStatus(status) || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      return deadLetter(endpoint, delivery, message, status);
+    }
+    // Keeps a long endpoint outage from holding every failed alert in memory
+    if (pendingRetries.size >= MAX_WEBHOOK_PENDING_RETRIES) {
+      const reason = `Too many retries pending: ${message}`;
+      return deadLetter(endpoint, delivery, reason, status);
+    }
+
+    const delayMs = getRetryDelayMs(delivery.attempts);
+    Logger.warn(
+      {
+        endpoint: endpoint.name,
+        alertId: delivery.alert.alertId,
+        attempts: delivery.attempts,
+        status,
+        retryInMs: delayMs
+      },
+      'Webhook delivery failed - retrying'
+    );
+
+    const timer = setTimeout(() => {
+      pendingRetries.delete(delivery.id);
+      queueDelivery(endpoint, delivery, options);
+    }, delayMs);
+    // Don't keep the process alive just to retry a webhook
+    if (timer.unref) {
+      timer.unref();
+    }
+    pendingRetries.set(delivery.id, { endpoint, delivery, timer, lastError: message, status });
+  }
+};
+
+/**
+ * Start queued deliveries while fewer than WEBHOOK_MAX_CONCURRENT_DELIVERIES are running
+ * @returns {void}
+ */
+const drainDeliveryQueue = () => {
+  while (
+    deliveryQueue.length > 0 &&
+    activeDeliveries < WEBHOOK_MAX_CONCURRENT_DELIVERIES
+  ) {
+    const { endpoint, delivery, options } = deliveryQueue.shift();
+    activeDeliveries++;
+    attemptDelivery(endpoint, delivery, options).finally(() => {
+      activeDeliveries--;
+      drainDeliveryQueue();
+    });
+  }
+};
+
+/**
+ * Queue a delivery attempt so only a few webhook requests run at once
+ * @param {Object} endpoint - Parsed endpoint
+ * @param {Object} delivery - Delivery ({ id, alert, attempts })
+ * @param {Object} options - Configuration options
+ * @returns {void}
+ */
+const queueDelivery = (endpoint, delivery, options) => {
+  deliveryQueue.push({ endpoint, delivery, options });
+  drainDeliveryQueue();
+};
+
+/**
+ * Send newly polled alerts to every configured webhook endpoint that accepts them
+ * Deliveries are queued and run in the background; failures end up in the dead-letter
+ * queue.
+ * @param {Array<Object>} alerts - Newly cached alerts
+ * @param {Object} options - Configuration options
+ * @returns {number} Number of deliveries queued
+ */
+const deliverAlertsToWebhooks = (alerts, options) => {
+  const endpoints = getEndpoints(options.webhookEndpoints);
+  if (endpoints.length === 0 || !alerts || alerts.length === 0) {
+    return 0;
+  }
+
+  let started = 0;
+  endpoints.forEach((endpoint) => {
+    alerts
+      .filter((alert) => endpointAcceptsAlert(endpoint, alert))
+      .forEach((alert) => {
+        started++;
+        queueDelivery(endpoint, { id: crypto.randomUUID(), alert, attempts: 0 }, options);
+      });
+  });
+
+  return started;
+};
+
+/**
+ * Summarize the dead-letter queue for display
+ * @returns {Array<Object>} Dead letters with the headline of alerts that are still cached
+ */
+const listWebhookDeadLetters = () =>
+  getWebhookDeadLetters().map((deadLetter) => {
+    const alert = getCachedAlertById(deadLetter.alertId);
+    return { ...deadLetter, headline: alert ? alert.headline : null };
+  });
+
+/**
+ * Get the alerts of dead letters to replay, from the cache or the API
+ * Alerts are fetched one at a time so a large replay doesn't flood the request queue.
+ * @param {Array<Object>} deadLetters - Dead letters to replay
+ * @param {Object} options - Configuration options
+ * @returns {Promise<Map>} Alerts keyed by alert ID (alerts not found are left out)
+ */
+const getDeadLetterAlerts = async (deadLetters, options) => {
+  const Logger = getLogger();
+  const alertsById = new Map();
+  const alertIds = Array.from(new Set(deadLetters.map(({ alertId }) => alertId)));
+
+  for (const alertId of alertIds) {
+    try {
+      const alert = alertId ? await getAlertById(alertId, options) : null;
+      if (alert) {
+        alertsById.set(alertId, alert);
+      }
+    } catch (error) {
+      Logger.warn({ alertId, error }, 'Failed to get dead-lettered alert for replay');
+    }
+  }
+  return alertsById;
+};
+
+/**
+ * Replay dead letters to their endpoints
+ * Dead letters whose endpoint is no longer configured, or whose alert can no longer be
+ * found, stay in the queue.
+ * @param {Array<string>|null} ids - Dead letter IDs to replay, or null to replay all
+ * @param {Object} options - Configuration options
+ * @returns {Promise<Object>} Result ({ replayed, missingEndpoint, missingAlert })
+ */
+const replayWebhookDeadLetters = async (ids, options) => {
+  const endpointsByName = new Map(
+    getEndpoints(options.webhookEndpoints).map((endpoint) => [
+      normalize(endpoint.name),
+      endpoint
+    ])
+  );
+  const requested = getWebhookDeadLetters().filter(
+    (deadLetter) => !ids || ids.includes(deadLetter.id)
+  );
+  const withEndpoint = requested.filter((deadLetter) =>
+    endpointsByName.has(normalize(deadLetter.endpointName))
+  );
+  const alertsById = await getDeadLetterAlerts(withEndpoint, options);
+  const replayable = withEndpoint.filter(({ alertId }) => alertsById.has(alertId));
+
+  removeWebhookDeadLetters(replayable.map(({ id }) => id)).forEach((deadLetter) => {
+    queueDelivery(
+      endpointsByName.get(normalize(deadLetter.endpointName)),
+      { id: deadLetter.id, alert: alertsById.get(deadLetter.alertId), attempts: 0 },
+      options
+    );
+  });
+
+  return {
+    replayed: replayable.length,
+    missingEndpoint: requested
+      .filter((deadLetter) => !withEndpoint.includes(deadLetter))
+      .map(({ id }) => id),
+    missingAlert: withEndpoint
+      .filter(({ alertId }) => !alertsById.has(alertId))
+      .map(({ id }) => id)
+  };
+};
+
+/**
+ * Dead-letter every delivery still waiting for a retry or a free slot (used on shutdown)
+ * so it can be replayed after a restart instead of being lost.
+ * @returns {number} Number of deliveries moved to the dead-letter queue
+ */
+const deadLetterPendingRetries = () => {
+  const pending = Array.from(pendingRetries.values());
+  pending.forEach(({ endpoint, delivery, timer, lastError, status }) => {
+    clearTimeout(timer);
+    deadLetter(endpoint, delivery, `Integration stopped before retry: ${lastError}`, status);
+  });
+  pendingRetries.clear();
+
+  const queued = deliveryQueue.splice(0);
+  queued.forEach(({ endpoint, delivery }) => {
+    deadLetter(endpoint, delivery, 'Integration stopped before delivery', null);
+  });
+  return pending.length + queued.length;
+};
+
+/**
+ * Validate the webhook endpoints option value
+ * @param {string} endpointsJson - Raw JSON option value
+ * @returns {Array<string>} Error messages (empty if valid or not configured)
+ */
+const validateWebhookEndpoints = (endpointsJson) => {
+  if (typeof endpointsJson !== 'string' || !endpointsJson.trim()) {
+    return [];
+  }
+
+  try {
+    return validateEndpointList(JSON.parse(endpointsJson));
+  } catch (error) {
+    return [`Webhook endpoints are not valid JSON: ${error.message}`];
+  }
+};
+
+module.exports = {
+  deliverAlertsToWebhooks,
+  listWebhookDeadLetters,
+  replayWebhookDeadLetters,
+  deadLetterPendingRetries,
+  validateWebhookEndpoints
+};
@@ -1,7 +1,8 @@
-const { size, map, some } = require('lodash/fp');
+const { size, map, find } = require('lodash/fp');
 const { getResultForThisEntity } = require('./dataTransformations');
-const { DEFAULT_PAGE_SIZE } = require('../constants');
+const { DEFAULT_PAGE_SIZE, CIDR_MIN_PREFIX_LENGTH } = require('../constants');
 const { processAlertData } = require('./templateRenderer');
+const { filterLookupResults } = require('./alerts/searchAlerts');
 
 /**
  * Assemble lookup results for entities from alerts
@@ -14,15 +15,19 @@ const assembleLookupResults = async (entities, alerts, options) => {
   const results = await Promise.all(
     map(async (entity) => {
       const resultsForThisEntity = await getResultsForThisEntity(entity, alerts, options);
-      const resultsFound = some(size, resultsForThisEntity);
+      const resultsFound = size(resultsForThisEntity.alerts) > 0;
+      // A range too large to search still gets a result that tells the user why
       const lookupResult = {
         entity,
-        data: resultsFound
-          ? {
-              summary: createSummaryTags(resultsForThisEntity, options),
-              details: resultsForThisEntity
-            }
-          : null
+        data:
+          resultsFound || resultsForThisEntity.rangeTooLarge
+            ? {
+                summary: resultsFound
+                  ? createSummaryTags(resultsForThisEntity, options)
+                  : ['Range too large to search'],
+                details: resultsForThisEntity
+              }
+            : null
       };
 
       return lookupResult;
@@ -37,35 +42,76 @@ const assembleLookupResults = async (entities, alerts, options) => {
  * @param {Object} entity - Entity object to get results for
  * @param {Array<Object>} alerts - Array of alert results
  * @param {Object} options - Configuration options
- * @returns {Promise<Object>} Object containing alerts array for the entity
+ * @returns {Promise<Object>} Object containing alerts array for the entity, and searchCache ({ fromCache, cachedAt }) and searchPaging ({ cursor, hasMore }) when known, or rangeTooLarge ({ minPrefixLength }) for ranges that were not searched
  */
 const getResultsForThisEntity = async (entity, alerts, options) => {
-  const rawAlerts = getResultForThisEntity(entity, alerts);
+  const searchResult = find({ resultId: entity.value }, alerts);
+  // Only alerts within the user's lookback window and alert types count as hits
+  const { alerts: rawAlerts, paging } = filterLookupResults(
+    getResultForThisEntity(entity, alerts) || [],
+    searchResult && searchResult.paging,
+    options
+  );
   // Preprocess alerts for block.hbs template (which doesn't support helpers)
-  const processedAlerts = Array.isArray(rawAlerts)
-    ? await Promise.all(
-        rawAlerts.map(function (alert) {
-          return processAlertData(alert, options);
-        })
-      )
-    : [];
-  return {
-    alerts: processedAlerts
-  };
+  const processedAlerts = await Promise.all(
+    rawAlerts.map(function (alert) {
+      return processAlertData(alert, options, entity.value);
+    })
+  );
+  return Object.assign(
+    { alerts: processedAlerts },
+    paging ? { searchPaging: paging } : {},
+    searchResult && searchResult.rangeTooLarge
+      ? { rangeTooLarge: { minPrefixLength: CIDR_MIN_PREFIX_LENGTH } }
+      : {},
+    searchResult && searchResult.cachedAt
+      ? {
+          searchCache: {
+            fromCache: !!searchResult.fromCache,
+            cachedAt: new Date(searchResult.cachedAt).toISOString()
+          }
+        }
+      : {}
+  );
 };
 
 /**
  * Create summary tags for lookup results
  * @param {Object} results - Results object containing alerts
  * @param {Array<Object>} results.alerts - Array of alerts
+ * @param {Object} [results.searchPaging] - Paging state of the search ({ cursor, hasMore })
  * @param {Object} options - Configuration options
  * @returns {Array<string>} Array of summary tag strings
  */
-const createSummaryTags = ({ alerts }, options) =>
-  [].concat(
-    size(alerts)
-      ? `Alerts: ${size(alerts)}${size(alerts) === DEFAULT_PAGE_SIZE ? '+' : ''}`
-      : []
+const createSummaryTags = ({ alerts, searchPaging }, options) => {
+  const hasMore = searchPaging
+    ? searchPaging.hasMore
+    : size(alerts) === DEFAULT_PAGE_SIZE;
+  const { exactAlerts, mentionAlerts } = countMatchTypes(alerts);
+  return [].concat(
+    size(alerts) ? `Alerts: ${size(alerts)}${hasMore ? '+' : ''}` : [],
+    exactAlerts ? `IOC matches: ${exactAlerts}` : [],
+    mentionAlerts ? `Mentions: ${mentionAlerts}` : []
+  );
+};
+
+/**
+ * Count the alerts that match the entity exactly as an IOC and those that only mention it
+ * An alert with any exact match counts as an IOC match only.
+ * @param {Array<Object>} alerts - Processed alerts (with matches from processAlertData)
+ * @returns {Object} { exactAlerts, mentionAlerts }
+ */
+const countMatchTypes = (alerts) =>
+  (alerts || []).reduce(
+    (counts, { matches }) =>
+      !matches
+        ? counts
+        : matches.exactCount > 0
+        ? { ...counts, exactAlerts: counts.exactAlerts + 1 }
+        : matches.mentionCount > 0
+        ? { ...counts, mentionAlerts: counts.mentionAlerts + 1 }
+        : counts,
+    { exactAlerts: 0, mentionAlerts: 0 }
   );
 
 module.exports = assembleLookupResults;
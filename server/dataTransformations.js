@@ -13,30 +13,6 @@ const {
   some
 } = require('lodash/fp');
 
-/**
- * Check if an IP address is a private IP address
- * @param {string} ip - IP address to check
- * @returns {boolean} True if the IP is private (10.x.x.x, 172.16-31.x.x, 192.168.x.x)
- */
-const isPrivateIP = (ip) => {
-  const parts = ip.split('.');
-  return (
-    parts[0] === '10' ||
-    (parts[0] === '172' &&
-      parseInt(parts[1], 10) >= 16 &&
-      parseInt(parts[1], 10) <= 31) ||
-    (parts[0] === '192' && parts[1] === '168')
-  );
-};
-
-/**
- * Filter out entities that are private IP addresses
- * @param {Array<Object>} entities - Array of entity objects
- * @returns {Array<Object>} Filtered array of entities excluding private IPs
- */
-const removePrivateIps = (entities) =>
-  filter(({ isIP, value }) => !isIP || (isIP && !isPrivateIP(value)), entities);
-
 /**
  * Filter entities by their types
  * @param {string|Array<string>} typesToGet - Entity type(s) to filter for
@@ -83,7 +59,6 @@ const getResultForThisEntity = (
   )(results);
 
 module.exports = {
-  removePrivateIps,
   getEntityTypes,
   getResultForThisEntity
 };
@@ -0,0 +1,170 @@
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const { createCounter } = require('./metrics');
+const {
+  parseAddressRange,
+  isRangeWithin,
+  getSpecialPurposeRangeName
+} = require('./ipRanges');
+
+const DOMAIN_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/;
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//;
+
+// Parsed exclusion options keyed by the raw option values
+const parsedExclusionsCache = new Map();
+
+// Prometheus metrics (see server/metrics.js)
+const entitiesExcludedTotal = createCounter(
+  'search_entities_excluded_total',
+  'Entities never sent to the Dataminr API by reason',
+  ['reason']
+);
+
+/**
+ * Split a comma or newline separated option into its trimmed entries
+ * @param {string} value - Raw option value
+ * @returns {Array<string>} Non-empty entries
+ */
+const splitOptionList = (value) =>
+  typeof value === 'string'
+    ? value
+        .split(/[,\n]+/)
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+    : [];
+
+/**
+ * Normalize an excluded domain (lowercase, no leading "*." or trailing dot)
+ * @param {string} domain - Domain entry
+ * @returns {string} Normalized domain
+ */
+const normalizeDomain = (domain) =>
+  domain
+    .toLowerCase()
+    .replace(/^\*?\./, '')
+    .replace(/\.$/, '');
+
+/**
+ * Parse the admin exclusion options
+ * @param {Object} options - Configuration options
+ * @returns {Object} { ranges, domains, denylist }
+ */
+const getEntityExclusions = (options) => {
+  const rawValues = [
+    options.excludedIpRanges,
+    options.excludedDomains,
+    options.searchDenylist
+  ].map((value) => (typeof value === 'string' ? value : ''));
+  const cacheKey = JSON.stringify(rawValues);
+
+  if (!parsedExclusionsCache.has(cacheKey)) {
+    const [ranges, domains, denylist] = rawValues.map(splitOptionList);
+    parsedExclusionsCache.set(cacheKey, {
+      ranges: ranges.map(parseAddressRange).filter(Boolean),
+      domains: domains.map(normalizeDomain).filter(Boolean),
+      denylist: new Set(denylist.map((entry) => entry.toLowerCase()))
+    });
+  }
+  return parsedExclusionsCache.get(cacheKey);
+};
+
+/**
+ * Get the host part of a domain, email or URL entity
+ * @param {Object} entity - Entity object
+ * @returns {string|null} Lowercase host (domain or IP address), or null if there is none
+ */
+const getEntityHost = ({ value, isEmail, isURL }) => {
+  const text = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (isURL || URL_SCHEME_PATTERN.test(text)) {
+    try {
+      return new URL(text).hostname.replace(/^\[(.*)\]$/, '$1');
+    } catch (_) {
+      return null;
+    }
+  }
+  return isEmail || text.includes('@') ? text.slice(text.lastIndexOf('@') + 1) : text;
+};
+
+/**
+ * Get the reason an entity must not be searched
+ * @param {Object} entity - Entity object
+ * @param {Object} exclusions - Parsed exclusion options (see getEntityExclusions)
+ * @returns {string|null} 'denylist', 'special_purpose', 'excluded_range' or
+ *   'excluded_domain', or null when the entity can be searched
+ */
+const getExclusionReason = (entity, exclusions) => {
+  const value = String(entity.value || '').trim();
+  if (exclusions.denylist.has(value.toLowerCase())) {
+    return 'denylist';
+  }
+
+  // IP and CIDR entities, and URLs whose host is an IP address
+  const host = getEntityHost(entity);
+  const addressRange = parseAddressRange(value) || (host && parseAddressRange(host));
+  if (addressRange) {
+    if (getSpecialPurposeRangeName(value) || getSpecialPurposeRangeName(host)) {
+      return 'special_purpose';
+    }
+    return exclusions.ranges.some((range) => isRangeWithin(addressRange, range))
+      ? 'excluded_range'
+      : null;
+  }
+
+  return host &&
+    exclusions.domains.some((domain) => host === domain || host.endsWith(`.${domain}`))
+    ? 'excluded_domain'
+    : null;
+};
+
+/**
+ * Filter out the entities that must never be sent to the Dataminr API
+ * Removes special-purpose IPv4/IPv6 addresses and ranges (private, loopback, link-local,
+ * CGNAT, multicast, documentation, ...), the admin's excluded IP ranges and domains
+ * (subdomains, email and URL hosts included) and the never-search denylist.
+ * @param {Array<Object>} entities - Array of entity objects
+ * @param {Object} options - Configuration options
+ * @returns {Array<Object>} Entities that can be searched
+ */
+const removeExcludedEntities = (entities, options) => {
+  const Logger = getLogger();
+  const exclusions = getEntityExclusions(options);
+
+  return entities.filter((entity) => {
+    const reason = getExclusionReason(entity, exclusions);
+    if (reason) {
+      entitiesExcludedTotal.inc({ reason });
+      Logger.debug({ value: entity.value, reason }, 'Entity excluded from searches');
+    }
+    return !reason;
+  });
+};
+
+/**
+ * Validate the excluded IP ranges option
+ * @param {string} value - Raw option value
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+const validateExcludedIpRanges = (value) =>
+  splitOptionList(value)
+    .filter((entry) => !parseAddressRange(entry))
+    .map((entry) => `"${entry}" is not a valid IP address or CIDR range`);
+
+/**
+ * Validate the excluded domains option
+ * @param {string} value - Raw option value
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+const validateExcludedDomains = (value) =>
+  splitOptionList(value)
+    .filter((entry) => !DOMAIN_PATTERN.test(normalizeDomain(entry)))
+    .map((entry) => `"${entry}" is not a valid domain`);
+
+module.exports = {
+  removeExcludedEntities,
+  validateExcludedIpRanges,
+  validateExcludedDomains
+};
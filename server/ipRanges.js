@@ -0,0 +1,275 @@
+const {
+  CIDR_MIN_PREFIX_LENGTH,
+  CIDR_MAX_EXPANDED_ADDRESSES,
+  CIDR_MAX_QUERY_PREFIXES
+} = require('../constants');
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const CIDR_PATTERN = /^\s*(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})\s*$/;
+const IPV6_GROUP_PATTERN = /^[0-9a-f]{1,4}$/;
+
+// IANA IPv4 and IPv6 special-purpose address registries (RFC 6890 and updates), plus
+// multicast. Addresses in these ranges are never sent to the Dataminr API.
+const SPECIAL_PURPOSE_RANGES = [
+  ['0.0.0.0/8', 'This network'],
+  ['10.0.0.0/8', 'Private-use'],
+  ['100.64.0.0/10', 'Shared address space (CGNAT)'],
+  ['127.0.0.0/8', 'Loopback'],
+  ['169.254.0.0/16', 'Link-local'],
+  ['172.16.0.0/12', 'Private-use'],
+  ['192.0.0.0/24', 'IETF protocol assignments'],
+  ['192.0.2.0/24', 'Documentation (TEST-NET-1)'],
+  ['192.88.99.0/24', 'Deprecated 6to4 relay anycast'],
+  ['192.168.0.0/16', 'Private-use'],
+  ['198.18.0.0/15', 'Benchmarking'],
+  ['198.51.100.0/24', 'Documentation (TEST-NET-2)'],
+  ['203.0.113.0/24', 'Documentation (TEST-NET-3)'],
+  ['224.0.0.0/4', 'Multicast'],
+  ['240.0.0.0/4', 'Reserved (including broadcast)'],
+  ['::/128', 'Unspecified address'],
+  ['::1/128', 'Loopback'],
+  ['::ffff:0:0/96', 'IPv4-mapped address'],
+  ['64:ff9b:1::/48', 'Local-use IPv4/IPv6 translation'],
+  ['100::/64', 'Discard-only'],
+  ['2001::/23', 'IETF protocol assignments'],
+  ['2001:db8::/32', 'Documentation'],
+  ['3fff::/20', 'Documentation'],
+  ['5f00::/16', 'Segment routing (SRv6) SIDs'],
+  ['fc00::/7', 'Unique local'],
+  ['fe80::/10', 'Link-local'],
+  ['ff00::/8', 'Multicast']
+];
+
+// Parsed SPECIAL_PURPOSE_RANGES (see getSpecialPurposeRanges)
+let specialPurposeRanges = null;
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {string} ip - IPv4 address (e.g. 10.1.2.3)
+ * @returns {number|null} Address as an unsigned 32 bit number, or null if invalid
+ */
+const parseIPv4 = (ip) => {
+  const match = IPV4_PATTERN.exec(String(ip).trim());
+  if (!match) {
+    return null;
+  }
+  const octets = match.slice(1).map(Number);
+  return octets.every((octet) => octet <= 255)
+    ? octets.reduce((address, octet) => address * 256 + octet, 0)
+    : null;
+};
+
+/**
+ * Format an unsigned 32 bit number as a dotted IPv4 address
+ * @param {number} address - Address number
+ * @returns {string} Dotted address
+ */
+const formatIPv4 = (address) =>
+  [24, 16, 8, 0].map((shift) => Math.floor(address / 2 ** shift) % 256).join('.');
+
+/**
+ * Parse an IPv4 CIDR range
+ * Host bits are ignored, so 10.1.2.3/24 is the range 10.1.2.0 - 10.1.2.255.
+ * @param {string} value - CIDR notation (e.g. 10.1.2.0/24)
+ * @returns {Object|null} { prefixLength, first, last, size } or null if invalid
+ */
+const parseIPv4Cidr = (value) => {
+  const match = CIDR_PATTERN.exec(String(value));
+  if (!match) {
+    return null;
+  }
+  const address = parseIPv4(match[1]);
+  const prefixLength = Number(match[2]);
+  if (address === null || prefixLength > 32) {
+    return null;
+  }
+  const size = 2 ** (32 - prefixLength);
+  const first = Math.floor(address / size) * size;
+  return { prefixLength, first, last: first + size - 1, size };
+};
+
+/**
+ * Check whether a value is IPv4 CIDR notation
+ * @param {string} value - Entity value
+ * @returns {boolean} True for a valid IPv4 CIDR range
+ */
+const isIPv4Cidr = (value) => parseIPv4Cidr(value) !== null;
+
+/**
+ * Check whether a CIDR range is small enough to look up (see CIDR_MIN_PREFIX_LENGTH)
+ * @param {Object} range - Parsed range (see parseIPv4Cidr)
+ * @returns {boolean} True if the range can be searched
+ */
+const isSearchableCidr = (range) => range.prefixLength >= CIDR_MIN_PREFIX_LENGTH;
+
+/**
+ * Check whether an IPv4 address is inside a CIDR range
+ * @param {string} ip - IPv4 address
+ * @param {Object} range - Parsed range (see parseIPv4Cidr)
+ * @returns {boolean} True if the address is in the range
+ */
+const isIPv4InCidr = (ip, range) => {
+  const address = parseIPv4(ip);
+  return address !== null && address >= range.first && address <= range.last;
+};
+
+/**
+ * Parse an IPv6 address (compressed, zone ID and embedded IPv4 forms included)
+ * @param {string} ip - IPv6 address (e.g. 2001:db8::1)
+ * @returns {BigInt|null} Address as a 128 bit number, or null if invalid
+ */
+const parseIPv6 = (ip) => {
+  let text = String(ip)
+    .trim()
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/%.*$/, '')
+    .toLowerCase();
+
+  // Write a trailing dotted IPv4 part (::ffff:1.2.3.4) as two groups
+  const embedded = /^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/.exec(text);
+  if (embedded) {
+    const ipv4 = parseIPv4(embedded[2]);
+    if (ipv4 === null) {
+      return null;
+    }
+    text = `${embedded[1]}${Math.floor(ipv4 / 65536).toString(16)}:${(
+      ipv4 % 65536
+    ).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) {
+    return null;
+  }
+
+  const groups = head.concat(
+    new Array(halves.length === 2 ? missing : 0).fill('0'),
+    tail
+  );
+  return groups.every((group) => IPV6_GROUP_PATTERN.test(group))
+    ? groups.reduce(
+        (address, group) => address * 65536n + BigInt(parseInt(group, 16)),
+        0n
+      )
+    : null;
+};
+
+/**
+ * Parse an IPv4 or IPv6 address or CIDR range into its first and last address
+ * A bare address is a range of one.
+ * @param {string} value - Address or CIDR (e.g. 10.0.0.1, 10.0.0.0/8, fe80::/10)
+ * @returns {Object|null} { version, first, last } with BigInt bounds, or null if invalid
+ */
+const parseAddressRange = (value) => {
+  const [address, prefix, extra] = String(value).trim().split('/');
+  if (extra !== undefined) {
+    return null;
+  }
+
+  const ipv4 = parseIPv4(address);
+  const version = ipv4 !== null ? 4 : 6;
+  const number = ipv4 !== null ? BigInt(ipv4) : parseIPv6(address);
+  if (number === null) {
+    return null;
+  }
+
+  const bits = version === 4 ? 32 : 128;
+  const prefixLength =
+    prefix === undefined ? bits : /^\d{1,3}$/.test(prefix) ? Number(prefix) : NaN;
+  if (!(prefixLength >= 0 && prefixLength <= bits)) {
+    return null;
+  }
+
+  const size = 1n << BigInt(bits - prefixLength);
+  const first = (number / size) * size;
+  return { version, first, last: first + size - 1n };
+};
+
+/**
+ * Check whether one address range lies entirely inside another
+ * @param {Object} inner - Range to check (see parseAddressRange)
+ * @param {Object} outer - Containing range (see parseAddressRange)
+ * @returns {boolean} True if inner is inside outer
+ */
+const isRangeWithin = (inner, outer) =>
+  inner.version === outer.version &&
+  inner.first >= outer.first &&
+  inner.last <= outer.last;
+
+/**
+ * Get the parsed special-purpose ranges
+ * @returns {Array<Object>} Ranges ({ version, first, last, name })
+ */
+const getSpecialPurposeRanges = () => {
+  if (!specialPurposeRanges) {
+    specialPurposeRanges = SPECIAL_PURPOSE_RANGES.map(([cidr, name]) => ({
+      ...parseAddressRange(cidr),
+      name
+    }));
+  }
+  return specialPurposeRanges;
+};
+
+/**
+ * Get the special-purpose range an address or CIDR range lies in
+ * @param {string} value - IPv4 or IPv6 address or CIDR range
+ * @returns {string|null} Name of the special-purpose range, or null when the value is not
+ *   an address or is (at least partly) globally reachable
+ */
+const getSpecialPurposeRangeName = (value) => {
+  const range = parseAddressRange(value);
+  const special =
+    range &&
+    getSpecialPurposeRanges().find((specialRange) => isRangeWithin(range, specialRange));
+  return special ? special.name : null;
+};
+
+/**
+ * Get how many leading octets the search terms for a CIDR range keep
+ * @param {Object} range - Parsed range (see parseIPv4Cidr)
+ * @returns {number} 4 (every address), 3 (/24 prefixes) or 2 (/16 prefix)
+ */
+const getQueryOctets = (range) =>
+  range.size <= CIDR_MAX_EXPANDED_ADDRESSES
+    ? 4
+    : range.size / 256 <= CIDR_MAX_QUERY_PREFIXES
+    ? 3
+    : 2;
+
+/**
+ * Build the search query for a CIDR range
+ * The API searches alert text, which has addresses rather than ranges. Small ranges are
+ * searched as every address in them; larger ranges as their /24 (or /16) prefixes, with
+ * the results filtered down to the addresses in the range afterwards.
+ * @param {Object} range - Parsed range (see parseIPv4Cidr)
+ * @returns {string} Query string of quoted, OR-joined terms
+ */
+const buildCidrQuery = (range) => {
+  const octets = getQueryOctets(range);
+  const blockSize = 2 ** (8 * (4 - octets));
+  const terms = [];
+  for (let address = range.first; address <= range.last; address += blockSize) {
+    terms.push(`"${formatIPv4(address).split('.').slice(0, octets).join('.')}"`);
+  }
+  return terms.join(' OR ');
+};
+
+module.exports = {
+  parseIPv4,
+  parseIPv6,
+  parseAddressRange,
+  isRangeWithin,
+  getSpecialPurposeRangeName,
+  formatIPv4,
+  parseIPv4Cidr,
+  isIPv4Cidr,
+  isSearchableCidr,
+  isIPv4InCidr,
+  buildCidrQuery
+};
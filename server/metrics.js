@@ -0,0 +1,286 @@
+const http = require('http');
+
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const {
+  METRICS_PREFIX,
+  METRICS_HOST,
+  METRICS_DURATION_BUCKETS_SECONDS
+} = require('../constants');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Registered metrics keyed by full metric name (in registration order)
+const registry = new Map();
+
+// Optional HTTP listener exposing the metrics (see configureMetricsServer)
+let metricsServer = null;
+let metricsServerPort = 0;
+// Listener changes run one at a time so overlapping calls can't start two listeners
+let metricsServerChange = Promise.resolve();
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Array<string>} labelNames - Label names in output order
+ * @param {Object} labels - Label values keyed by name
+ * @returns {string} Formatted labels (empty if there are no labels)
+ */
+const formatLabels = (labelNames, labels) =>
+  labelNames.length > 0
+    ? `{${labelNames
+        .map((name) => `${name}="${escapeLabelValue(labels[name])}"`)
+        .join(',')}}`
+    : '';
+
+/**
+ * Build the key a label set is stored under
+ * @param {Array<string>} labelNames - Label names of the metric
+ * @param {Object} labels - Label values keyed by name
+ * @returns {string} Series key
+ */
+const getSeriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+
+/**
+ * Format a sample value the way Prometheus expects
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+const formatValue = (value) =>
+  value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value);
+
+/**
+ * Register a metric, or return the existing one with the same name
+ * @param {string} name - Metric name without the integration prefix
+ * @param {Function} create - Creates the metric when it isn't registered yet
+ * @returns {Object} Metric
+ */
+const register = (name, create) => {
+  const fullName = `${METRICS_PREFIX}_${name}`;
+  if (!registry.has(fullName)) {
+    registry.set(fullName, create(fullName));
+  }
+  return registry.get(fullName);
+};
+
+/**
+ * Create (or get) a counter
+ * @param {string} name - Metric name without the integration prefix (e.g. 'api_requests_total')
+ * @param {string} help - Help text
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} Counter with inc(labels, value)
+ */
+const createCounter = (name, help, labelNames = []) =>
+  register(name, (fullName) => {
+    const series = new Map();
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = getSeriesKey(labelNames, labels);
+        const current = series.get(key);
+        series.set(key, { labels, value: (current ? current.value : 0) + value });
+      },
+      render: () =>
+        [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} counter`].concat(
+          Array.from(series.values()).map(
+            ({ labels, value }) =>
+              `${fullName}${formatLabels(labelNames, labels)} ${formatValue(value)}`
+          )
+        )
+    };
+  });
+
+/**
+ * Create (or get) a gauge whose value is read when the metrics are rendered
+ * @param {string} name - Metric name without the integration prefix
+ * @param {string} help - Help text
+ * @param {Function} collect - Returns the current value
+ * @returns {Object} Gauge
+ */
+const createGauge = (name, help, collect) =>
+  register(name, (fullName) => ({
+    render: () => [
+      `# HELP ${fullName} ${help}`,
+      `# TYPE ${fullName} gauge`,
+      `${fullName} ${formatValue(Number(collect()) || 0)}`
+    ]
+  }));
+
+/**
+ * Create (or get) a histogram
+ * @param {string} name - Metric name without the integration prefix (e.g. 'api_request_duration_seconds')
+ * @param {string} help - Help text
+ * @param {Array<string>} [labelNames] - Label names
+ * @param {Array<number>} [buckets] - Upper bounds of the buckets (ascending)
+ * @returns {Object} Histogram with observe(labels, value) and startTimer(labels)
+ */
+const createHistogram = (
+  name,
+  help,
+  labelNames = [],
+  buckets = METRICS_DURATION_BUCKETS_SECONDS
+) =>
+  register(name, (fullName) => {
+    const series = new Map();
+
+    const observe = (labels = {}, value) => {
+      const key = getSeriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    };
+
+    return {
+      observe,
+      startTimer: (labels = {}) => {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) =>
+          observe(
+            { ...labels, ...extraLabels },
+            Number(process.hrtime.bigint() - startedAt) / 1e9
+          );
+      },
+      render: () =>
+        [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} histogram`].concat(
+          ...Array.from(series.values()).map(({ labels, counts, sum, count }) =>
+            buckets
+              .map(
+                (bound, index) =>
+                  `${fullName}_bucket${formatLabels(labelNames.concat('le'), {
+                    ...labels,
+                    le: formatValue(bound)
+                  })} ${counts[index]}`
+              )
+              .concat(
+                `${fullName}_bucket${formatLabels(labelNames.concat('le'), {
+                  ...labels,
+                  le: '+Inf'
+                })} ${count}`,
+                `${fullName}_sum${formatLabels(labelNames, labels)} ${sum}`,
+                `${fullName}_count${formatLabels(labelNames, labels)} ${count}`
+              )
+          )
+        )
+    };
+  });
+
+/**
+ * Render every registered metric in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+const renderMetrics = () =>
+  Array.from(registry.values())
+    .map((metric) => metric.render().join('\n'))
+    .join('\n') + '\n';
+
+/**
+ * Run a listener change after any change already in progress
+ * @param {Function} change - Async function changing the listener
+ * @returns {Promise<void>} Resolves once the change is done
+ */
+const queueMetricsServerChange = (change) => {
+  metricsServerChange = metricsServerChange.catch(() => {}).then(change);
+  return metricsServerChange;
+};
+
+/**
+ * Close the metrics HTTP listener if it is running
+ * @returns {Promise<void>} Resolves once the listener is closed
+ */
+const closeMetricsServer = () =>
+  new Promise((resolve) => {
+    const server = metricsServer;
+    metricsServer = null;
+    metricsServerPort = 0;
+    if (!server) {
+      return resolve();
+    }
+    server.close(() => resolve());
+  });
+
+/**
+ * Move the listener to the given port unless it already listens there
+ * @param {number} nextPort - Local port to listen on (0 disables the listener)
+ * @returns {Promise<void>} Resolves once the listener matches the port
+ */
+const updateMetricsServer = async (nextPort) => {
+  const Logger = getLogger();
+  if (nextPort === metricsServerPort) {
+    return;
+  }
+
+  await closeMetricsServer();
+  if (!nextPort) {
+    Logger.info('Metrics listener disabled');
+    return;
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+      res.end(renderMetrics());
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+  server.on('error', (error) => {
+    // Not retried until the port option changes so a taken port doesn't flood the log
+    Logger.error({ error, port: nextPort }, 'Metrics listener failed');
+    if (metricsServer === server) {
+      metricsServer = null;
+    }
+  });
+  server.listen(nextPort, METRICS_HOST, () => {
+    Logger.info({ host: METRICS_HOST, port: nextPort }, 'Metrics listener started');
+  });
+  // Never keep the process alive just for the metrics listener
+  server.unref();
+
+  metricsServer = server;
+  metricsServerPort = nextPort;
+};
+
+/**
+ * Stop the metrics HTTP listener if it is running
+ * @returns {Promise<void>} Resolves once the listener is closed
+ */
+const stopMetricsServer = () => queueMetricsServerChange(closeMetricsServer);
+
+/**
+ * Start, restart or stop the metrics HTTP listener to match the configured port
+ * The listener only binds to the local interface and serves GET /metrics. Calls are
+ * applied in order, so overlapping calls never start more than one listener.
+ * @param {number} port - Local port to listen on (0 or empty disables the listener)
+ * @returns {Promise<void>} Resolves once the listener matches the configuration
+ */
+const configureMetricsServer = (port) =>
+  queueMetricsServerChange(() => updateMetricsServer(parseInt(port, 10) || 0));
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  configureMetricsServer,
+  stopMetricsServer
+};
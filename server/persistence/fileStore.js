@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+/**
+ * Create a persistence store backed by a single JSON file on disk
+ * All keys are kept in one document which is rewritten atomically (temp file + rename)
+ * so a crash mid-write never leaves a truncated state file behind.
+ * @param {Object} params - Store parameters
+ * @param {string} params.filePath - Absolute path of the JSON file to read and write
+ * @returns {PersistenceStore} Store implementing get/set/flush
+ */
+const createFileStore = ({ filePath }) => {
+  let documentCache = null;
+  let writeChain = Promise.resolve();
+
+  /**
+   * Read the state document from disk (once) and keep it in memory
+   * @returns {Promise<Object>} Parsed state document or an empty object
+   */
+  const loadDocument = async () => {
+    if (documentCache) {
+      return documentCache;
+    }
+
+    try {
+      const contents = await fs.promises.readFile(filePath, 'utf8');
+      documentCache = JSON.parse(contents) || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        const Logger = getLogger();
+        Logger.warn(
+          { filePath, message: error.message },
+          'Failed to read persisted state file, starting with empty state'
+        );
+      }
+      documentCache = {};
+    }
+
+    return documentCache;
+  };
+
+  /**
+   * Write the in-memory document to disk
+   * @returns {Promise<void>}
+   */
+  const writeDocument = async () => {
+    const tempFilePath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempFilePath, JSON.stringify(documentCache), 'utf8');
+    await fs.promises.rename(tempFilePath, filePath);
+  };
+
+  /**
+   * Get a value by key
+   * @param {string} key - State key
+   * @returns {Promise<*>} Stored value or undefined
+   */
+  const get = async (key) => {
+    const document = await loadDocument();
+    return document[key];
+  };
+
+  /**
+   * Set a value by key in the in-memory document
+   * Nothing is written until flush, so several keys can be saved with a single write.
+   * @param {string} key - State key
+   * @param {*} value - JSON serializable value
+   * @returns {Promise<void>}
+   */
+  const set = async (key, value) => {
+    const document = await loadDocument();
+    document[key] = value;
+  };
+
+  /**
+   * Wait for all pending writes and write the current document
+   * Writes are chained so concurrent calls never interleave on disk.
+   * @returns {Promise<void>}
+   */
+  const flush = () => {
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await loadDocument();
+        await writeDocument();
+      });
+    return writeChain;
+  };
+
+  return { get, set, flush };
+};
+
+module.exports = createFileStore;
@@ -0,0 +1,15 @@
+const createFileStore = require('./fileStore');
+
+/**
+ * Interface every persistence backend must implement. Values are plain JSON
+ * serializable objects keyed by the state keys in constants.js
+ * (STATE_KEY, ALERTS_KEY, ALERTS_MAP_KEY, LISTS_KEY, ...).
+ * @typedef {Object} PersistenceStore
+ * @property {function(string): Promise<*>} get - Resolve the value stored under a key (undefined if missing)
+ * @property {function(string, *): Promise<void>} set - Stage a value under a key
+ * @property {function(): Promise<void>} flush - Resolve once all staged values are durable
+ */
+
+module.exports = {
+  createFileStore
+};
@@ -1,4 +1,4 @@
-const { get, getOr, filter, flow, negate, isEmpty } = require('lodash/fp');
+const { get, getOr, filter, flow, negate, isEmpty, cloneDeep } = require('lodash/fp');
 
 const {
   logging: { getLogger },
@@ -8,6 +8,13 @@ const {
 
 const { DateTime } = require('luxon');
 
+const { createCounter, createGauge, createHistogram } = require('./metrics');
+const {
+  REQUEST_QUEUE_LANES,
+  QUEUE_DEFER_CHECK_MS,
+  BACKFILL_RATE_LIMIT_RESERVE
+} = require('../constants');
+
 // Token cache with TTL support
 const tokenCache = new Map();
 const tokenExpiry = new Map();
@@ -20,12 +27,81 @@ const rateLimitState = {
   windowMs: 30000 // Default: 30 second window
 };
 
-// Request queue for rate limiting
-const requestQueue = [];
-const MAX_QUEUE_SIZE = 12;
+// Request queue lanes for rate limiting, keyed by lane name (see REQUEST_QUEUE_LANES)
+const requestQueues = REQUEST_QUEUE_LANES.reduce(
+  (queues, { name }) => ({ ...queues, [name]: [] }),
+  {}
+);
+// Identical GET requests currently in flight, keyed by getCoalescingKey
+const inFlightRequests = new Map();
 const QUEUE_REQUEST_TIMEOUT_MS = 120000; // 2 minutes - requests older than this are dropped
 let isProcessingQueue = false;
 
+// Prometheus metrics (see server/metrics.js)
+const apiRequestsTotal = createCounter(
+  'api_requests_total',
+  'Dataminr API requests by route and response status',
+  ['route', 'status']
+);
+const apiRequestDuration = createHistogram(
+  'api_request_duration_seconds',
+  'Dataminr API request latency in seconds',
+  ['route']
+);
+const apiRateLimitedTotal = createCounter(
+  'api_rate_limited_total',
+  'Dataminr API responses with status 429',
+  ['route']
+);
+const apiRetriesTotal = createCounter(
+  'api_retries_total',
+  'Dataminr API requests retried after a 401 or 429',
+  ['route', 'reason']
+);
+const queueDroppedTotal = createCounter(
+  'request_queue_dropped_total',
+  'Requests dropped from the rate limit queue (full or timed out)',
+  ['reason', 'lane']
+);
+const queueWaitSeconds = createHistogram(
+  'request_queue_wait_seconds',
+  'Time requests waited in the rate limit queue in seconds',
+  ['lane']
+);
+const coalescedRequestsTotal = createCounter(
+  'api_requests_coalesced_total',
+  'Dataminr API GET requests that shared an identical in-flight request instead of using quota',
+  ['route']
+);
+const tokenRefreshesTotal = createCounter(
+  'token_refreshes_total',
+  'Auth token requests by result',
+  ['result']
+);
+createGauge(
+  'request_queue_length',
+  'Requests waiting in the rate limit queue',
+  () => getQueueLength()
+);
+createGauge(
+  'api_requests_in_flight',
+  'Distinct Dataminr API GET requests in flight (including queued)',
+  () => inFlightRequests.size
+);
+createGauge(
+  'rate_limit_remaining',
+  'Requests remaining in the current rate limit window',
+  () => getRateLimitState().remaining
+);
+
+/**
+ * Get the route label for metrics (alert IDs are collapsed to keep label cardinality low)
+ * @param {string} route - API route
+ * @returns {string} Route label
+ */
+const getRouteLabel = (route) =>
+  String(route).replace(/\/alerts\/[^/?]+$/, '/alerts/:alertId');
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -35,6 +111,31 @@ const sleep = (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
 
+/**
+ * Get a snapshot of the current rate limit state and queue usage
+ * Used by background work (e.g. backfill) to leave quota for interactive requests.
+ * @returns {Object} Rate limit snapshot
+ * @returns {number} returns.limit - Requests allowed per window
+ * @returns {number} returns.remaining - Requests remaining in the current window
+ * @returns {number|null} returns.resetAt - epoch milliseconds when the window resets
+ * @returns {number} returns.queueLength - Number of requests waiting in the queue
+ * @returns {Object} returns.queueLengths - Number of requests waiting per queue lane
+ */
+const getRateLimitState = () => {
+  const now = Date.now();
+  const hasReset = rateLimitState.resetAt && now >= rateLimitState.resetAt;
+  return {
+    limit: rateLimitState.limit,
+    remaining: hasReset ? rateLimitState.limit : rateLimitState.remaining,
+    resetAt: hasReset ? null : rateLimitState.resetAt,
+    queueLength: getQueueLength(),
+    queueLengths: REQUEST_QUEUE_LANES.reduce(
+      (lengths, { name }) => ({ ...lengths, [name]: requestQueues[name].length }),
+      {}
+    )
+  };
+};
+
 /**
  * Update rate limit state from response headers
  * @param {Object} response - HTTP response object
@@ -73,36 +174,78 @@ const updateRateLimitFromHeaders = (response) => {
 };
 
 /**
- * Process the request queue - executes queued requests one at a time
+ * Get the total number of requests waiting in all queue lanes
+ * @returns {number} Queued request count
+ */
+const getQueueLength = () =>
+  REQUEST_QUEUE_LANES.reduce((total, { name }) => total + requestQueues[name].length, 0);
+
+/**
+ * Drop requests that waited longer than QUEUE_REQUEST_TIMEOUT_MS from every lane
+ * @param {number} now - Current epoch milliseconds
+ * @returns {void}
+ */
+const dropExpiredRequests = (now) => {
+  const Logger = getLogger();
+  REQUEST_QUEUE_LANES.forEach(({ name }) => {
+    const queue = requestQueues[name];
+    while (queue.length > 0 && queue[0].expiresAt < now) {
+      const expiredRequest = queue.shift();
+      Logger.warn(
+        {
+          lane: name,
+          queueSize: queue.length,
+          ageMs: now - expiredRequest.enqueuedAt
+        },
+        'Dropping expired request from queue'
+      );
+      queueDroppedTotal.inc({ reason: 'expired', lane: name });
+      expiredRequest.reject(new Error('Request timed out in queue'));
+    }
+  });
+};
+
+/**
+ * Pick the lane to serve next
+ * Lanes are served in priority order, except that a lane whose oldest request has waited
+ * longer than the lane's maxWaitMs is served first so lower lanes are never starved.
+ * Background lanes are skipped while the rate limit quota is at or below the reserve.
+ * @param {number} now - Current epoch milliseconds
+ * @returns {Object|null} Lane config, or null if nothing can be served right now
+ */
+const getNextLane = (now) => {
+  const quotaIsLow = rateLimitState.remaining <= BACKFILL_RATE_LIMIT_RESERVE;
+  const servableLanes = REQUEST_QUEUE_LANES.filter(
+    ({ name, background }) => requestQueues[name].length > 0 && !(background && quotaIsLow)
+  );
+
+  const starvedLane = servableLanes.find(
+    ({ name, maxWaitMs }) => now - requestQueues[name][0].enqueuedAt > maxWaitMs
+  );
+  return starvedLane || servableLanes[0] || null;
+};
+
+/**
+ * Process the request queue - executes queued requests one at a time, highest priority lane first
  * @returns {Promise<void>}
  */
 const processQueue = async () => {
   const Logger = getLogger();
   
-  if (isProcessingQueue || requestQueue.length === 0) {
+  if (isProcessingQueue || getQueueLength() === 0) {
     return;
   }
   
   isProcessingQueue = true;
   
-  while (requestQueue.length > 0) {
+  while (getQueueLength() > 0) {
     const now = Date.now();
     
-    // Remove expired requests from front of queue
-    while (requestQueue.length > 0 && requestQueue[0].expiresAt < now) {
-      const expiredRequest = requestQueue.shift();
-      Logger.warn(
-        { 
-          queueSize: requestQueue.length,
-          ageMs: now - (expiredRequest.expiresAt - QUEUE_REQUEST_TIMEOUT_MS)
-        },
-        'Dropping expired request from queue'
-      );
-      expiredRequest.reject(new Error('Request timed out in queue'));
-    }
+    // Remove expired requests from the front of every lane
+    dropExpiredRequests(now);
     
     // Check if queue is now empty after removing expired requests
-    if (requestQueue.length === 0) {
+    if (getQueueLength() === 0) {
       break;
     }
     
@@ -115,16 +258,39 @@ const processQueue = async () => {
     
     // If we have quota remaining, process next request
     if (rateLimitState.remaining > 0) {
-      const queuedRequest = requestQueue.shift();
+      const lane = getNextLane(now);
+
+      if (!lane) {
+        // Only background work is waiting and the quota is low - defer it until the
+        // window resets, checking regularly so new interactive requests aren't held up
+        if (!rateLimitState.resetAt) {
+          rateLimitState.resetAt = now + rateLimitState.windowMs;
+        }
+        Logger.debug(
+          {
+            remaining: rateLimitState.remaining,
+            resetAt: new Date(rateLimitState.resetAt).toISOString()
+          },
+          'Rate limit quota low - deferring background requests'
+        );
+        await sleep(Math.min(rateLimitState.resetAt - now, QUEUE_DEFER_CHECK_MS));
+        continue;
+      }
+
+      const queuedRequest = requestQueues[lane.name].shift();
       
       if (queuedRequest) {
         Logger.debug(
-          { queueSize: requestQueue.length },
+          { lane: lane.name, queueSize: getQueueLength() },
           'Processing queued request'
         );
         
         // Optimistically decrement quota
         rateLimitState.remaining--;
+        queueWaitSeconds.observe(
+          { lane: lane.name },
+          (Date.now() - queuedRequest.enqueuedAt) / 1000
+        );
         
         // Execute the request
         queuedRequest.execute();
@@ -136,7 +302,7 @@ const processQueue = async () => {
         Logger.warn(
           {
             waitTimeMs: waitTime,
-            queueSize: requestQueue.length,
+            queueSize: getQueueLength(),
             resetAt: new Date(rateLimitState.resetAt).toISOString()
           },
           'Rate limit exhausted - waiting to process queue'
@@ -152,7 +318,7 @@ const processQueue = async () => {
         Logger.warn(
           {
             waitTimeMs: waitTime,
-            queueSize: requestQueue.length
+            queueSize: getQueueLength()
           },
           'Rate limit exhausted with no reset time - waiting to process queue'
         );
@@ -167,27 +333,44 @@ const processQueue = async () => {
   isProcessingQueue = false;
 };
 
+/**
+ * Get the position of a lane in priority order
+ * @param {string} name - Lane name
+ * @returns {number} Index in REQUEST_QUEUE_LANES (-1 for unknown lanes)
+ */
+const getLaneRank = (name) => REQUEST_QUEUE_LANES.findIndex((lane) => lane.name === name);
+
 /**
  * Queue a request to be executed when rate limit allows
  * @param {Function} requestFn - The request function to execute
- * @returns {Promise} Resolves with the request result or rejects if queue is full
+ * @param {string} [priority='interactive'] - Queue lane (see REQUEST_QUEUE_LANES)
+ * @param {Object} [queueTicket] - Ticket the queued request is recorded on so it can be
+ *   moved to a higher lane later (see promoteQueuedRequest)
+ * @returns {Promise} Resolves with the request result or rejects if the lane is full
  */
-const queueRequest = async (requestFn) => {
+const queueRequest = async (requestFn, priority = 'interactive', queueTicket = null) => {
   const Logger = getLogger();
+  const lane =
+    REQUEST_QUEUE_LANES.find(({ name }) => name === priority) || REQUEST_QUEUE_LANES[0];
+  const queue = requestQueues[lane.name];
   
-  // Check if queue is full
-  if (requestQueue.length >= MAX_QUEUE_SIZE) {
-    const error = new Error(`Request queue full (${MAX_QUEUE_SIZE} requests). Request dropped.`);
+  // Check if this lane is full - other lanes keep their own capacity
+  if (queue.length >= lane.capacity) {
+    const error = new Error(
+      `Request queue full (${lane.capacity} ${lane.name} requests). Request dropped.`
+    );
     Logger.error(
-      { queueSize: requestQueue.length, maxQueueSize: MAX_QUEUE_SIZE },
+      { lane: lane.name, queueSize: queue.length, maxQueueSize: lane.capacity },
       'Request queue full - dropping request'
     );
+    queueDroppedTotal.inc({ reason: 'full', lane: lane.name });
     throw error;
   }
   
   return new Promise((resolve, reject) => {
-    // Add request to queue with its resolve/reject handlers and expiration time
-    requestQueue.push({
+    // Add request to its lane with its resolve/reject handlers and expiration time
+    const queuedRequest = {
+      enqueuedAt: Date.now(),
       expiresAt: Date.now() + QUEUE_REQUEST_TIMEOUT_MS,
       execute: async () => {
         try {
@@ -198,10 +381,15 @@ const queueRequest = async (requestFn) => {
         }
       },
       reject: reject // Store reject so we can call it for expired requests
-    });
+    };
+    queue.push(queuedRequest);
+    if (queueTicket) {
+      queueTicket.priority = lane.name;
+      queueTicket.queuedRequest = queuedRequest;
+    }
     
     Logger.debug(
-      { queueSize: requestQueue.length, maxQueueSize: MAX_QUEUE_SIZE },
+      { lane: lane.name, queueSize: queue.length, maxQueueSize: lane.capacity },
       'Request queued'
     );
     
@@ -212,6 +400,43 @@ const queueRequest = async (requestFn) => {
   });
 };
 
+/**
+ * Move a request to a higher priority lane
+ * A request that isn't queued yet is queued in the higher lane. Requests that already
+ * left the queue, are in a lane at least as high, or don't fit in the higher lane stay
+ * as is.
+ * @param {Object} queueTicket - Ticket of the request ({ priority, queuedRequest })
+ * @param {string} priority - Lane to move the request to
+ * @returns {void}
+ */
+const promoteQueuedRequest = (queueTicket, priority) => {
+  const rank = getLaneRank(priority);
+  if (rank === -1 || rank >= getLaneRank(queueTicket.priority)) {
+    return;
+  }
+  if (!queueTicket.queuedRequest) {
+    queueTicket.priority = priority;
+    return;
+  }
+
+  const fromQueue = requestQueues[queueTicket.priority];
+  const index = fromQueue.indexOf(queueTicket.queuedRequest);
+  const lane = REQUEST_QUEUE_LANES[rank];
+  const toQueue = requestQueues[lane.name];
+  if (index === -1 || toQueue.length >= lane.capacity) {
+    return;
+  }
+
+  // Keep the higher lane in arrival order so its wait time is still measured correctly
+  const { queuedRequest } = queueTicket;
+  const position = toQueue.findIndex(
+    (queued) => queued.enqueuedAt > queuedRequest.enqueuedAt
+  );
+  fromQueue.splice(index, 1);
+  toQueue.splice(position === -1 ? toQueue.length : position, 0, queuedRequest);
+  queueTicket.priority = lane.name;
+};
+
 // Single request instance for all HTTP requests
 const request = new PolarityRequest({
   roundedSuccessStatusCodes: [200],
@@ -250,6 +475,25 @@ const clearToken = (options) => {
   tokenExpiry.delete(tokenCacheKey);
 };
 
+/**
+ * Get the expiry of the cached auth token for the given options
+ * @param {Object} options - Configuration options
+ * @returns {Object} Token status
+ * @returns {boolean} returns.cached - Whether a token is cached
+ * @returns {string|null} returns.expiresAt - ISO timestamp of when the cached token expires
+ * @returns {boolean} returns.expired - Whether the cached token has expired (a new one is fetched on the next request)
+ */
+const getTokenStatus = (options) => {
+  const tokenCacheKey = options.clientId + options.clientSecret;
+  const expiryTime = tokenExpiry.get(tokenCacheKey);
+  const cached = tokenCache.has(tokenCacheKey) && !!expiryTime;
+  return {
+    cached,
+    expiresAt: cached ? new Date(expiryTime).toISOString() : null,
+    expired: cached ? Date.now() >= expiryTime : false
+  };
+};
+
 /**
  * Get authentication token from Dataminr API (with caching)
  * @param {Object} options - Configuration options
@@ -298,9 +542,11 @@ const getToken = async (options, forceRefresh = false) => {
 
     tokenCache.set(tokenCacheKey, token);
     tokenExpiry.set(tokenCacheKey, expireTime);
+    tokenRefreshesTotal.inc({ result: 'success' });
 
     return token;
   } catch (error) {
+    tokenRefreshesTotal.inc({ result: 'failure' });
     const message = 'Failed to retrieve auth token - invalid clientId / clientSecret: ';
     if (error.name === 'ApiRequestError' && error.detail) {
       error.detail = message + error.detail;
@@ -318,14 +564,25 @@ const getToken = async (options, forceRefresh = false) => {
 
 /**
  * Make an authenticated request to the Dataminr API with retry logic for rate limiting
+ * Use requestWithDefaults, which coalesces identical GET requests, instead of calling this directly.
  * @param {Object} params - Request parameters
  * @param {string} params.route - API route (e.g., '.../v1/alerts')
  * @param {Object} params.options - Configuration options
  * @param {Object} params.requestOptions - Additional request options (method, qs, headers, etc.)
  * @param {number} [maxRetries=3] - Maximum number of retry attempts for 429 errors (default: 3)
+ * @param {string} [priority='interactive'] - Queue lane: 'interactive', 'lookup', 'poll' or 'lists'
+ * @param {Object} [queueTicket] - Queue ticket, its priority is used instead of priority
+ *   (see promoteQueuedRequest)
  * @returns {Promise<Object>} Resolves with the response object
  */
-const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestOptions }) => {
+const sendRequest = async ({
+  route,
+  options,
+  maxRetries = 3,
+  priority = 'interactive',
+  queueTicket = null,
+  ...requestOptions
+}) => {
   const Logger = getLogger();
   let token = await getToken(options);
   let tokenRefreshed = false;
@@ -335,10 +592,12 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
 
   let lastError;
   let attemptNumber = 0;
+  const routeLabel = getRouteLabel(route);
 
   // Wrap the request execution in the queue
   const executeRequest = async () => {
     while (attemptNumber <= maxRetries) {
+      const endTimer = apiRequestDuration.startTimer({ route: routeLabel });
       try {
         const response = await request.run({
           ...requestOptions,
@@ -353,6 +612,8 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
 
         // Update rate limit state from response headers
         updateRateLimitFromHeaders(response);
+        endTimer();
+        apiRequestsTotal.inc({ route: routeLabel, status: response.statusCode || 200 });
 
         return response;
       } catch (error) {
@@ -365,6 +626,8 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
 
         // Check if it's a 401 authentication error
         const errorStatus = error.status || error.statusCode || (error.meta && error.meta.statusCode);
+        endTimer();
+        apiRequestsTotal.inc({ route: routeLabel, status: errorStatus || 'error' });
         const isUnauthorizedError =
           (error instanceof ApiRequestError || error.name === 'ApiRequestError') &&
           (errorStatus === '401' || errorStatus === 401);
@@ -381,6 +644,7 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
             clearToken(options);
             token = await getToken(options, true);
             tokenRefreshed = true;
+            apiRetriesTotal.inc({ route: routeLabel, reason: 'unauthorized' });
 
             // Retry the request with the new token
             attemptNumber++;
@@ -401,6 +665,10 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
           (error instanceof ApiRequestError || error.name === 'ApiRequestError') &&
           (errorStatus === '429' || errorStatus === 429 || String(error.message || error.detail || '').includes('429'));
 
+        if (isRateLimitError) {
+          apiRateLimitedTotal.inc({ route: routeLabel });
+        }
+
         if (isRateLimitError && attemptNumber < maxRetries) {
           // Use x-ratelimit-reset from headers if available
           const resetMs = error.meta?.headers?.['x-ratelimit-reset'];
@@ -411,6 +679,7 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
             'Rate limit (429) encountered, retrying request'
           );
 
+          apiRetriesTotal.inc({ route: routeLabel, reason: 'rate_limit' });
           await sleep(retryDelay);
           attemptNumber++;
           continue;
@@ -432,8 +701,85 @@ const requestWithDefaults = async ({ route, options, maxRetries = 3, ...requestO
     throw lastError;
   };
 
-  // Queue the request - it will be executed when rate limit allows
-  return await queueRequest(executeRequest);
+  // Queue the request - it will be executed when rate limit allows and its lane is next
+  return await queueRequest(
+    executeRequest,
+    queueTicket ? queueTicket.priority : priority,
+    queueTicket
+  );
+};
+
+/**
+ * Build the key identical GET requests are coalesced under
+ * @param {Object} params - Request parameters (see requestWithDefaults)
+ * @returns {string|null} Key, or null if the request must not be coalesced (not a GET or has a body)
+ */
+const getCoalescingKey = ({ route, options, method = 'GET', qs, headers, body, form }) => {
+  if (String(method).toUpperCase() !== 'GET' || body !== undefined || form !== undefined) {
+    return null;
+  }
+  const sortedQuery = Object.keys(qs || {})
+    .filter((key) => qs[key] !== undefined)
+    .sort()
+    .map((key) => [key, qs[key]]);
+  return JSON.stringify([
+    options.url,
+    options.clientId,
+    route,
+    sortedQuery,
+    headers || null
+  ]);
+};
+
+/**
+ * Copy a response so callers sharing it can't change each other's body
+ * @param {Object} response - Response object
+ * @returns {Object} Response with a deep copy of the body
+ */
+const cloneResponse = (response) =>
+  response && typeof response === 'object'
+    ? { ...response, body: cloneDeep(response.body) }
+    : response;
+
+/**
+ * Make an authenticated request to the Dataminr API
+ * Concurrent identical GET requests (same route and query string) share one upstream call
+ * and one slot in the rate limit budget. The shared call is queued in the highest
+ * priority lane of the requests sharing it, and each caller gets its own copy of the
+ * response body.
+ * @param {Object} params - Request parameters (see sendRequest)
+ * @returns {Promise<Object>} Resolves with the response object
+ */
+const requestWithDefaults = (params) => {
+  const key = getCoalescingKey(params);
+  if (!key) {
+    return sendRequest(params);
+  }
+
+  if (inFlightRequests.has(key)) {
+    const Logger = getLogger();
+    const inFlight = inFlightRequests.get(key);
+    coalescedRequestsTotal.inc({ route: getRouteLabel(params.route) });
+    Logger.debug({ route: params.route }, 'Sharing identical in-flight request');
+    inFlight.shared = true;
+    promoteQueuedRequest(inFlight.queueTicket, params.priority || 'interactive');
+    return inFlight.pendingRequest.then(cloneResponse);
+  }
+
+  const inFlight = {
+    queueTicket: { priority: params.priority || 'interactive', queuedRequest: null },
+    shared: false,
+    pendingRequest: null
+  };
+  // The entry is removed before any caller sees the response, so no caller joins late
+  const { queueTicket } = inFlight;
+  inFlight.pendingRequest = sendRequest({ ...params, queueTicket }).finally(() => {
+    inFlightRequests.delete(key);
+  });
+  inFlightRequests.set(key, inFlight);
+  return inFlight.pendingRequest.then((response) =>
+    inFlight.shared ? cloneResponse(response) : response
+  );
 };
 
 /**
@@ -475,5 +821,7 @@ const requestsInParallel = async (
 module.exports = {
   requestWithDefaults,
   requestsInParallel,
-  setLogger
+  setLogger,
+  getRateLimitState,
+  getTokenStatus
 };
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+
+const { processMetadata } = require('./templateRenderer');
+
+// Namespace recommended by the STIX 2.1 specification for deterministic identifiers
+const STIX_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+// Maps Dataminr hash types to STIX hash algorithm names
+const STIX_HASH_ALGORITHMS = {
+  md5: 'MD5',
+  sha1: 'SHA-1',
+  'sha-1': 'SHA-1',
+  sha256: 'SHA-256',
+  'sha-256': 'SHA-256',
+  sha512: 'SHA-512',
+  'sha-512': 'SHA-512'
+};
+
+/**
+ * Build a version 5 UUID (SHA-1, name based) so the same input always gets the same STIX ID
+ * @param {string} name - Name to hash
+ * @returns {string} UUID string
+ */
+const uuidV5 = (name) => {
+  const namespaceBytes = Buffer.from(STIX_NAMESPACE.replace(/-/g, ''), 'hex');
+  const hash = crypto
+    .createHash('sha1')
+    .update(Buffer.concat([namespaceBytes, Buffer.from(name, 'utf8')]))
+    .digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.subarray(0, 16).toString('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32)
+  ].join('-');
+};
+
+/**
+ * Build a deterministic STIX identifier
+ * @param {string} type - STIX object type
+ * @param {string} key - Value identifying the object (e.g. malware name)
+ * @returns {string} STIX identifier ("<type>--<uuid>")
+ */
+const stixId = (type, key) => `${type}--${uuidV5(`${type}:${String(key).toLowerCase()}`)}`;
+
+/**
+ * Format a timestamp the way STIX requires (UTC, millisecond precision)
+ * @param {string|number} [value] - Timestamp (defaults to now)
+ * @returns {string} STIX timestamp
+ */
+const stixTimestamp = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return (isNaN(date.getTime()) ? new Date() : date).toISOString();
+};
+
+/**
+ * Escape a value for use inside a STIX pattern string literal
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapePatternValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+/**
+ * Get the name of a metadata item that may be a string or an object with a name
+ * @param {Object|string} item - Metadata item
+ * @returns {string} Name (empty if missing)
+ */
+const getItemName = (item) =>
+  String((item && typeof item === 'object' ? item.name : item) || '').trim();
+
+/**
+ * Build the report description from the alert's sub headline bullets
+ * @param {Object} alert - Alert object
+ * @returns {string} Description (empty if the alert has no sub headline content)
+ */
+const getDescription = (alert) => {
+  const content = alert.subHeadline && alert.subHeadline.content;
+  return (Array.isArray(content) ? content : [content]).filter(Boolean).join('\n');
+};
+
+/**
+ * Build the STIX indicator patterns for an alert's cyber metadata
+ * @param {Object} metadata - Output of processMetadata
+ * @returns {Array<Object>} Array of { key, name, pattern }
+ */
+const getIndicatorPatterns = (metadata) => {
+  const urls = metadata.URL.map(getItemName)
+    .filter(Boolean)
+    .map((url) => ({
+      key: `url:${url}`,
+      name: url,
+      pattern: `[url:value = '${escapePatternValue(url)}']`
+    }));
+
+  const addresses = metadata.addresses
+    .filter((address) => address && address.ip)
+    .map((address) => {
+      const type = String(address.ip).includes(':') ? 'ipv6-addr' : 'ipv4-addr';
+      return {
+        key: `${type}:${address.ip}`,
+        name: address.ip,
+        pattern: `[${type}:value = '${escapePatternValue(address.ip)}']`
+      };
+    });
+
+  const hashes = metadata.hashValues
+    .filter((hash) => hash && hash.value)
+    .map((hash) => {
+      const algorithm =
+        STIX_HASH_ALGORITHMS[String(hash.type || '').toLowerCase()] ||
+        { 32: 'MD5', 40: 'SHA-1', 64: 'SHA-256', 128: 'SHA-512' }[hash.value.length];
+      return algorithm
+        ? {
+            key: `file:${algorithm}:${hash.value}`,
+            name: hash.value,
+            pattern: `[file:hashes.'${algorithm}' = '${escapePatternValue(hash.value)}']`
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+  return urls.concat(addresses, hashes);
+};
+
+/**
+ * Convert one alert into STIX objects (report, SDOs and relationships)
+ * @param {Object} alert - Alert object
+ * @param {string} identityRef - ID of the identity object for Dataminr (created_by_ref)
+ * @returns {Array<Object>} STIX objects for the alert
+ */
+const alertToStixObjects = (alert, identityRef) => {
+  const published = stixTimestamp(alert.alertTimestamp);
+  const common = { spec_version: '2.1', created: published, modified: published };
+  const metadata = processMetadata(alert) || {
+    threatActors: [],
+    URL: [],
+    addresses: [],
+    asOrgs: [],
+    hashValues: [],
+    malware: [],
+    vulnerabilities: []
+  };
+
+  const malware = metadata.malware
+    .map(getItemName)
+    .filter(Boolean)
+    .map((name) => ({
+      type: 'malware',
+      id: stixId('malware', name),
+      ...common,
+      name,
+      is_family: true
+    }));
+
+  const threatActors = metadata.threatActors
+    .map(getItemName)
+    .filter(Boolean)
+    .map((name) => ({
+      type: 'threat-actor',
+      id: stixId('threat-actor', name),
+      ...common,
+      name
+    }));
+
+  const vulnerabilities = metadata.vulnerabilities
+    .filter((vulnerability) => vulnerability && vulnerability.id)
+    .map((vulnerability) => ({
+      type: 'vulnerability',
+      id: stixId('vulnerability', vulnerability.id),
+      ...common,
+      name: vulnerability.id,
+      ...(vulnerability.cvss !== undefined && vulnerability.cvss !== null
+        ? { description: `CVSS: ${vulnerability.cvss}` }
+        : {}),
+      ...(/^CVE-\d{4}-\d+$/i.test(vulnerability.id)
+        ? {
+            external_references: [
+              { source_name: 'cve', external_id: vulnerability.id.toUpperCase() }
+            ]
+          }
+        : {})
+    }));
+
+  const asOrgs = metadata.asOrgs
+    .filter((asOrg) => asOrg && (asOrg.asOrg || asOrg.asn))
+    .map((asOrg) => ({
+      type: 'identity',
+      id: stixId('identity', `as:${asOrg.asn || asOrg.asOrg}`),
+      ...common,
+      name: asOrg.asOrg || String(asOrg.asn),
+      identity_class: 'organization',
+      ...(asOrg.asn ? { description: `Autonomous system ${asOrg.asn}` } : {})
+    }));
+
+  const indicators = getIndicatorPatterns(metadata).map(({ key, name, pattern }) => ({
+    type: 'indicator',
+    id: stixId('indicator', key),
+    ...common,
+    created_by_ref: identityRef,
+    name,
+    pattern,
+    pattern_type: 'stix',
+    valid_from: published
+  }));
+
+  const relationship = (sourceRef, relationshipType, targetRef) => ({
+    type: 'relationship',
+    id: stixId('relationship', `${sourceRef}:${relationshipType}:${targetRef}`),
+    ...common,
+    created_by_ref: identityRef,
+    relationship_type: relationshipType,
+    source_ref: sourceRef,
+    target_ref: targetRef
+  });
+
+  // Indicators point at the malware and actors named in the same alert; actors use that
+  // malware; malware exploits (or, without malware, actors target) the vulnerabilities
+  const relationships = []
+    .concat(
+      ...indicators.map((indicator) =>
+        malware
+          .concat(threatActors)
+          .map((target) => relationship(indicator.id, 'indicates', target.id))
+      )
+    )
+    .concat(
+      ...threatActors.map((actor) =>
+        malware.map((target) => relationship(actor.id, 'uses', target.id))
+      )
+    )
+    .concat(
+      ...(malware.length > 0 ? malware : threatActors).map((source) =>
+        vulnerabilities.map((target) =>
+          relationship(
+            source.id,
+            source.type === 'malware' ? 'exploits' : 'targets',
+            target.id
+          )
+        )
+      )
+    )
+    .concat(
+      ...indicators
+        .filter((indicator) => /^\[ipv[46]-addr:/.test(indicator.pattern))
+        .map((indicator) =>
+          asOrgs.map((asOrg) => relationship(indicator.id, 'related-to', asOrg.id))
+        )
+    );
+
+  const referencedObjects = [].concat(
+    indicators,
+    malware,
+    threatActors,
+    vulnerabilities,
+    asOrgs,
+    relationships
+  );
+
+  const report = {
+    type: 'report',
+    id: stixId('report', `dataminr:${alert.alertId}`),
+    ...common,
+    created_by_ref: identityRef,
+    name: alert.headline || `Dataminr alert ${alert.alertId}`,
+    ...(getDescription(alert) ? { description: getDescription(alert) } : {}),
+    report_types: ['threat-report'],
+    published,
+    labels: [
+      `dataminr-alert-type:${String(
+        (alert.alertType && alert.alertType.name) || 'alert'
+      ).toLowerCase()}`
+    ],
+    external_references: [
+      Object.assign(
+        { source_name: 'Dataminr', external_id: alert.alertId },
+        alert.dataminrAlertUrl ? { url: alert.dataminrAlertUrl } : {}
+      )
+    ],
+    // A report must reference at least one object; fall back to the Dataminr identity
+    object_refs:
+      referencedObjects.length > 0 ? referencedObjects.map(({ id }) => id) : [identityRef]
+  };
+
+  return [report].concat(referencedObjects);
+};
+
+/**
+ * Build a STIX 2.1 bundle from one or more alerts
+ * Each alert becomes a report referencing indicators, malware, threat actors,
+ * vulnerabilities, AS organization identities and the relationships between them.
+ * Objects shared by several alerts appear once.
+ * @param {Array<Object>} alerts - Alert objects
+ * @returns {Object} STIX bundle
+ */
+const buildStixBundle = (alerts) => {
+  const now = stixTimestamp();
+  const identity = {
+    type: 'identity',
+    spec_version: '2.1',
+    id: stixId('identity', 'dataminr'),
+    created: now,
+    modified: now,
+    name: 'Dataminr',
+    identity_class: 'organization'
+  };
+
+  const objectsById = new Map([[identity.id, identity]]);
+  alerts.forEach((alert) => {
+    alertToStixObjects(alert, identity.id).forEach((object) => {
+      if (!objectsById.has(object.id)) {
+        objectsById.set(object.id, object);
+      }
+    });
+  });
+
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: Array.from(objectsById.values())
+  };
+};
+
+module.exports = {
+  buildStixBundle
+};
@@ -2,7 +2,10 @@ const Handlebars = require('handlebars');
 const fs = require('fs');
 const path = require('path');
 const { getAlertById } = require('./alerts/getAlerts');
-const { TRIAL_MODE } = require('../constants');
+const { getTriage } = require('./alerts/stateManager');
+const { getCompiledGeofences, getMatchingGeofenceNames } = require('./alerts/geofences');
+const { getMatchExplanation } = require('./alerts/alertMatches');
+const { TRIAL_MODE, TRIAGE_STATUSES } = require('../constants');
 
 let templateCache = null;
 let notificationTemplateCache = null;
@@ -950,6 +953,45 @@ function processReferenceTerms(alert) {
   return processed;
 }
 
+/**
+ * Process the shared triage record for an alert
+ * Alerts that have not been triaged yet are shown with the 'new' status.
+ * @param {string} alertId - Alert ID
+ * @param {string} [timezone] - Optional timezone for formatting note timestamps
+ * @returns {Object|null} Processed triage data for the template or null without an alert ID
+ */
+function processTriage(alertId, timezone) {
+  if (!alertId) {
+    return null;
+  }
+
+  const triage = getTriage(alertId) || { status: 'new', assignee: null, notes: [] };
+
+  return {
+    status: triage.status,
+    statusDisplay: toTitleCaseValue(triage.status),
+    statusOptions: TRIAGE_STATUSES.map(function (status) {
+      return {
+        value: status,
+        display: toTitleCaseValue(status),
+        activeClass: status === triage.status ? 'active' : ''
+      };
+    }),
+    assignee: triage.assignee || null,
+    notes: triage.notes.map(function (note) {
+      return {
+        author: note.author,
+        text: note.text,
+        createdAtFormatted: formatTimestampValue(note.createdAt, timezone)
+      };
+    }),
+    updatedBy: triage.updatedBy || null,
+    updatedAtFormatted: triage.updatedAt
+      ? formatTimestampValue(triage.updatedAt, timezone)
+      : ''
+  };
+}
+
 /**
  * Extract timezone from options (payload, request headers, or options object)
  * @param {Object} options - Options object that may contain timezone
@@ -986,9 +1028,10 @@ function extractTimezone(options) {
  * - Media structure: Both APIs use arrays of objects with type and href (handled by processMedia)
  * @param {Object} alert - Alert object (from either First Alert API or Pulse API)
  * @param {Object} options - Options object
+ * @param {string} [matchValue] - Searched entity value to explain matches for (lookups only)
  * @returns {Promise<Object>} Processed alert data for template
  */
-async function processAlertData(alert, options) {
+async function processAlertData(alert, options, matchValue) {
   if (!alert) {
     return null;
   }
@@ -1028,6 +1071,10 @@ async function processAlertData(alert, options) {
     headline: alert.headline || 'No headline available',
     dataminrAlertUrl: alert.dataminrAlertUrl || null,
     estimatedEventLocation: alert.estimatedEventLocation || null,
+    geofencesMatchedFormatted: getMatchingGeofenceNames(
+      alert,
+      getCompiledGeofences(options && options.geofences)
+    ).join(', '),
     subHeadline: alert.subHeadline || null,
     publicPost: publicPost,
     publicPostTimestampFormatted: publicPostTimestampFormatted,
@@ -1049,6 +1096,7 @@ async function processAlertData(alert, options) {
     alertTopics: alert.alertTopics || null,
     alertTopicsFormatted: alert.alertTopics ? formatTopicsValue(alert.alertTopics) : '',
     metadata: processMetadata(alert),
+    triage: TRIAL_MODE ? null : processTriage(alert.alertId, timezone),
     trialAlert: TRIAL_MODE
   };
 
@@ -1073,6 +1121,11 @@ async function processAlertData(alert, options) {
 
   processed.hasAIContent = !!(processed.liveBrief || processed.intelAgentsGrouped);
 
+  // Explain where the searched entity appears (exact IOC match or text mention)
+  if (matchValue) {
+    processed.matches = getMatchExplanation(alert, matchValue);
+  }
+
   // Process public post media (handles both API formats)
   const mediaData = processMedia(alert);
   if (mediaData) {
@@ -1124,5 +1177,7 @@ function renderAlertNotification(name) {
 module.exports = {
   renderAlertDetail,
   renderAlertNotification,
-  processAlertData
+  processAlertData,
+  processMetadata,
+  processTriage
 };
@@ -66,7 +66,37 @@ const validateUrlOption = (options, urlKey = 'url') => {
   return allValidationErrors;
 };
 
+/**
+ * Validate that a number option is an integer within a range
+ * @param {Object} options - Options object containing the number option
+ * @param {string} key - Key name of the number option
+ * @param {number} [min=0] - Smallest allowed value
+ * @param {number} [max=Infinity] - Largest allowed value
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateNumberOption = (options, key, min = 0, max = Infinity) => {
+  const value = get([key, 'value'], options);
+
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  if (!Number.isInteger(Number(value)) || Number(value) < min || Number(value) > max) {
+    return [
+      {
+        key,
+        message:
+          max === Infinity
+            ? `Must be a whole number of at least ${min}`
+            : `Must be a whole number between ${min} and ${max}`
+      }
+    ];
+  }
+  return [];
+};
+
 module.exports = {
   validateStringOptions,
-  validateUrlOption
+  validateUrlOption,
+  validateNumberOption
 };
@@ -1,4 +1,16 @@
-const { validateStringOptions, validateUrlOption } = require('./utils');
+const {
+  validateStringOptions,
+  validateUrlOption,
+  validateNumberOption
+} = require('./utils');
+const { validateAlertRules } = require('../alerts/alertRules');
+const { validateGeofences } = require('../alerts/geofences');
+const { validateWebhookEndpoints } = require('../alerts/webhooks');
+const {
+  validateExcludedIpRanges,
+  validateExcludedDomains
+} = require('../entityExclusions');
+const { SEARCH_BATCH_MAX_ENTITIES } = require('../../constants');
 
 /**
  * Validate integration options
@@ -28,7 +40,45 @@ const validateOptions = async (options, callback) => {
 
     const urlValidationError = validateUrlOption(options, 'url');
 
-    const errors = stringValidationErrors.concat(urlValidationError);
+    const errors = stringValidationErrors
+      .concat(urlValidationError)
+      .concat(validateNumberOption(options, 'cacheRetentionMinutes', 1))
+      .concat(validateNumberOption(options, 'cacheMaxAlerts', 1))
+      .concat(validateNumberOption(options, 'searchCacheTtlMinutes', 0))
+      .concat(validateNumberOption(options, 'searchCacheStaleMinutes', 0))
+      .concat(validateNumberOption(options, 'searchCacheMaxEntries', 1))
+      .concat(
+        validateNumberOption(options, 'searchBatchSize', 1, SEARCH_BATCH_MAX_ENTITIES)
+      )
+      .concat(validateNumberOption(options, 'metricsPort', 0, 65535))
+      .concat(validateNumberOption(options, 'backfillHorizonHours', 0))
+      .concat(validateNumberOption(options, 'backfillMaxPagesPerPoll', 1))
+      .concat(
+        validateAlertRules(options.alertRoutingRules && options.alertRoutingRules.value).map(
+          (message) => ({ key: 'alertRoutingRules', message })
+        )
+      )
+      .concat(
+        validateGeofences(options.geofences && options.geofences.value).map((message) => ({
+          key: 'geofences',
+          message
+        }))
+      )
+      .concat(
+        validateWebhookEndpoints(
+          options.webhookEndpoints && options.webhookEndpoints.value
+        ).map((message) => ({ key: 'webhookEndpoints', message }))
+      )
+      .concat(
+        validateExcludedIpRanges(
+          options.excludedIpRanges && options.excludedIpRanges.value
+        ).map((message) => ({ key: 'excludedIpRanges', message }))
+      )
+      .concat(
+        validateExcludedDomains(
+          options.excludedDomains && options.excludedDomains.value
+        ).map((message) => ({ key: 'excludedDomains', message }))
+      );
 
     callback(null, errors);
   } catch (error) {
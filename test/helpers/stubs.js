@@ -0,0 +1,216 @@
+const path = require('path');
+const { mock } = require('node:test');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const NODE_MODULES_DIR = path.join(ROOT_DIR, 'node_modules');
+const TEST_DIR = path.join(ROOT_DIR, 'test');
+
+const silentLogger = {
+  trace: () => {},
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+// Every request the stubbed PolarityRequest received (see resetRequests)
+const requestCalls = [];
+
+// Answers the stubbed PolarityRequest's requests (see setRequestHandler)
+let requestHandler = null;
+
+/**
+ * Error thrown by the stubbed PolarityRequest for non-200 responses
+ * Mirrors the fields request.js reads from polarity-integration-utils' ApiRequestError.
+ */
+class ApiRequestError extends Error {
+  constructor(message, { status, headers = {}, body = {} } = {}) {
+    super(message);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.meta = { statusCode: status, headers, body };
+  }
+}
+
+/**
+ * Stand-in for polarity-integration-utils' PolarityRequest
+ * Records each request and answers it with the current request handler.
+ */
+class PolarityRequest {
+  constructor(defaults) {
+    this.defaults = defaults;
+    this.userOptions = null;
+  }
+
+  async run(requestOptions) {
+    requestCalls.push(requestOptions);
+    if (!requestHandler) {
+      throw new Error(`No request handler set for ${requestOptions.url}`);
+    }
+    return requestHandler(requestOptions);
+  }
+}
+
+// Replace polarity-integration-utils so the server modules never touch the network
+const polarityIntegrationUtilsPath = require.resolve('polarity-integration-utils');
+require.cache[polarityIntegrationUtilsPath] = {
+  id: polarityIntegrationUtilsPath,
+  filename: polarityIntegrationUtilsPath,
+  loaded: true,
+  exports: {
+    logging: { getLogger: () => silentLogger, setLogger: () => {} },
+    requests: { PolarityRequest },
+    errors: {
+      ApiRequestError,
+      parseErrorToReadableJson: (error) => JSON.parse(JSON.stringify(error))
+    }
+  }
+};
+
+/**
+ * Set the function that answers requests made through the stubbed PolarityRequest
+ * @param {Function} handler - Returns the response for the request options, or throws
+ * @returns {void}
+ */
+const setRequestHandler = (handler) => {
+  requestHandler = handler;
+};
+
+/**
+ * Forget recorded requests and the current request handler
+ * @returns {void}
+ */
+const resetRequests = () => {
+  requestCalls.length = 0;
+  requestHandler = null;
+};
+
+/**
+ * Require a fresh copy of an integration module (and everything it loads)
+ * The server modules keep state at module level, so each test starts from a clean copy.
+ * @param {string} modulePath - Path from the repository root (e.g. 'server/request')
+ * @returns {Object} Module exports
+ */
+const loadFresh = (modulePath) => {
+  Object.keys(require.cache)
+    .filter(
+      (cachedPath) =>
+        cachedPath.startsWith(ROOT_DIR) &&
+        !cachedPath.startsWith(NODE_MODULES_DIR) &&
+        !cachedPath.startsWith(TEST_DIR)
+    )
+    .forEach((cachedPath) => {
+      delete require.cache[cachedPath];
+    });
+  return require(path.join(ROOT_DIR, modulePath));
+};
+
+/**
+ * Let pending promise callbacks run (setImmediate is not faked)
+ * @returns {Promise<void>}
+ */
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Advance the fake clock and let the callbacks it triggers run
+ * @param {number} ms - Milliseconds to advance
+ * @returns {Promise<void>}
+ */
+const advanceTime = async (ms) => {
+  await flushPromises();
+  mock.timers.tick(ms);
+  await flushPromises();
+};
+
+/**
+ * Advance the fake clock in steps until a promise settles
+ * @param {Promise} promise - Promise waiting on fake timers
+ * @param {number} [stepMs=100] - Milliseconds to advance per step
+ * @param {number} [maxSteps=10000] - Give up after this many steps
+ * @returns {Promise} The settled promise
+ */
+const settleWithTimers = async (promise, stepMs = 100, maxSteps = 10000) => {
+  let settled = false;
+  const tracked = promise.finally(() => {
+    settled = true;
+  });
+  tracked.catch(() => {});
+
+  for (let step = 0; !settled && step < maxSteps; step++) {
+    await advanceTime(stepMs);
+  }
+  return tracked;
+};
+
+/**
+ * Build a minimal Pulse alert
+ * @param {string} alertId - Alert ID
+ * @param {number} minutesAgo - Age of the alert relative to the (fake) current time
+ * @param {Object} [overrides] - Extra alert fields
+ * @returns {Object} Alert object
+ */
+const createAlert = (alertId, minutesAgo, overrides = {}) => ({
+  alertId,
+  alertTimestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+  alertType: { name: 'Alert' },
+  headline: `Headline for ${alertId}`,
+  listsMatched: [],
+  ...overrides
+});
+
+/**
+ * Build a successful API response
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Response object
+ */
+const createResponse = (body, headers = {}) => ({ statusCode: 200, headers, body });
+
+/**
+ * Answer auth token requests with numbered tokens valid for an hour
+ * @param {Function} handler - Answers every other request
+ * @returns {Function} Request handler
+ */
+const withTokens = (handler) => {
+  let tokenCount = 0;
+  return (requestOptions) => {
+    if (requestOptions.url.endsWith('/auth/v1/token')) {
+      tokenCount++;
+      return createResponse({
+        dmaToken: `token-${tokenCount}`,
+        expire: Date.now() + 60 * 60 * 1000
+      });
+    }
+    return handler(requestOptions);
+  };
+};
+
+/**
+ * Get the recorded requests other than auth token requests
+ * @returns {Array<Object>} Request options
+ */
+const getApiCalls = () =>
+  requestCalls.filter(({ url }) => !url.endsWith('/auth/v1/token'));
+
+/**
+ * Get the recorded auth token requests
+ * @returns {Array<Object>} Request options
+ */
+const getTokenCalls = () =>
+  requestCalls.filter(({ url }) => url.endsWith('/auth/v1/token'));
+
+module.exports = {
+  ApiRequestError,
+  requestCalls,
+  setRequestHandler,
+  resetRequests,
+  loadFresh,
+  flushPromises,
+  advanceTime,
+  settleWithTimers,
+  createAlert,
+  createResponse,
+  withTokens,
+  getApiCalls,
+  getTokenCalls
+};
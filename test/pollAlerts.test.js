@@ -0,0 +1,225 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ApiRequestError,
+  setRequestHandler,
+  resetRequests,
+  loadFresh,
+  settleWithTimers,
+  createAlert,
+  createResponse,
+  withTokens,
+  getApiCalls
+} = require('./helpers/stubs');
+
+const NOW = Date.parse('2024-01-01T13:00:00.000Z');
+const OPTIONS = { url: 'https://api.test', clientId: 'client', clientSecret: 'secret' };
+const FULL_PAGE_SIZE = 40; // DEFAULT_PAGE_SIZE, a shorter page ends the poll cycle
+
+const RATE_LIMIT_HEADERS = {
+  'x-ratelimit-limit': '100',
+  'x-ratelimit-remaining': '99',
+  'x-ratelimit-reset': '30000'
+};
+
+/**
+ * Build a page of alerts
+ * @param {string} name - Page name used in the alert IDs
+ * @param {number} count - Number of alerts
+ * @returns {Array<Object>} Alerts
+ */
+const createPage = (name, count) =>
+  Array.from({ length: count }, (_, i) => createAlert(`${name}-${i}`, 1 + i / 60));
+
+/**
+ * Answer alert requests from a map of pages keyed by the "from" cursor
+ * @param {Object} pages - { alerts, next } keyed by cursor ('start' for the first poll)
+ * @returns {Function} Request handler
+ */
+const servePages = (pages) =>
+  withTokens(({ qs }) => {
+    const page = pages[qs.from || 'start'];
+    if (!page) {
+      throw new Error(`Unexpected cursor ${qs.from}`);
+    }
+    return createResponse(
+      {
+        alerts: page.alerts,
+        nextPage: page.next ? `https://api.test/pulse/v1/alerts?from=${page.next}` : null
+      },
+      RATE_LIMIT_HEADERS
+    );
+  });
+
+const getFromCursors = () => getApiCalls().map(({ qs }) => qs.from);
+
+describe('pollAlerts', () => {
+  let pollAlerts;
+  let getLastPollResult;
+  let stateManager;
+
+  /**
+   * Run a poll cycle, advancing the fake clock through the delays between pages
+   * @param {Object} [options] - Extra configuration options
+   * @returns {Promise<Object>} Poll result
+   */
+  const runPoll = (options = {}) =>
+    settleWithTimers(pollAlerts({ ...OPTIONS, ...options }));
+
+  /**
+   * Run the first poll cycle, which saves 'cursor-1' as the position to resume from
+   * @returns {Promise<void>}
+   */
+  const runFirstPoll = async () => {
+    setRequestHandler(
+      servePages({ start: { alerts: createPage('first', 10), next: 'cursor-1' } })
+    );
+    await runPoll();
+    resetRequests();
+  };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    resetRequests();
+    ({ pollAlerts, getLastPollResult } = loadFresh('server/alerts/pollAlerts'));
+    stateManager = require('../server/alerts/stateManager');
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('starts without a cursor and saves the next page cursor', async () => {
+    setRequestHandler(
+      servePages({ start: { alerts: createPage('first', 10), next: 'cursor-1' } })
+    );
+
+    const result = await runPoll();
+
+    assert.deepEqual(result, { success: true, alertsProcessed: 10, hasMore: false });
+    assert.equal(getApiCalls()[0].qs.from, undefined);
+    assert.equal(stateManager.getPollingState().lastCursor, 'cursor-1');
+    assert.equal(stateManager.getCachedAlerts().length, 10);
+  });
+
+  test('pages forward from the saved cursor, carrying each cursor over', async () => {
+    await runFirstPoll();
+    setRequestHandler(
+      servePages({
+        'cursor-1': { alerts: createPage('page-1', FULL_PAGE_SIZE), next: 'cursor-2' },
+        'cursor-2': { alerts: createPage('page-2', FULL_PAGE_SIZE), next: 'cursor-3' },
+        'cursor-3': { alerts: createPage('page-3', 5), next: 'cursor-4' }
+      })
+    );
+
+    const result = await runPoll();
+
+    assert.deepEqual(result, { success: true, alertsProcessed: 85, hasMore: false });
+    assert.deepEqual(getFromCursors(), ['cursor-1', 'cursor-2', 'cursor-3']);
+
+    const state = stateManager.getPollingState();
+    assert.equal(state.lastCursor, 'cursor-4');
+    assert.equal(state.totalAlertsProcessed, 95);
+    assert.equal(stateManager.getCachedAlerts().length, 95);
+  });
+
+  test('keeps the saved cursor when a page has no next page link', async () => {
+    await runFirstPoll();
+    setRequestHandler(servePages({ 'cursor-1': { alerts: [], next: null } }));
+
+    const result = await runPoll();
+
+    assert.deepEqual(result, { success: true, alertsProcessed: 0, hasMore: false });
+    assert.equal(stateManager.getPollingState().lastCursor, 'cursor-1');
+  });
+
+  test('continues a backfill from its cursor after hitting the page limit', async () => {
+    await runFirstPoll();
+    setRequestHandler(
+      servePages({
+        'cursor-1': { alerts: createPage('page-1', FULL_PAGE_SIZE), next: 'cursor-2' },
+        'cursor-2': { alerts: createPage('page-2', FULL_PAGE_SIZE), next: 'cursor-3' },
+        'cursor-3': { alerts: createPage('page-3', 3), next: 'cursor-4' }
+      })
+    );
+
+    const firstCycle = await runPoll({ backfillMaxPagesPerPoll: 2 });
+
+    assert.equal(firstCycle.hasMore, true);
+    assert.deepEqual(getFromCursors(), ['cursor-1', 'cursor-2']);
+    const { lastCursor, backfill } = stateManager.getPollingState();
+    assert.equal(lastCursor, 'cursor-3');
+    assert.equal(backfill.active, true);
+    assert.equal(backfill.stopReason, 'maxPages');
+
+    const secondCycle = await runPoll({ backfillMaxPagesPerPoll: 2 });
+
+    assert.equal(secondCycle.hasMore, false);
+    assert.deepEqual(getFromCursors(), ['cursor-1', 'cursor-2', 'cursor-3']);
+    const state = stateManager.getPollingState();
+    assert.equal(state.lastCursor, 'cursor-4');
+    assert.equal(state.backfill.active, false);
+    assert.equal(state.backfill.pagesFetched, 3);
+  });
+
+  test('keeps the saved cursor when the API keeps rate limiting', async () => {
+    await runFirstPoll();
+    setRequestHandler(
+      withTokens(() => {
+        throw new ApiRequestError('Too Many Requests', {
+          status: 429,
+          headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1000' }
+        });
+      })
+    );
+
+    const result = await runPoll();
+
+    assert.deepEqual(result, { success: true, alertsProcessed: 0, hasMore: true });
+    // The first attempt plus 3 retries
+    assert.deepEqual(getFromCursors(), ['cursor-1', 'cursor-1', 'cursor-1', 'cursor-1']);
+    assert.equal(stateManager.getPollingState().lastCursor, 'cursor-1');
+    assert.equal(getLastPollResult().rateLimited, true);
+  });
+
+  test('keeps the cursor of processed pages when a later page fails', async () => {
+    await runFirstPoll();
+    const handler = servePages({
+      'cursor-1': { alerts: createPage('page-1', FULL_PAGE_SIZE), next: 'cursor-2' }
+    });
+    setRequestHandler((requestOptions) => {
+      if (requestOptions.qs && requestOptions.qs.from === 'cursor-2') {
+        throw new ApiRequestError('Internal Server Error', { status: 500 });
+      }
+      return handler(requestOptions);
+    });
+
+    const result = await runPoll();
+
+    assert.equal(result.success, false);
+    assert.deepEqual(getFromCursors(), ['cursor-1', 'cursor-2']);
+    assert.equal(stateManager.getPollingState().lastCursor, 'cursor-2');
+  });
+
+  test('refreshes an expired token mid-poll and retries the same page', async () => {
+    await runFirstPoll();
+    let unauthorized = true;
+    const handler = servePages({
+      'cursor-1': { alerts: createPage('page-1', 2), next: 'cursor-2' }
+    });
+    setRequestHandler((requestOptions) => {
+      if (unauthorized && !requestOptions.url.endsWith('/auth/v1/token')) {
+        unauthorized = false;
+        throw new ApiRequestError('Unauthorized', { status: 401 });
+      }
+      return handler(requestOptions);
+    });
+
+    const result = await runPoll();
+
+    assert.deepEqual(result, { success: true, alertsProcessed: 2, hasMore: false });
+    assert.deepEqual(getFromCursors(), ['cursor-1', 'cursor-1']);
+    assert.equal(stateManager.getPollingState().lastCursor, 'cursor-2');
+  });
+});
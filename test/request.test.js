@@ -0,0 +1,233 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ApiRequestError,
+  setRequestHandler,
+  resetRequests,
+  loadFresh,
+  flushPromises,
+  advanceTime,
+  createResponse,
+  withTokens,
+  getApiCalls,
+  getTokenCalls
+} = require('./helpers/stubs');
+
+const NOW = Date.parse('2024-01-01T13:00:00.000Z');
+const OPTIONS = { url: 'https://api.test', clientId: 'client', clientSecret: 'secret' };
+
+const EXHAUSTED_HEADERS = {
+  'x-ratelimit-limit': '6',
+  'x-ratelimit-remaining': '0',
+  'x-ratelimit-reset': '30000'
+};
+
+const getPage = (calls) => calls.map(({ qs }) => qs.page);
+
+describe('request', () => {
+  let requestWithDefaults;
+
+  /**
+   * Request a page of alerts (each page is a distinct request, so none are coalesced)
+   * @param {number} page - Page number sent in the query string
+   * @param {string} [priority] - Queue lane
+   * @returns {Promise<Object>} Response
+   */
+  const getAlertsPage = (page, priority) =>
+    requestWithDefaults({
+      route: 'pulse/v1/alerts',
+      options: OPTIONS,
+      method: 'GET',
+      qs: { page },
+      priority
+    });
+
+  /**
+   * Make a first request whose response leaves no rate limit quota
+   * @returns {Promise<void>}
+   */
+  const exhaustRateLimit = async () => {
+    setRequestHandler(
+      withTokens(() => createResponse({ alerts: [] }, EXHAUSTED_HEADERS))
+    );
+    await getAlertsPage(0);
+  };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    resetRequests();
+    ({ requestWithDefaults } = loadFresh('server/request'));
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('auth tokens', () => {
+    test('reuses the cached token until it expires', async () => {
+      setRequestHandler(withTokens(() => createResponse({ alerts: [] })));
+
+      await getAlertsPage(1);
+      await getAlertsPage(2);
+      assert.equal(getTokenCalls().length, 1);
+
+      mock.timers.tick(60 * 60 * 1000);
+      await getAlertsPage(3);
+
+      assert.equal(getTokenCalls().length, 2);
+      assert.deepEqual(
+        getApiCalls().map(({ headers }) => headers.Authorization),
+        ['Bearer token-1', 'Bearer token-1', 'Bearer token-2']
+      );
+    });
+
+    test('refreshes the token and retries once on a 401', async () => {
+      let apiCallCount = 0;
+      setRequestHandler(
+        withTokens(() => {
+          apiCallCount++;
+          if (apiCallCount === 1) {
+            throw new ApiRequestError('Unauthorized', { status: 401 });
+          }
+          return createResponse({ alerts: [{ alertId: 'a1' }] });
+        })
+      );
+
+      const response = await getAlertsPage(1);
+
+      assert.deepEqual(response.body.alerts, [{ alertId: 'a1' }]);
+      assert.equal(getTokenCalls().length, 2);
+      assert.deepEqual(
+        getApiCalls().map(({ headers }) => headers.Authorization),
+        ['Bearer token-1', 'Bearer token-2']
+      );
+    });
+
+    test('fails when the refreshed token is rejected too', async () => {
+      setRequestHandler(
+        withTokens(() => {
+          throw new ApiRequestError('Unauthorized', { status: 401 });
+        })
+      );
+
+      await assert.rejects(getAlertsPage(1), { name: 'ApiRequestError', status: 401 });
+      assert.equal(getTokenCalls().length, 2);
+      assert.equal(getApiCalls().length, 2);
+    });
+  });
+
+  describe('rate limiting', () => {
+    test('retries a 429 after the x-ratelimit-reset delay', async () => {
+      let apiCallCount = 0;
+      setRequestHandler(
+        withTokens(() => {
+          apiCallCount++;
+          if (apiCallCount === 1) {
+            throw new ApiRequestError('Too Many Requests', {
+              status: 429,
+              headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '2000' }
+            });
+          }
+          return createResponse({ alerts: [] });
+        })
+      );
+
+      const pending = getAlertsPage(1);
+      await advanceTime(1999);
+      assert.equal(getApiCalls().length, 1);
+
+      await advanceTime(1);
+      await pending;
+      assert.equal(getApiCalls().length, 2);
+    });
+
+    test('holds queued requests until the rate limit window resets', async () => {
+      await exhaustRateLimit();
+
+      const pending = getAlertsPage(1);
+      await advanceTime(29999);
+      assert.deepEqual(getPage(getApiCalls()), [0]);
+
+      await advanceTime(1);
+      await pending;
+      assert.deepEqual(getPage(getApiCalls()), [0, 1]);
+    });
+
+    test('serves interactive requests ahead of background requests', async () => {
+      await exhaustRateLimit();
+
+      const pending = [getAlertsPage(1, 'poll'), getAlertsPage(2, 'interactive')];
+      await advanceTime(30000);
+      await Promise.all(pending);
+
+      assert.deepEqual(getPage(getApiCalls()), [0, 2, 1]);
+    });
+  });
+
+  describe('request queue', () => {
+    test('drops requests that waited longer than the queue timeout', async () => {
+      setRequestHandler(
+        withTokens(() =>
+          createResponse(
+            { alerts: [] },
+            { ...EXHAUSTED_HEADERS, 'x-ratelimit-reset': String(3 * 60 * 1000) }
+          )
+        )
+      );
+      await getAlertsPage(0);
+
+      const expired = assert.rejects(getAlertsPage(1), /Request timed out in queue/);
+      await advanceTime(100 * 1000);
+      const pending = getAlertsPage(2);
+      await flushPromises();
+
+      // The window resets after 3 minutes - page 1 has waited past the 2 minute timeout
+      await advanceTime(80 * 1000);
+      await expired;
+      await pending;
+      assert.deepEqual(getPage(getApiCalls()), [0, 2]);
+    });
+
+    test('rejects requests once their lane is full', async () => {
+      await exhaustRateLimit();
+
+      // The lists lane holds 2 requests
+      const pending = [getAlertsPage(1, 'lists'), getAlertsPage(2, 'lists')];
+      await flushPromises();
+      await assert.rejects(getAlertsPage(3, 'lists'), /Request queue full/);
+
+      // Other lanes keep their own capacity
+      pending.push(getAlertsPage(4, 'interactive'));
+      await advanceTime(30000);
+      await Promise.all(pending);
+      assert.deepEqual(getPage(getApiCalls()), [0, 4, 1, 2]);
+    });
+  });
+
+  describe('coalescing', () => {
+    test('gives each caller of a shared request its own response body', async () => {
+      setRequestHandler(
+        withTokens(() => createResponse({ alerts: [{ alertId: 'a1' }] }))
+      );
+
+      const [first, second] = await Promise.all([getAlertsPage(1), getAlertsPage(1)]);
+      first.body.alerts.push({ alertId: 'added' });
+
+      assert.equal(getApiCalls().length, 1);
+      assert.deepEqual(second.body.alerts, [{ alertId: 'a1' }]);
+    });
+
+    test('moves a shared request up to the highest priority caller', async () => {
+      await exhaustRateLimit();
+
+      const pending = [getAlertsPage(1, 'lists'), getAlertsPage(2, 'poll')];
+      await flushPromises();
+      pending.push(getAlertsPage(1, 'interactive'));
+      await advanceTime(30000);
+      await Promise.all(pending);
+
+      assert.deepEqual(getPage(getApiCalls()), [0, 1, 2]);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadFresh, createAlert } = require('./helpers/stubs');
+
+const NOW = Date.parse('2024-01-01T13:00:00.000Z');
+
+const getIds = (alerts) => alerts.map(({ alertId }) => alertId);
+
+describe('stateManager', () => {
+  let stateManager;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    stateManager = loadFresh('server/alerts/stateManager');
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('addAlertsToCache', () => {
+    test('skips duplicates and alerts past the retention window', () => {
+      const first = stateManager.addAlertsToCache([
+        createAlert('a2', 2),
+        createAlert('a1', 5)
+      ]);
+      assert.equal(first.added, 2);
+      assert.equal(first.total, 2);
+
+      const second = stateManager.addAlertsToCache([
+        createAlert('a3', 1),
+        createAlert('a2', 2),
+        createAlert('expired', 31)
+      ]);
+      assert.equal(second.added, 1);
+      assert.deepEqual(getIds(second.alerts), ['a3']);
+      assert.deepEqual(getIds(stateManager.getCachedAlerts()), ['a3', 'a2', 'a1']);
+      assert.equal(stateManager.getCachedAlertById('expired'), null);
+    });
+
+    test('emits only the newly cached alerts', () => {
+      const emitted = [];
+      stateManager.onAlertsAdded((alerts) => emitted.push(getIds(alerts)));
+
+      stateManager.addAlertsToCache([createAlert('a1', 5)]);
+      stateManager.addAlertsToCache([createAlert('a2', 1), createAlert('a1', 5)]);
+      stateManager.addAlertsToCache([createAlert('a1', 5)]);
+
+      assert.deepEqual(emitted, [['a1'], ['a2']]);
+    });
+
+    test('re-sorts when an older batch lands among the first 10 entries', () => {
+      const newer = Array.from({ length: 12 }, (_, i) => createAlert(`new-${i}`, i + 1));
+      stateManager.addAlertsToCache(newer);
+
+      // A lookup adds alerts older than everything cached - they are prepended first
+      const result = stateManager.addAlertsToCache([
+        createAlert('old-1', 20),
+        createAlert('old-2', 25)
+      ]);
+
+      assert.equal(result.added, 2);
+      const cached = stateManager.getCachedAlerts();
+      assert.deepEqual(getIds(cached.slice(-2)), ['old-1', 'old-2']);
+      const times = cached.map(({ alertTimestamp }) => Date.parse(alertTimestamp));
+      assert.deepEqual(times, [...times].sort((a, b) => b - a));
+    });
+
+    test('evicts the oldest alerts beyond the size cap', () => {
+      stateManager.setCacheLimits({ cacheMaxAlerts: 3 });
+      stateManager.addAlertsToCache([createAlert('a3', 3), createAlert('a4', 4)]);
+
+      const result = stateManager.addAlertsToCache([
+        createAlert('a1', 1),
+        createAlert('a2', 2),
+        createAlert('a5', 5)
+      ]);
+
+      // a5 is evicted straight away, so it doesn't count as added
+      assert.deepEqual(getIds(result.alerts), ['a1', 'a2']);
+      assert.deepEqual(getIds(stateManager.getCachedAlerts()), ['a1', 'a2', 'a3']);
+      assert.equal(stateManager.getCachedAlertById('a4'), null);
+      assert.equal(stateManager.getCacheStats().alerts.evictedByCapacity, 2);
+    });
+  });
+
+  describe('getCachedAlerts', () => {
+    test('filters by list ID and alert timestamp', () => {
+      stateManager.addAlertsToCache([
+        createAlert('a1', 1, { listsMatched: [{ id: 101 }] }),
+        createAlert('a2', 2, { listsMatched: [{ id: '202' }] }),
+        createAlert('a3', 3, { listsMatched: [{ id: '101' }, { id: '202' }] }),
+        createAlert('a4', 4)
+      ]);
+
+      assert.deepEqual(getIds(stateManager.getCachedAlerts(['101'])), ['a1', 'a3']);
+      assert.deepEqual(getIds(stateManager.getCachedAlerts(['202', '303'])), [
+        'a2',
+        'a3'
+      ]);
+
+      const twoAndAHalfMinutesAgo = new Date(NOW - 2.5 * 60 * 1000).toISOString();
+      assert.deepEqual(
+        getIds(stateManager.getCachedAlerts(null, twoAndAHalfMinutesAgo)),
+        ['a1', 'a2']
+      );
+      assert.deepEqual(
+        getIds(stateManager.getCachedAlerts(['202'], twoAndAHalfMinutesAgo)),
+        ['a2']
+      );
+    });
+
+    test('skips the age scan while the oldest alert is still retained', () => {
+      stateManager.addAlertsToCache([createAlert('a1', 1), createAlert('a2', 20)]);
+
+      mock.timers.tick(9 * 60 * 1000);
+
+      const cached = stateManager.getCachedAlerts();
+      assert.deepEqual(getIds(cached), ['a1', 'a2']);
+      assert.equal(stateManager.getCachedAlerts(), cached);
+      assert.equal(stateManager.getCacheStats().alerts.evictedByAge, 0);
+    });
+
+    test('evicts expired alerts once the oldest cached alert ages out', () => {
+      stateManager.addAlertsToCache([
+        createAlert('a1', 1),
+        createAlert('a2', 15),
+        createAlert('a3', 20)
+      ]);
+
+      mock.timers.tick(16 * 60 * 1000);
+
+      assert.deepEqual(getIds(stateManager.getCachedAlerts()), ['a1']);
+      const { alerts } = stateManager.getCacheStats();
+      assert.equal(alerts.count, 1);
+      assert.equal(alerts.evictedByAge, 2);
+    });
+
+    test('returns an empty list for an empty cache', () => {
+      assert.deepEqual(stateManager.getCachedAlerts(['101']), []);
+    });
+  });
+
+  describe('triage', () => {
+    test('treats alert IDs that are Object property names as plain keys', () => {
+      assert.equal(stateManager.getTriage('constructor'), null);
+
+      const triage = stateManager.updateTriage(
+        'constructor',
+        { note: 'checked' },
+        'analyst'
+      );
+      assert.deepEqual(triage.notes.map(({ text }) => text), ['checked']);
+
+      stateManager.updateTriage('__proto__', { status: 'investigating' }, 'analyst');
+      assert.equal(stateManager.getTriage('__proto__').status, 'investigating');
+      assert.equal(stateManager.getTriage('toString'), null);
+      assert.deepEqual(Object.keys(stateManager.getTriageForAlerts(['__proto__'])), [
+        '__proto__'
+      ]);
+    });
+  });
+
+    describe('polling state', () => {
+    test('merges updates and resets to the initial state', () => {
+      stateManager.updatePollingState({ lastCursor: 'cursor-1', lastPollTime: NOW });
+      stateManager.updatePollingState({ alertCount: 4 });
+
+      const state = stateManager.getPollingState();
+      assert.equal(state.lastCursor, 'cursor-1');
+      assert.equal(state.lastPollTime, NOW);
+      assert.equal(state.alertCount, 4);
+      assert.equal(state.totalAlertsProcessed, 0);
+
+      stateManager.resetPollingState();
+      assert.equal(stateManager.getPollingState().lastCursor, null);
+      assert.equal(stateManager.getPollingState().lastPollTime, null);
+    });
+  });
+});